@@ -0,0 +1,179 @@
+import { v4 as uuidv4 } from "uuid";
+import { getProject, mutateProject } from "./storage.js";
+import { ledgerAsOf } from "./ledger.js";
+import { httpError } from "./errors.js";
+import { generateJson, modelLabel } from "./model.js";
+import { CONTINUITY_CHECK_SCHEMA } from "./schemas.js";
+
+/**
+ * Continuity contradiction checker.
+ *
+ * Compares one chapter's text and continuity against the bible and the
+ * ledger as of the previous chapter, and stores what it finds on the
+ * chapter as `continuityCheck: { checkedAt, model, stale, issues }`.
+ * Each issue quotes the chapter and the fact it contradicts, and carries a
+ * status the user moves between open, resolved and dismissed.
+ */
+
+// CONTINUITY_CHECK=off stops the automatic pass after drafting; on demand still works.
+export const AUTO_CONTINUITY_CHECK =
+  String(process.env.CONTINUITY_CHECK || "auto").toLowerCase() !== "off";
+
+export const ISSUE_STATUSES = ["open", "resolved", "dismissed"];
+
+// A re-check that finds the same problem at the same quote keeps it dismissed.
+function issueKey(issue) {
+  return `${issue.category}|${String(issue.chapterQuote).trim().toLowerCase()}`;
+}
+
+function bibleReference(bible = {}) {
+  return {
+    characters: (bible.characters || []).map((c) => ({
+      name: c.name,
+      appearance: c.appearance,
+      traits: c.traits
+    })),
+    locations: (bible.locations || []).map((l) => ({
+      name: l.name,
+      rules: l.rules,
+      sensoryNotes: l.sensoryNotes
+    })),
+    worldRules: (bible.worldRules || []).map((rule) => (typeof rule === "string" ? rule : rule.text))
+  };
+}
+
+export async function checkChapterContinuity(projectId, chapterIndex, options = {}) {
+  const { signal, onUsage } = options;
+  console.log("[analysis] continuity check start", { projectId, chapterIndex });
+
+  const project = await getProject(projectId);
+  if (!project) throw httpError(404, "Project not found");
+
+  const ch = (project.chapters || []).find((c) => c.index === chapterIndex);
+  if (!ch) throw httpError(404, "Chapter not found");
+
+  const text = ch.userText || ch.draftText || "";
+  if (!text.trim()) {
+    throw httpError(409, `Chapter ${chapterIndex} has no text to check`);
+  }
+
+  const instructions = `
+You are a meticulous continuity editor.
+Find statements in the chapter that contradict the bible or the continuity ledger.
+Return ONLY valid JSON.
+
+JSON schema:
+{
+  "issues": [
+    {
+      "severity": "low" | "medium" | "high",
+      "category": "appearance" | "name" | "world-rule" | "character-state" | "location" | "timeline" | "other",
+      "summary": string,
+      "chapterQuote": string,
+      "conflictsWith": {
+        "source": "bible" | "ledger",
+        "chapterIndex": number,
+        "quote": string
+      },
+      "suggestion": string
+    }
+  ]
+}
+`.trim();
+
+  const input = `
+Bible:
+${JSON.stringify(bibleReference(project.bible || {}), null, 2)}
+
+Continuity ledger as of the end of chapter ${chapterIndex - 1}
+(each fact carries the chapter that established it):
+${JSON.stringify(ledgerAsOf(project.continuityLedger, chapterIndex - 1), null, 2)}
+
+Chapter ${chapterIndex} continuity notes:
+${JSON.stringify(ch.continuity || {}, null, 2)}
+
+Chapter ${chapterIndex} text:
+${text}
+
+Task:
+- Report only real contradictions: eye colour, names, ages, world rules broken,
+  characters or places in a state that earlier chapters rule out.
+- New information, or a change the chapter itself explains, is not a contradiction.
+- chapterQuote must be copied verbatim from the chapter text.
+- conflictsWith.quote is the bible text or ledger state it contradicts; give
+  conflictsWith.chapterIndex for ledger facts.
+- high = a reader would notice; low = minor or arguable.
+- Return {"issues": []} if there are none.
+`.trim();
+
+  const json = await generateJson({
+    schema: CONTINUITY_CHECK_SCHEMA,
+    context: { text },
+    label: `continuity check for chapter ${chapterIndex}`,
+    project,
+    task: "continuity-check",
+    meta: { chapterIndex },
+    instructions,
+    input,
+    signal,
+    onUsage
+  });
+
+  if (signal?.aborted) throw new Error("Generation aborted");
+
+  const model = modelLabel(project);
+  const checkedAt = Date.now();
+  const saved = await mutateProject(projectId, (fresh) => {
+    const target = (fresh.chapters || []).find((c) => c.index === chapterIndex);
+    if (!target) {
+      throw httpError(409, `Chapter ${chapterIndex} was removed while it was being checked`);
+    }
+
+    const dismissed = new Set(
+      (target.continuityCheck?.issues || [])
+        .filter((issue) => issue.status === "dismissed")
+        .map(issueKey)
+    );
+
+    target.continuityCheck = {
+      checkedAt,
+      model,
+      stale: false,
+      issues: json.issues.map((issue) => ({
+        id: uuidv4(),
+        ...issue,
+        status: dismissed.has(issueKey(issue)) ? "dismissed" : "open"
+      }))
+    };
+  });
+
+  console.log("[analysis] continuity check complete", {
+    chapterIndex,
+    issues: json.issues.length
+  });
+  return saved;
+}
+
+/**
+ * Mark one issue open, resolved or dismissed.
+ */
+export async function setIssueStatus(projectId, chapterIndex, issueId, status, options = {}) {
+  if (!ISSUE_STATUSES.includes(status)) {
+    throw httpError(400, `status must be one of ${ISSUE_STATUSES.join(", ")}`);
+  }
+
+  return mutateProject(
+    projectId,
+    (project) => {
+      const ch = (project.chapters || []).find((c) => c.index === chapterIndex);
+      if (!ch) throw httpError(404, "Chapter not found");
+
+      const issue = (ch.continuityCheck?.issues || []).find((i) => i.id === issueId);
+      if (!issue) throw httpError(404, "Issue not found");
+
+      issue.status = status;
+      issue.statusChangedAt = Date.now();
+    },
+    options
+  );
+}
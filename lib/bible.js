@@ -0,0 +1,102 @@
+import crypto from "crypto";
+
+/**
+ * Story bible entries.
+ *
+ * The model returns characters and locations as objects and worldRules as
+ * strings. Stored bibles give every entry an `id`, turn world rules into
+ * { id, text } objects, and mark entries the user added or edited with
+ * `userAuthored: true`. Regenerating the brief/bible keeps user-authored
+ * entries and drops generated ones with the same name.
+ */
+
+export const BIBLE_SECTIONS = {
+  characters: ["name", "role", "traits", "wants", "fears", "voiceNotes", "appearance"],
+  locations: ["name", "type", "sensoryNotes", "rules"],
+  worldRules: ["text"]
+};
+
+// Characters and locations match by name, world rules by text.
+function entryKey(section, entry) {
+  const value = section === "worldRules" ? entry.text : entry.name;
+  return String(value || "").trim().toLowerCase();
+}
+
+// Entries stored before ids existed get one derived from their content and
+// position, so it stays the same across loads until the bible is next saved.
+function derivedId(section, entry, position) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(`${section}:${position}:${entryKey(section, entry)}`)
+    .digest("hex");
+  return `${section}-${hash.slice(0, 10)}`;
+}
+
+function normalizeEntry(section, entry, position) {
+  const value = section === "worldRules" && typeof entry === "string" ? { text: entry } : { ...entry };
+  if (!value.id) value.id = derivedId(section, value, position);
+  return value;
+}
+
+export function normalizeBible(bible) {
+  if (!bible || typeof bible !== "object") return bible;
+  const out = { ...bible };
+  for (const section of Object.keys(BIBLE_SECTIONS)) {
+    out[section] = (Array.isArray(bible[section]) ? bible[section] : []).map((entry, i) =>
+      normalizeEntry(section, entry, i)
+    );
+  }
+  return out;
+}
+
+export function userAuthoredEntries(bible) {
+  const normalized = normalizeBible(bible) || {};
+  const out = {};
+  for (const section of Object.keys(BIBLE_SECTIONS)) {
+    out[section] = (normalized[section] || []).filter((entry) => entry.userAuthored);
+  }
+  return out;
+}
+
+/**
+ * A freshly generated bible laid over the previous one: user-authored
+ * entries survive, and a generated entry that shares a name with one
+ * is dropped. Generated entries keep the id of the entry they replace.
+ */
+export function mergeGeneratedBible(previous, generated) {
+  const before = normalizeBible(previous) || {};
+  const out = { ...generated };
+
+  for (const section of Object.keys(BIBLE_SECTIONS)) {
+    const kept = (before[section] || []).filter((entry) => entry.userAuthored);
+    const keptKeys = new Set(kept.map((entry) => entryKey(section, entry)));
+
+    const fresh = normalizeBible({ [section]: generated[section] })[section]
+      .filter((entry) => !keptKeys.has(entryKey(section, entry)))
+      .map((entry) => {
+        const old = (before[section] || []).find(
+          (e) => entryKey(section, e) === entryKey(section, entry)
+        );
+        return old ? { ...entry, id: old.id } : entry;
+      });
+
+    out[section] = [...fresh, ...kept];
+  }
+  return out;
+}
+
+/**
+ * The bible as prompts see it: no ids or authorship flags, world rules as
+ * plain strings.
+ */
+export function bibleForPrompt(bible) {
+  if (!bible) return bible;
+  const normalized = normalizeBible(bible);
+  const strip = ({ id, userAuthored, ...rest }) => rest;
+  return {
+    ...normalized,
+    characters: normalized.characters.map(strip),
+    locations: normalized.locations.map(strip),
+    worldRules: normalized.worldRules.map((rule) => rule.text)
+  };
+}
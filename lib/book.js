@@ -0,0 +1,84 @@
+/**
+ * The compiled book as every export sees it: front matter, chapters in
+ * index order, each with its canonical text (the user's edit when there is
+ * one, else the draft), then back matter. Markdown, DOCX, EPUB and PDF all
+ * build from this; lib/markup.js reads the text itself.
+ */
+
+export function bookTitle(project) {
+  return project.inputs?.title || project.brief?.titleSuggestion || "Untitled Book";
+}
+
+export function chapterHeading(ch) {
+  return `Chapter ${ch.index}: ${ch.title || ""}`;
+}
+
+export function chapterText(ch) {
+  return ((ch.userText && ch.userText.trim()) || ch.draftText || "").trim();
+}
+
+export function bookChapters(project) {
+  return [...(project.chapters || [])]
+    .sort((a, b) => a.index - b.index)
+    .map((ch) => ({
+      index: ch.index,
+      title: ch.title || "",
+      heading: chapterHeading(ch),
+      text: chapterText(ch)
+    }));
+}
+
+// ---------- Front and back matter ----------
+
+export function copyrightLines(project) {
+  const { author, publisher, isbn, copyrightYear, frontMatter = {} } = project.metadata || {};
+  const year = copyrightYear || new Date(project.updatedAt || Date.now()).getFullYear();
+  const lines = [`Copyright © ${year}${author ? ` ${author}` : ""}`, "All rights reserved."];
+  if (frontMatter.copyrightNotice) lines.push(...frontMatter.copyrightNotice.split("\n"));
+  if (publisher) lines.push(`Published by ${publisher}`);
+  if (isbn) lines.push(`ISBN ${isbn}`);
+  return lines.map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * Front matter after the title page, in print order. Sections:
+ *   { kind: "copyright", lines }
+ *   { kind: "dedication", text }
+ *   { kind: "epigraph", text, source }
+ *   { kind: "toc", heading }
+ * Empty ones are left out; the copyright page is always there.
+ */
+export function frontMatterSections(project) {
+  const front = project.metadata?.frontMatter || {};
+  const sections = [{ kind: "copyright", lines: copyrightLines(project) }];
+  if (front.dedication) sections.push({ kind: "dedication", text: front.dedication });
+  if (front.epigraph) {
+    sections.push({ kind: "epigraph", text: front.epigraph, source: front.epigraphSource || "" });
+  }
+  if (front.includeToc !== false) sections.push({ kind: "toc", heading: "Contents" });
+  return sections;
+}
+
+/**
+ * Back matter, in print order:
+ *   { kind: "acknowledgements" | "about-author", heading, text }
+ *   { kind: "also-by", heading, items }
+ */
+export function backMatterSections(project) {
+  const { author, backMatter = {} } = project.metadata || {};
+  const sections = [];
+  if (backMatter.acknowledgements) {
+    sections.push({ kind: "acknowledgements", heading: "Acknowledgements", text: backMatter.acknowledgements });
+  }
+  if (backMatter.aboutAuthor) {
+    sections.push({ kind: "about-author", heading: "About the Author", text: backMatter.aboutAuthor });
+  }
+  if (backMatter.alsoBy?.length) {
+    sections.push({
+      kind: "also-by",
+      heading: author ? `Also by ${author}` : "Also by the Author",
+      items: backMatter.alsoBy
+    });
+  }
+  return sections;
+}
@@ -0,0 +1,298 @@
+import crypto from "crypto";
+import { mutateProject } from "./storage.js";
+import { ledgerAsOf } from "./ledger.js";
+import { generateJson } from "./model.js";
+import { ARC_SUMMARY_SCHEMA } from "./schemas.js";
+import { estimateTokens } from "./words.js";
+
+/**
+ * Continuity context for chapter prompts, kept inside a token budget.
+ *
+ * - The last few chapters go in with their full continuity objects.
+ * - Older chapters are compacted into arc summaries of ARC_CHAPTERS chapters
+ *   each, written by the model once and cached on the project
+ *   (arcSummaries), keyed by a hash of the chapters they cover.
+ * - Only characters and locations named in this chapter's outline summary
+ *   or contract keep their state history; the rest get their latest state.
+ * - If that is still over CONTEXT_BUDGET_TOKENS, detail is dropped in steps.
+ */
+
+const CONTEXT_BUDGET_TOKENS = Number(process.env.CONTEXT_BUDGET_TOKENS) || 8000;
+const RECENT_CHAPTERS = Number(process.env.CONTEXT_RECENT_CHAPTERS) || 3;
+const ARC_CHAPTERS = Number(process.env.CONTEXT_ARC_CHAPTERS) || 5;
+
+const HISTORY_ENTRIES = 3;
+const BRIEF_STATE_CHARS = 160;
+const TIMELINE_TAIL = 15;
+
+function tokensOf(value) {
+  return estimateTokens(JSON.stringify(value));
+}
+
+function truncate(text, max) {
+  const s = String(text || "");
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+// ---------- Relevance ----------
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Is this entity mentioned in the focus text? Matches the full name or any
+ * capitalised part of it ("Mara" for "Mara Quill") as a whole word.
+ */
+function mentioned(name, focusText) {
+  const parts = [name, ...name.split(/\s+/).filter((p) => p.length >= 3 && /^\p{Lu}/u.test(p))];
+  return parts.some((part) =>
+    new RegExp(`(^|[^\\p{L}])${escapeRegExp(part)}($|[^\\p{L}])`, "iu").test(focusText)
+  );
+}
+
+// ---------- Arc summaries ----------
+
+/**
+ * Complete arcs before the recent window: [[1, 5], [6, 10], ...].
+ * Arcs never grow, so a cached summary stays valid until its chapters change.
+ */
+function arcRanges(uptoIndex) {
+  const olderEnd = uptoIndex - 1 - RECENT_CHAPTERS;
+  const covered = olderEnd > 0 ? Math.floor(olderEnd / ARC_CHAPTERS) * ARC_CHAPTERS : 0;
+  const ranges = [];
+  for (let from = 1; from <= covered; from += ARC_CHAPTERS) {
+    ranges.push([from, from + ARC_CHAPTERS - 1]);
+  }
+  return ranges;
+}
+
+function arcSource(chapters) {
+  return chapters.map((c) => ({
+    index: c.index,
+    title: c.title,
+    summary: c.continuity?.chapterSummary || "",
+    events: c.continuity?.timelineEvents || []
+  }));
+}
+
+function hashSource(source) {
+  return crypto.createHash("sha1").update(JSON.stringify(source)).digest("hex");
+}
+
+async function summariseArc(project, from, to, source, { signal, onUsage }) {
+  const instructions = `
+You are a story editor condensing part of a novel for a writer's reference.
+Return ONLY valid JSON.
+
+JSON schema:
+{
+  "summary": string,
+  "keyEvents": string[]
+}
+`.trim();
+
+  const input = `
+Chapters ${from}-${to} (per-chapter summaries and timeline events):
+${JSON.stringify(source, null, 2)}
+
+Task:
+- Summarise this stretch of the book in one paragraph (at most 150 words).
+- keyEvents: the 3-6 events later chapters must stay consistent with.
+`.trim();
+
+  return generateJson({
+    schema: ARC_SUMMARY_SCHEMA,
+    label: `arc summary ${from}-${to}`,
+    project,
+    task: "arc-summary",
+    meta: { from, to },
+    instructions,
+    input,
+    signal,
+    onUsage
+  });
+}
+
+/**
+ * Cached or fresh summaries for each range. A failed summary falls back to
+ * the chapter summaries joined together (not cached), so drafting never
+ * fails because compaction did.
+ */
+async function loadArcSummaries(project, ranges, options) {
+  const cached = project.arcSummaries || [];
+  const arcs = [];
+  const created = [];
+
+  for (const [from, to] of ranges) {
+    const source = arcSource(
+      (project.chapters || []).filter((c) => c.index >= from && c.index <= to)
+    );
+    const sourceHash = hashSource(source);
+
+    let arc = cached.find((a) => a.from === from && a.to === to && a.sourceHash === sourceHash);
+    if (!arc) {
+      try {
+        const json = await summariseArc(project, from, to, source, options);
+        arc = { from, to, sourceHash, summary: json.summary, keyEvents: json.keyEvents };
+        created.push(arc);
+      } catch (err) {
+        if (options.signal?.aborted) throw err;
+        console.error("[context] arc summary failed, using chapter summaries", { from, to }, err.message);
+        arc = {
+          from,
+          to,
+          summary: source.map((c) => c.summary).filter(Boolean).join(" "),
+          keyEvents: []
+        };
+      }
+    }
+    arcs.push(arc);
+  }
+
+  if (created.length) {
+    await mutateProject(project.id, (fresh) => {
+      const replaced = (a) => created.some((c) => c.from === a.from && c.to === a.to);
+      fresh.arcSummaries = [...(fresh.arcSummaries || []).filter((a) => !replaced(a)), ...created]
+        .sort((a, b) => a.from - b.from);
+    });
+  }
+  return arcs;
+}
+
+// ---------- Ledger ----------
+
+function compactEntities(snapshot, history, relevant, asOf) {
+  const out = {};
+  for (const [name, current] of Object.entries(snapshot)) {
+    if (relevant.has(name)) {
+      const earlier = (history[name] || [])
+        .filter((e) => e.chapterIndex < current.chapterIndex && e.chapterIndex <= asOf)
+        .slice(-HISTORY_ENTRIES)
+        .map((e) => ({ chapterIndex: e.chapterIndex, state: e.state }));
+      out[name] = { ...current, earlier };
+    } else {
+      out[name] = { state: truncate(current.state, BRIEF_STATE_CHARS), chapterIndex: current.chapterIndex };
+    }
+  }
+  return out;
+}
+
+// ---------- Budget ----------
+
+// Applied in order until the context fits.
+const REDUCTIONS = [
+  [
+    "older recent chapters reduced to summaries",
+    (ctx) => {
+      ctx.previousChapters = ctx.previousChapters.map((c, i, all) =>
+        i === all.length - 1
+          ? c
+          : { index: c.index, title: c.title, chapterSummary: c.continuity?.chapterSummary || "" }
+      );
+    }
+  ],
+  [
+    "timeline trimmed",
+    (ctx) => {
+      ctx.ledger.timeline = ctx.ledger.timeline.slice(-TIMELINE_TAIL);
+    }
+  ],
+  [
+    "background entities reduced to names",
+    (ctx) => {
+      for (const kind of ["characters", "locations"]) {
+        const kept = {};
+        const names = [];
+        for (const [name, entry] of Object.entries(ctx.ledger[kind])) {
+          if (entry.earlier) kept[name] = entry;
+          else names.push(name);
+        }
+        ctx.ledger[kind] = kept;
+        ctx.ledger[`other${kind[0].toUpperCase()}${kind.slice(1)}`] = names;
+      }
+    }
+  ],
+  [
+    "state history dropped",
+    (ctx) => {
+      for (const kind of ["characters", "locations"]) {
+        for (const entry of Object.values(ctx.ledger[kind])) delete entry.earlier;
+      }
+    }
+  ]
+];
+
+/**
+ * Build the continuity context for drafting chapter `uptoIndex`.
+ * `focus` is what this chapter is about (outline summary, contract); it
+ * decides which entities keep full detail.
+ */
+export async function buildContinuityContext(project, uptoIndex, options = {}) {
+  const { focus = [], signal, onUsage } = options;
+  const asOfIndex = uptoIndex - 1;
+  const ledger = project.continuityLedger || {};
+  const snapshot = ledgerAsOf(ledger, asOfIndex);
+
+  const focusText = JSON.stringify(focus);
+  const relevant = new Set(
+    [...Object.keys(snapshot.characters), ...Object.keys(snapshot.locations)].filter((name) =>
+      mentioned(name, focusText)
+    )
+  );
+
+  const ranges = arcRanges(uptoIndex);
+  const arcEnd = ranges.length ? ranges[ranges.length - 1][1] : 0;
+  const arcs = await loadArcSummaries(project, ranges, { signal, onUsage });
+
+  const context = {
+    arcs: arcs.map((a) => ({
+      chapters: `${a.from}-${a.to}`,
+      summary: a.summary,
+      keyEvents: a.keyEvents
+    })),
+    ledger: {
+      asOf: asOfIndex,
+      characters: compactEntities(snapshot.characters, ledger.characters || {}, relevant, asOfIndex),
+      locations: compactEntities(snapshot.locations, ledger.locations || {}, relevant, asOfIndex),
+      timeline: snapshot.timeline.filter((t) => t.chapterIndex > arcEnd),
+      loops: snapshot.loops.filter((loop) => loop.status === "open")
+    },
+    previousChapters: (project.chapters || [])
+      .filter(
+        (c) =>
+          c.index > arcEnd &&
+          c.index < uptoIndex &&
+          (c.continuity || c.userText || c.draftText)
+      )
+      .sort((a, b) => a.index - b.index)
+      .map((c) => ({
+        index: c.index,
+        title: c.title,
+        continuity: c.continuity || null
+      }))
+  };
+
+  const applied = [];
+  for (const [label, reduce] of REDUCTIONS) {
+    if (tokensOf(context) <= CONTEXT_BUDGET_TOKENS) break;
+    reduce(context);
+    applied.push(label);
+  }
+
+  const total = tokensOf(context);
+  console.log("[context] chapter", uptoIndex, {
+    tokens: total,
+    budget: CONTEXT_BUDGET_TOKENS,
+    arcs: tokensOf(context.arcs),
+    ledger: tokensOf(context.ledger),
+    previousChapters: tokensOf(context.previousChapters),
+    relevant: [...relevant],
+    reductions: applied
+  });
+  if (total > CONTEXT_BUDGET_TOKENS) {
+    console.warn("[context] still over budget after all reductions", { chapter: uptoIndex, total });
+  }
+
+  return context;
+}
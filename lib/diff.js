@@ -0,0 +1,111 @@
+/**
+ * Word-level diff for chapter revisions.
+ *
+ * Returns a list of segments { op: "equal" | "insert" | "delete", text },
+ * where concatenating equal+delete gives the old text and equal+insert the new one.
+ * Plain LCS after trimming the common prefix/suffix; very long, very different
+ * texts are diffed paragraph by paragraph first to keep memory bounded.
+ */
+
+const MAX_CELLS = 16_000_000;
+
+function tokenize(text) {
+  // Each token is a word plus the whitespace that follows it.
+  return String(text || "").match(/\s+|\S+\s*/g) || [];
+}
+
+function paragraphs(text) {
+  return String(text || "").match(/[^\n]*(?:\n+|$)/g).filter(Boolean);
+}
+
+function pushSegment(out, op, text) {
+  if (!text) return;
+  const last = out[out.length - 1];
+  if (last && last.op === op) {
+    last.text += text;
+  } else {
+    out.push({ op, text });
+  }
+}
+
+/**
+ * LCS diff of two token arrays. Returns null when the table would be too big.
+ */
+function diffTokens(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_CELLS) return null;
+
+  const out = [];
+  pushSegment(out, "equal", a.slice(0, start).join(""));
+
+  // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        a[start + i] === b[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      pushSegment(out, "equal", a[start + i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      pushSegment(out, "delete", a[start + i]);
+      i++;
+    } else {
+      pushSegment(out, "insert", b[start + j]);
+      j++;
+    }
+  }
+  while (i < n) pushSegment(out, "delete", a[start + i++]);
+  while (j < m) pushSegment(out, "insert", b[start + j++]);
+
+  pushSegment(out, "equal", a.slice(endA).join(""));
+  return out;
+}
+
+export function wordDiff(oldText, newText) {
+  const direct = diffTokens(tokenize(oldText), tokenize(newText));
+  if (direct) return direct;
+
+  // Too big for one table: align paragraphs, then word-diff the changed ones.
+  const coarse = diffTokens(paragraphs(oldText), paragraphs(newText)) || [
+    { op: "delete", text: String(oldText || "") },
+    { op: "insert", text: String(newText || "") }
+  ];
+
+  const out = [];
+  for (let k = 0; k < coarse.length; k++) {
+    const seg = coarse[k];
+    const next = coarse[k + 1];
+    if (seg.op === "delete" && next?.op === "insert") {
+      const fine = diffTokens(tokenize(seg.text), tokenize(next.text));
+      if (fine) {
+        fine.forEach((s) => pushSegment(out, s.op, s.text));
+        k++;
+        continue;
+      }
+    }
+    pushSegment(out, seg.op, seg.text);
+  }
+  return out;
+}
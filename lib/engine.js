@@ -1,172 +1,294 @@
-import OpenAI from "openai";
-import { Document, Packer, Paragraph, HeadingLevel } from "docx";
+import { Document, Packer, Paragraph, HeadingLevel, AlignmentType } from "docx";
 
-import {
-  getProject,
-  _saveProjectDirect,
-  rebuildLedgerFromChapters
-} from "./storage.js";
+import { getProject, mutateProject } from "./storage.js";
+import { buildLedger, ledgerAsOf, loopReport } from "./ledger.js";
+import { buildContinuityContext } from "./context.js";
+import { bibleForPrompt, mergeGeneratedBible, userAuthoredEntries } from "./bible.js";
 import { buildStyleCard, buildUserCanon } from "./prompts.js";
-
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const DEFAULT_MODEL = process.env.OPENAI_MODEL || "gpt-5.1";
+import { httpError } from "./errors.js";
+import { generateJson, modelLabel } from "./model.js";
+import { createJsonStringExtractor } from "./stream.js";
+import { recordRevision, ensureBaselineRevision } from "./revisions.js";
+import { checkChapterContinuity, AUTO_CONTINUITY_CHECK } from "./analysis.js";
+import { fitChapterLength } from "./length.js";
+import { bookTitle, bookChapters, frontMatterSections, backMatterSections } from "./book.js";
+import { textBlocks, toMarkdown, docxRuns } from "./markup.js";
+import {
+  draftSegmentedChapter,
+  segmentCount,
+  sceneDraftProgress,
+  saveSegmentDraft
+} from "./segments.js";
+import {
+  SCENE_BREAK,
+  assembleScenes,
+  scenesFromText,
+  scenePlan,
+  sceneTargetWords,
+  draftScene,
+  extractChapterContinuity
+} from "./scenes.js";
+import {
+  BRIEF_BIBLE_SCHEMA,
+  OUTLINE_SCHEMA,
+  CHAPTER_SCHEMA
+} from "./schemas.js";
+
+const LOOP_RULES = `
+- Open loops: put new unresolved setups this chapter creates in continuity.openLoops.
+  Put the ids of open loops from the Continuity Context that this chapter develops in
+  continuity.loopsAdvanced, and the ones it pays off in continuity.loopsClosed.
+`.trim();
 
 /**
- * Try very hard to parse model output as JSON.
- * Strips ```json fences and plain ``` fences before parsing.
+ * Extra prompt section near the end of the book: the loops still open,
+ * so the model plans their payoffs instead of opening new ones.
  */
-function safeJsonParse(text) {
-  if (typeof text !== "string") {
-    throw new Error("Model output is not a string.");
-  }
-
-  // Strip Markdown fences if present
-  let cleaned = text.replace(/```json/gi, "").replace(/```/g, "").trim();
+function payoffPlan(report) {
+  if (!report.warning) return "";
+  return `
+Payoff plan (${report.remainingChapters} chapter(s) left including this one):
+These loops are still open. Resolve the ones this chapter's outline allows and
+avoid opening new ones unless the contract requires it.
+${report.open.map((loop) => `- [${loop.id}] ${loop.text} (opened in chapter ${loop.openedIn})`).join("\n")}
+`.trim();
+}
 
-  // First attempt: parse as-is
-  try {
-    return JSON.parse(cleaned);
-  } catch (e1) {
-    console.error("[engine] JSON.parse failed on full text:", e1.message);
-
-    // Try to salvage the biggest JSON-looking chunk
-    const first = cleaned.indexOf("{");
-    const last = cleaned.lastIndexOf("}");
-    if (first === -1 || last === -1 || last <= first) {
-      throw new Error(
-        "Model did not return JSON. First 400 chars: " +
-          cleaned.slice(0, 400)
-      );
+/**
+ * Write a freshly generated draft into one chapter.
+ *
+ * Applied to the row as it is now, not as it was when generation started,
+ * so edits the user saved in the meantime (userText, other chapters) survive.
+ * userText is never touched; the user chooses to keep or edit manually.
+ */
+async function saveChapterDraft(projectId, chapterIndex, draft) {
+  let chapter;
+  const saved = await mutateProject(projectId, (fresh) => {
+    chapter = (fresh.chapters || []).find((c) => c.index === chapterIndex);
+    if (!chapter) {
+      throw httpError(409, `Chapter ${chapterIndex} was removed while it was being generated`);
     }
 
-    let candidate = cleaned.slice(first, last + 1);
-
-    // Trim from the end repeatedly and attempt JSON.parse again
-    for (let i = 0; i < 30; i++) {
-      try {
-        return JSON.parse(candidate);
-      } catch (e2) {
-        const idx = candidate.lastIndexOf("\n");
-        if (idx > first) {
-          candidate = candidate.slice(0, idx).trim();
-        } else {
-          candidate = candidate.slice(0, candidate.length - 1).trim();
-        }
-        if (candidate.length <= 2) break;
-      }
-    }
+    Object.assign(chapter, draft);
+    delete chapter.outOfDate;
+    delete chapter.continuityStale;
+    delete chapter.segmentDraft;
+    if (chapter.continuityCheck) chapter.continuityCheck.stale = true;
+    chapter.approved = Boolean(chapter.userText && chapter.userText.trim().length > 50);
 
-    throw new Error(
-      "Unable to parse JSON from model output. First 400 chars: " +
-        cleaned.slice(0, 400)
-    );
-  }
+    fresh.continuityLedger = buildLedger(fresh.chapters);
+  });
+  return { saved, chapter };
 }
 
 /**
- * Single place where we actually call the OpenAI API.
+ * Run the continuity checker on a chapter that was just saved.
+ * The draft is already safe, so a failed check is logged, not thrown.
  */
-async function callModel({ instructions, input }) {
-  console.log("[engine] calling model", DEFAULT_MODEL);
-
+async function autoCheckContinuity(saved, chapterIndex, { signal, onUsage }) {
+  if (!AUTO_CONTINUITY_CHECK) return saved;
   try {
-    const resp = await client.chat.completions.create({
-      model: DEFAULT_MODEL,
-      messages: [
-        { role: "system", content: instructions },
-        { role: "user", content: input }
-      ],
-      temperature: 0.8
-    });
-
-    const text = resp.choices?.[0]?.message?.content;
-    console.log("[engine] got completion length", text ? text.length : 0);
-
-    if (!text) throw new Error("Empty model output");
-    return text;
+    return await checkChapterContinuity(saved.id, chapterIndex, { signal, onUsage });
   } catch (err) {
-    console.error("[engine] OpenAI error", err);
-    throw err;
+    console.error("[engine] continuity check failed", { chapterIndex }, err.message);
+    return saved;
   }
 }
 
 /**
- * Merge a chapter's continuity object into the project's continuityLedger.
+ * Finish a scene-drafted chapter: assemble the scenes and read the chapter's
+ * continuity back from the whole text. Returns the draft for saveChapterDraft.
  */
-function mergeContinuityLedger(project, continuity) {
-  if (!continuity) return;
-
-  const ledger = project.continuityLedger || {
-    charactersState: {},
-    locationsState: {},
-    timeline: [],
-    openLoops: []
+async function assembleSceneDraft({
+  project,
+  ch,
+  scenes,
+  chapterSummary,
+  continuityContext,
+  openLoops,
+  source,
+  signal,
+  onUsage
+}) {
+  const draftText = assembleScenes(scenes);
+  const json = await extractChapterContinuity({
+    project,
+    chapterIndex: ch.index,
+    title: ch.title,
+    text: draftText,
+    chapterSummary,
+    continuityContext,
+    openLoops,
+    loopRules: LOOP_RULES,
+    signal,
+    onUsage
+  });
+  return {
+    title: json.title || ch.title,
+    draftText,
+    scenes,
+    continuity: { ...(json.continuity || {}), source }
   };
+}
 
-  if (continuity.charactersState && typeof continuity.charactersState === "object") {
-    ledger.charactersState = {
-      ...ledger.charactersState,
-      ...continuity.charactersState
-    };
-  }
-
-  if (continuity.locationsState && typeof continuity.locationsState === "object") {
-    ledger.locationsState = {
-      ...ledger.locationsState,
-      ...continuity.locationsState
-    };
-  }
-
-  if (Array.isArray(continuity.timelineEvents)) {
-    ledger.timeline = [...(ledger.timeline || []), ...continuity.timelineEvents];
+/**
+ * Draft a chapter one scene at a time from its contract's scene plan.
+ * Streaming callers get each scene's prose, with a scene break between.
+ *
+ * When each scene is long enough to be segmented, finished scenes and the
+ * current scene's segments are saved as segmentDraft, so a run that stops
+ * part-way resumes where it left off.
+ */
+async function draftChapterScenes({
+  project,
+  ch,
+  chapterSummary,
+  contract,
+  styleCard,
+  continuityContext,
+  openLoops,
+  notes,
+  purpose = "draft",
+  task,
+  source,
+  signal,
+  onUsage,
+  onProse
+}) {
+  const plan = scenePlan(contract);
+  const progress = segmentCount(sceneTargetWords(project, contract)) > 1
+    ? sceneDraftProgress(project, ch, { purpose, chapterSummary, contract })
+    : null;
+  const scenes = progress ? progress.scenes : [];
+  if (scenes.length) {
+    console.log("[engine] resuming scenes", { chapterIndex: ch.index, from: scenes.length + 1, of: plan.length });
+    if (onProse) onProse(assembleScenes(scenes));
   }
 
-  if (Array.isArray(continuity.openLoops)) {
-    const set = new Set([...(ledger.openLoops || []), ...continuity.openLoops]);
-    ledger.openLoops = Array.from(set);
+  for (let sceneIndex = scenes.length + 1; sceneIndex <= plan.length; sceneIndex++) {
+    if (signal?.aborted) throw new Error("Generation aborted");
+    if (onProse && sceneIndex > 1) onProse(`\n\n${SCENE_BREAK}\n\n`);
+    console.log("[engine] drafting scene", { chapterIndex: ch.index, sceneIndex, of: plan.length });
+    const text = await draftScene({
+      project,
+      chapterIndex: ch.index,
+      sceneIndex,
+      chapterSummary,
+      contract,
+      styleCard,
+      continuityContext,
+      scenes,
+      notes,
+      task,
+      progress,
+      signal,
+      onUsage,
+      onProse
+    });
+    scenes.push({ index: sceneIndex, text, source: "model" });
+    if (progress) {
+      Object.assign(progress, { sceneIndex: null, plan: null, segments: [] });
+      await saveSegmentDraft(project.id, ch.index, progress);
+    }
   }
-
-  project.continuityLedger = ledger;
+  return assembleSceneDraft({
+    project,
+    ch,
+    scenes,
+    chapterSummary,
+    continuityContext,
+    openLoops,
+    source,
+    signal,
+    onUsage
+  });
 }
 
 /**
- * Build a compact continuity context up to (but not including) a given chapter index.
+ * Draft a chapter too long for one completion in segments (lib/segments.js),
+ * then read its continuity back from the assembled text in one call.
  */
-function buildContinuityContext(project, uptoIndex) {
-  const prev = (project.chapters || [])
-    .filter(
-      (c) =>
-        c.index < uptoIndex && (c.continuity || c.userText || c.draftText)
-    )
-    .map((c) => ({
-      index: c.index,
-      title: c.title,
-      continuity: c.continuity || null
-    }));
-
+async function draftLongChapter({
+  project,
+  ch,
+  chapterSummary,
+  contract,
+  styleCard,
+  continuityContext,
+  openLoops,
+  notes,
+  purpose,
+  task,
+  source,
+  signal,
+  onUsage,
+  onProse
+}) {
+  const draftText = await draftSegmentedChapter({
+    project,
+    ch,
+    chapterSummary,
+    contract,
+    styleCard,
+    continuityContext,
+    notes,
+    purpose,
+    task,
+    signal,
+    onUsage,
+    onProse
+  });
+  const json = await extractChapterContinuity({
+    project,
+    chapterIndex: ch.index,
+    title: ch.title,
+    text: draftText,
+    chapterSummary,
+    continuityContext,
+    openLoops,
+    loopRules: LOOP_RULES,
+    signal,
+    onUsage
+  });
   return {
-    ledger: project.continuityLedger || null,
-    previousChapters: prev
+    title: json.title || ch.title,
+    draftText,
+    scenes: null,
+    continuity: { ...(json.continuity || {}), source }
   };
 }
 
 /**
- * BRIEF + BIBLE
+ * Measure a fresh draft against the word range and, if it falls outside,
+ * run the expand/condense passes (lib/length.js). Passes keep the beats,
+ * so the continuity read from the original draft still holds; scene drafts
+ * are re-split at the scene breaks the passes preserve.
  */
-export async function generateBookBriefAndBible(projectId) {
-  console.log("[engine] generateBookBriefAndBible start", { projectId });
-
-  const project = await getProject(projectId);
-  if (!project) throw new Error("Project not found");
-
-  const styleCard = buildStyleCard(project.inputs);
-  const canon = buildUserCanon(project.inputs);
-
-  const instructions = `
-You are a senior book architect and continuity designer.
-Return ONLY valid JSON.
+async function fitDraftLength({ project, ch, draft, chapterSummary, contract, signal, onUsage, onLengthPass }) {
+  const fitted = await fitChapterLength({
+    project,
+    chapterIndex: ch.index,
+    text: draft.draftText,
+    chapterSummary,
+    contract,
+    signal,
+    onUsage,
+    onPass: onLengthPass
+  });
+  const lengthPasses = fitted.passes.length ? fitted.passes : null;
+  if (fitted.text === draft.draftText) return { ...draft, lengthPasses };
+
+  let scenes = draft.scenes;
+  if (scenes) {
+    scenes = scenesFromText(fitted.text, "model-length") || [
+      { index: 1, text: fitted.text.trim(), source: "model-length" }
+    ];
+  }
+  return { ...draft, draftText: fitted.text, scenes, lengthPasses };
+}
 
-JSON schema:
+// The JSON a brief/bible call returns, generated or read from an import.
+const BRIEF_BIBLE_JSON = `
 {
   "brief": {
     "titleSuggestion": string,
@@ -202,6 +324,27 @@ JSON schema:
     "timelineSeed": string[]
   }
 }
+`.trim();
+
+/**
+ * BRIEF + BIBLE
+ */
+export async function generateBookBriefAndBible(projectId, options = {}) {
+  const { signal, onUsage } = options;
+  console.log("[engine] generateBookBriefAndBible start", { projectId });
+
+  const project = await getProject(projectId);
+  if (!project) throw httpError(404, "Project not found");
+
+  const styleCard = buildStyleCard(project.inputs);
+  const canon = buildUserCanon(project.inputs);
+
+  const instructions = `
+You are a senior book architect and continuity designer.
+Return ONLY valid JSON.
+
+JSON schema:
+${BRIEF_BIBLE_JSON}
 `.trim();
 
   const input = `
@@ -213,39 +356,70 @@ ${JSON.stringify(canon, null, 2)}
 User Core Concept:
 ${project.inputs.coreConcept || ""}
 
+Bible entries written by the user (canon; they are kept as they are):
+${JSON.stringify(bibleForPrompt(userAuthoredEntries(project.bible)), null, 2)}
+
 Task:
 - Refine the book's hook, positioning, and themes.
 - Propose strong but flexible character and world scaffolding.
+- Build around the user's bible entries and don't repeat them.
 `.trim();
 
-  const text = await callModel({ instructions, input });
-  const json = safeJsonParse(text);
+  const json = await generateJson({
+    schema: BRIEF_BIBLE_SCHEMA,
+    label: "brief/bible",
+    project,
+    task: "brief-bible",
+    instructions,
+    input,
+    signal,
+    onUsage
+  });
 
-  project.brief = json.brief;
-  project.bible = json.bible;
+  if (signal?.aborted) throw new Error("Generation aborted");
+  const saved = await mutateProject(projectId, (fresh) => {
+    fresh.brief = json.brief;
+    fresh.bible = mergeGeneratedBible(fresh.bible, json.bible);
 
-  if (!project.inputs.coreConcept && json.brief?.coreConcept) {
-    project.inputs.coreConcept = json.brief.coreConcept;
-  }
-
-  const saved = await _saveProjectDirect(project);
+    if (!fresh.inputs.coreConcept && json.brief?.coreConcept) {
+      fresh.inputs.coreConcept = json.brief.coreConcept;
+    }
+  });
   console.log("[engine] generateBookBriefAndBible complete");
   return saved;
 }
 
+/**
+ * Outline prompt section for an imported manuscript's chapters: the outline
+ * summarizes them as written and plans the rest.
+ */
+function writtenChaptersSection(project) {
+  const written = (project.chapters || [])
+    .filter((c) => c.imported)
+    .sort((a, b) => a.index - b.index)
+    .map((c) => ({ index: c.index, title: c.title, summary: c.continuity?.chapterSummary || "" }));
+  if (!written.length) return "";
+  return `
+Chapters already written (keep their index and title, summarize them as they
+are, and plan the remaining chapters to follow on from them):
+${JSON.stringify(written, null, 2)}
+`;
+}
+
 /**
  * OUTLINE + CHAPTER CONTRACTS
  */
-export async function generateOutline(projectId) {
+export async function generateOutline(projectId, options = {}) {
+  const { signal, onUsage } = options;
   console.log("[engine] generateOutline start", { projectId });
 
   const project = await getProject(projectId);
-  if (!project) throw new Error("Project not found");
+  if (!project) throw httpError(404, "Project not found");
 
   // Ensure brief + bible exist
   if (!project.bible || !project.brief) {
     console.log("[engine] generateOutline: missing brief/bible, generating...");
-    const updated = await generateBookBriefAndBible(projectId);
+    const updated = await generateBookBriefAndBible(projectId, { signal, onUsage });
     Object.assign(project, updated);
   }
 
@@ -285,7 +459,16 @@ JSON schema:
       "mustInclude": string[],
       "mustAvoid": string[],
       "continuityFocus": string[],
-      "endingHookIntent": string
+      "endingHookIntent": string,
+      "scenes": [
+        {
+          "goal": string,
+          "conflict": string,
+          "outcome": string,
+          "pov": string,
+          "setting": string
+        }
+      ]
     }
   ]
 }
@@ -298,86 +481,79 @@ Book Brief:
 ${JSON.stringify(project.brief, null, 2)}
 
 Bible:
-${JSON.stringify(project.bible, null, 2)}
+${JSON.stringify(bibleForPrompt(project.bible), null, 2)}
 
 User chapter count: ${project.inputs.totalChapters}
-
+${writtenChaptersSection(project)}
 Task:
 Create a chapter-by-chapter outline with strong beginning-middle-end logic.
-Then create a "chapter contract" per chapter that will guide drafting.
+Then create a "chapter contract" per chapter that will guide drafting,
+with a scene plan of 2-4 scenes (each drafted separately, in order).
 Avoid filler arcs.
 `.trim();
 
-  const text = await callModel({ instructions, input });
-  console.log("[engine] generateOutline: model output length", text ? text.length : 0);
+  const json = await generateJson({
+    schema: OUTLINE_SCHEMA,
+    context: { totalChapters: project.inputs.totalChapters },
+    label: "outline",
+    project,
+    task: "outline",
+    meta: { totalChapters: project.inputs.totalChapters },
+    instructions,
+    input,
+    signal,
+    onUsage
+  });
+  console.log("[engine] generateOutline: JSON validated OK");
 
-  const json = safeJsonParse(text);
-  console.log("[engine] generateOutline: JSON parsed OK");
+  if (signal?.aborted) throw new Error("Generation aborted");
+  const saved = await mutateProject(projectId, (fresh) => {
+    fresh.outline = json.outline;
+    fresh.chapterContracts = json.chapterContracts || [];
 
-  project.outline = json.outline;
-  project.chapterContracts = json.chapterContracts || [];
+    const summaries = fresh.outline?.chapterSummaries || [];
+    const existingByIndex = new Map(
+      (fresh.chapters || []).map((c) => [c.index, c])
+    );
 
-  const summaries = project.outline?.chapterSummaries || [];
-  const existingByIndex = new Map(
-    (project.chapters || []).map((c) => [c.index, c])
-  );
+    fresh.chapters = summaries.map((cs) => {
+      const old = existingByIndex.get(cs.index);
+      return {
+        index: cs.index,
+        // An imported chapter keeps the author's title.
+        title: (old?.imported && old.title) || cs.title,
+        draftText: old?.draftText || "",
+        userText: old?.userText || "",
+        continuity: old?.continuity || null,
+        approved: old?.approved || false,
+        ...(old?.scenes ? { scenes: old.scenes } : {}),
+        ...(old?.imported ? { imported: true } : {})
+      };
+    });
 
-  project.chapters = summaries.map((cs) => {
-    const old = existingByIndex.get(cs.index);
-    return {
-      index: cs.index,
-      title: cs.title,
-      draftText: old?.draftText || "",
-      userText: old?.userText || "",
-      continuity: old?.continuity || null,
-      approved: old?.approved || false
-    };
+    fresh.continuityLedger = buildLedger(fresh.chapters);
   });
-
-  project.continuityLedger = rebuildLedgerFromChapters(project.chapters);
-
-  const saved = await _saveProjectDirect(project);
   console.log("[engine] generateOutline complete");
   return saved;
 }
 
 /**
- * NEXT CHAPTER GENERATION
+ * Draft a whole chapter (prose + continuity) in one model call; used when
+ * its contract has no scene plan.
  */
-export async function generateNextChapter(projectId) {
-  console.log("[engine] generateNextChapter start", { projectId });
-
-  const project = await getProject(projectId);
-  if (!project) {
-    console.error("[engine] generateNextChapter: project not found");
-    throw new Error("Project not found");
-  }
-
-  if (!project.outline) {
-    console.log("[engine] generateNextChapter: no outline, generating...");
-    const updated = await generateOutline(projectId);
-    Object.assign(project, updated);
-  }
-
-  const chapters = project.chapters || [];
-  const next = chapters.find((c) => !c.draftText);
-  if (!next) {
-    console.log("[engine] generateNextChapter: all chapters already drafted");
-    return project;
-  }
-
-  console.log("[engine] generateNextChapter: next index", next.index);
-
-  const chapterSummary = project.outline.chapterSummaries.find(
-    (cs) => cs.index === next.index
-  );
-  const contract = (project.chapterContracts || []).find(
-    (cc) => cc.index === next.index
-  );
-
-  const styleCard = buildStyleCard(project.inputs);
-  const continuityContext = buildContinuityContext(project, next.index);
-
+async function draftWholeChapter({
+  project,
+  ch,
+  chapterSummary,
+  contract,
+  styleCard,
+  continuityContext,
+  openLoops,
+  loops,
+  signal,
+  onUsage,
+  onProse
+}) {
   const instructions = `
 You are a top-tier novelist and continuity-obsessed editor.
 Write the chapter prose AND then return a JSON object with prose + continuity.
@@ -394,6 +570,8 @@ JSON schema:
     "locationsState": { [name:string]: string },
     "timelineEvents": string[],
     "openLoops": string[],
+    "loopsAdvanced": string[],
+    "loopsClosed": string[],
     "styleNotes": string
   }
 }
@@ -406,7 +584,7 @@ Book Brief:
 ${JSON.stringify(project.brief, null, 2)}
 
 Bible:
-${JSON.stringify(project.bible, null, 2)}
+${JSON.stringify(bibleForPrompt(project.bible), null, 2)}
 
 Chapter Summary:
 ${JSON.stringify(chapterSummary, null, 2)}
@@ -421,48 +599,189 @@ User word targets:
 - Target: ${project.inputs.chapterTargetWords}
 - Range: ${project.inputs.chapterMinWords}-${project.inputs.chapterMaxWords}
 
+${payoffPlan(loops)}
+
 Task:
 Write strong, publishable prose for this chapter.
 - Use the outline and contract as constraints, not as text to repeat.
 - Keep character appearance/traits consistent.
 - Respect location names and world rules.
 - End with a purposeful hook aligned to the contract.
+${LOOP_RULES}
 `.trim();
 
   console.log("[engine] generateNextChapter: calling model...");
-  const text = await callModel({ instructions, input });
-  console.log(
-    "[engine] generateNextChapter: model output length",
-    text ? text.length : 0
+  const json = await generateJson({
+    schema: CHAPTER_SCHEMA,
+    context: { openLoops },
+    label: `chapter ${ch.index}`,
+    project,
+    task: "chapter",
+    meta: {
+      chapterIndex: ch.index,
+      title: ch.title,
+      targetWords: project.inputs.chapterTargetWords
+    },
+    instructions,
+    input,
+    signal,
+    onUsage,
+    onToken: onProse ? createJsonStringExtractor("prose", onProse) : undefined
+  });
+  console.log("[engine] generateNextChapter: JSON validated OK");
+
+  return {
+    title: json.title || ch.title,
+    draftText: json.prose || "",
+    scenes: null,
+    continuity: { ...(json.continuity || {}), source: "model" }
+  };
+}
+
+/**
+ * NEXT CHAPTER GENERATION
+ *
+ * Options (all optional) for streaming callers:
+ * - onStart({ index, title }) once the chapter to draft is known
+ * - onProse(text) with each decoded slice of prose as it arrives
+ * - signal: AbortSignal; an aborted draft is never saved
+ * - onUsage({ inputTokens, outputTokens, ... }) after each model call
+ * - onWarning(message) when drafting near the end with loops still open
+ * - onLengthPass({ kind, words, target, min, max }) before each expand/condense pass
+ */
+export async function generateNextChapter(projectId, options = {}) {
+  const { onStart, onProse, onWarning, onLengthPass, signal, onUsage } = options;
+  console.log("[engine] generateNextChapter start", { projectId });
+
+  const project = await getProject(projectId);
+  if (!project) {
+    console.error("[engine] generateNextChapter: project not found");
+    throw httpError(404, "Project not found");
+  }
+
+  if (!project.outline) {
+    console.log("[engine] generateNextChapter: no outline, generating...");
+    const updated = await generateOutline(projectId, { signal, onUsage });
+    Object.assign(project, updated);
+  }
+
+  const chapters = project.chapters || [];
+  const next = chapters.find((c) => !c.draftText);
+  if (!next) {
+    console.log("[engine] generateNextChapter: all chapters already drafted");
+    return project;
+  }
+
+  console.log("[engine] generateNextChapter: next index", next.index);
+  if (onStart) onStart({ index: next.index, title: next.title });
+
+  const chapterSummary = project.outline.chapterSummaries.find(
+    (cs) => cs.index === next.index
+  );
+  const contract = (project.chapterContracts || []).find(
+    (cc) => cc.index === next.index
   );
 
-  const json = safeJsonParse(text);
-  console.log("[engine] generateNextChapter: JSON parsed OK");
+  const styleCard = buildStyleCard(project.inputs);
+  const continuityContext = await buildContinuityContext(project, next.index, {
+    focus: [chapterSummary, contract],
+    signal,
+    onUsage
+  });
+  const openLoops = continuityContext.ledger.loops.filter((loop) => loop.status === "open");
 
-  next.title = json.title || next.title;
-  next.draftText = json.prose || "";
-  next.continuity = { ...(json.continuity || {}), source: "model" };
-  next.approved = Boolean(next.userText && next.userText.trim().length > 50);
+  const loops = loopReport(project.continuityLedger, chapters, project.inputs.totalChapters);
+  if (loops.warning) {
+    console.warn("[engine] generateNextChapter:", loops.warning);
+    if (onWarning) onWarning(loops.warning);
+  }
+
+  let draft;
+  if (scenePlan(contract).length) {
+    draft = await draftChapterScenes({
+      project,
+      ch: next,
+      chapterSummary,
+      contract,
+      styleCard,
+      continuityContext,
+      openLoops,
+      notes: payoffPlan(loops),
+      purpose: "draft",
+      task: "scene",
+      source: "model",
+      signal,
+      onUsage,
+      onProse
+    });
+  } else if (segmentCount(project.inputs.chapterTargetWords) > 1) {
+    draft = await draftLongChapter({
+      project,
+      ch: next,
+      chapterSummary,
+      contract,
+      styleCard,
+      continuityContext,
+      openLoops,
+      notes: payoffPlan(loops),
+      purpose: "draft",
+      task: "segment",
+      source: "model",
+      signal,
+      onUsage,
+      onProse
+    });
+  } else {
+    draft = await draftWholeChapter({
+      project,
+      ch: next,
+      chapterSummary,
+      contract,
+      styleCard,
+      continuityContext,
+      openLoops,
+      loops,
+      signal,
+      onUsage,
+      onProse
+    });
+  }
 
-  mergeContinuityLedger(project, next.continuity);
+  draft = await fitDraftLength({
+    project,
+    ch: next,
+    draft,
+    chapterSummary,
+    contract,
+    signal,
+    onUsage,
+    onLengthPass
+  });
 
-  const saved = await _saveProjectDirect(project);
+  if (signal?.aborted) throw new Error("Generation aborted");
+  const { saved, chapter } = await saveChapterDraft(projectId, next.index, draft);
   console.log("[engine] generateNextChapter: save complete");
-  return saved;
+
+  await recordRevision(projectId, chapter, {
+    source: "model",
+    model: modelLabel(project)
+  });
+  return autoCheckContinuity(saved, next.index, { signal, onUsage });
 }
 
 /**
  * REGENERATE A SPECIFIC CHAPTER (keeps user edits if present)
  */
-export async function regenerateChapter(projectId, chapterIndex) {
+export async function regenerateChapter(projectId, chapterIndex, options = {}) {
+  const { signal, onUsage, onLengthPass } = options;
   console.log("[engine] regenerateChapter start", { projectId, chapterIndex });
 
   const project = await getProject(projectId);
-  if (!project) throw new Error("Project not found");
-  if (!project.outline) throw new Error("Outline not found");
+  if (!project) throw httpError(404, "Project not found");
+  if (!project.outline) throw httpError(404, "Outline not found");
 
   const ch = (project.chapters || []).find((c) => c.index === chapterIndex);
-  if (!ch) throw new Error("Chapter not found");
+  if (!ch) throw httpError(404, "Chapter not found");
 
   const chapterSummary = project.outline.chapterSummaries.find(
     (cs) => cs.index === ch.index
@@ -472,7 +791,61 @@ export async function regenerateChapter(projectId, chapterIndex) {
   );
 
   const styleCard = buildStyleCard(project.inputs);
-  const continuityContext = buildContinuityContext(project, ch.index);
+  const continuityContext = await buildContinuityContext(project, ch.index, {
+    focus: [chapterSummary, contract],
+    signal,
+    onUsage
+  });
+  const openLoops = continuityContext.ledger.loops.filter((loop) => loop.status === "open");
+
+  if (scenePlan(contract).length) {
+    const draft = await draftChapterScenes({
+      project,
+      ch,
+      chapterSummary,
+      contract,
+      styleCard,
+      continuityContext,
+      openLoops,
+      purpose: "regenerate",
+      task: "regenerate-scene",
+      source: "model-regenerate",
+      signal,
+      onUsage
+    });
+    const fitted = await fitDraftLength({
+      project,
+      ch,
+      draft,
+      chapterSummary,
+      contract,
+      signal,
+      onUsage,
+      onLengthPass
+    });
+    return saveRegeneratedDraft(project, ch, fitted, { signal, onUsage });
+  }
+
+  if (segmentCount(project.inputs.chapterTargetWords) > 1) {
+    const draft = await draftLongChapter({
+      project,
+      ch,
+      chapterSummary,
+      contract,
+      styleCard,
+      continuityContext,
+      openLoops,
+      notes: ch.userText
+        ? `Existing User Text (if any):\n${ch.userText.slice(0, 2000)}\n\nRegenerate the chapter to be stronger and cleaner, preserving key beats.`
+        : "Regenerate the chapter to be stronger and cleaner, preserving key beats.",
+      purpose: "regenerate",
+      task: "regenerate-segment",
+      source: "model-regenerate",
+      signal,
+      onUsage
+    });
+    return saveRegeneratedDraft(project, ch, draft, { signal, onUsage });
+  }
 
   const instructions = `
 You are a top-tier novelist and continuity-obsessed editor.
@@ -490,6 +863,8 @@ JSON schema:
     "locationsState": { [name:string]: string },
     "timelineEvents": string[],
     "openLoops": string[],
+    "loopsAdvanced": string[],
+    "loopsClosed": string[],
     "styleNotes": string
   }
 }
@@ -502,7 +877,7 @@ Book Brief:
 ${JSON.stringify(project.brief, null, 2)}
 
 Bible:
-${JSON.stringify(project.bible, null, 2)}
+${JSON.stringify(bibleForPrompt(project.bible), null, 2)}
 
 Chapter Summary:
 ${JSON.stringify(chapterSummary, null, 2)}
@@ -518,28 +893,297 @@ ${JSON.stringify(continuityContext, null, 2)}
 
 Task:
 Regenerate the chapter to be stronger and cleaner, preserving key beats.
+${LOOP_RULES}
 `.trim();
 
   console.log("[engine] regenerateChapter: calling model...");
-  const text = await callModel({ instructions, input });
-  console.log(
-    "[engine] regenerateChapter: model output length",
-    text ? text.length : 0
+  const json = await generateJson({
+    schema: CHAPTER_SCHEMA,
+    context: { openLoops },
+    label: `chapter ${ch.index}`,
+    project,
+    task: "regenerate-chapter",
+    meta: {
+      chapterIndex: ch.index,
+      title: ch.title,
+      targetWords: project.inputs.chapterTargetWords
+    },
+    instructions,
+    input,
+    signal,
+    onUsage
+  });
+  console.log("[engine] regenerateChapter: JSON validated OK");
+
+  const draft = await fitDraftLength({
+    project,
+    ch,
+    draft: {
+      title: json.title || ch.title,
+      draftText: json.prose || "",
+      scenes: null,
+      continuity: { ...(json.continuity || {}), source: "model-regenerate" }
+    },
+    chapterSummary,
+    contract,
+    signal,
+    onUsage,
+    onLengthPass
+  });
+  return saveRegeneratedDraft(project, ch, draft, { signal, onUsage });
+}
+
+/**
+ * Save a regenerated draft over a chapter (snapshotting the old text first
+ * if it predates revision history), record it and run the continuity check.
+ */
+async function saveRegeneratedDraft(project, ch, draft, { source = "regenerate", signal, onUsage }) {
+  await ensureBaselineRevision(project.id, ch);
+
+  if (signal?.aborted) throw new Error("Generation aborted");
+  const { saved, chapter } = await saveChapterDraft(project.id, ch.index, draft);
+  console.log("[engine] regenerated chapter saved", { chapterIndex: ch.index, source });
+
+  await recordRevision(project.id, chapter, {
+    source,
+    model: modelLabel(project)
+  });
+  return autoCheckContinuity(saved, ch.index, { signal, onUsage });
+}
+
+/**
+ * REGENERATE ONE SCENE of a scene-drafted chapter, then recompute the
+ * chapter's continuity from the reassembled text.
+ */
+export async function regenerateScene(projectId, chapterIndex, sceneIndex, options = {}) {
+  const { signal, onUsage } = options;
+  console.log("[engine] regenerateScene start", { projectId, chapterIndex, sceneIndex });
+
+  const project = await getProject(projectId);
+  if (!project) throw httpError(404, "Project not found");
+
+  const ch = (project.chapters || []).find((c) => c.index === chapterIndex);
+  if (!ch) throw httpError(404, "Chapter not found");
+  if (!(ch.scenes || []).some((scene) => scene.index === sceneIndex)) {
+    throw httpError(404, "Scene not found");
+  }
+
+  const chapterSummary = project.outline?.chapterSummaries.find((cs) => cs.index === ch.index);
+  const contract = (project.chapterContracts || []).find((cc) => cc.index === ch.index);
+  const continuityContext = await buildContinuityContext(project, ch.index, {
+    focus: [chapterSummary, contract],
+    signal,
+    onUsage
+  });
+  const openLoops = continuityContext.ledger.loops.filter((loop) => loop.status === "open");
+
+  const text = await draftScene({
+    project,
+    chapterIndex: ch.index,
+    sceneIndex,
+    chapterSummary,
+    contract,
+    styleCard: buildStyleCard(project.inputs),
+    continuityContext,
+    scenes: ch.scenes,
+    task: "regenerate-scene",
+    signal,
+    onUsage
+  });
+  const scenes = ch.scenes.map((scene) =>
+    scene.index === sceneIndex ? { index: sceneIndex, text, source: "model" } : scene
   );
 
-  const json = safeJsonParse(text);
-  console.log("[engine] regenerateChapter: JSON parsed OK");
+  const draft = await assembleSceneDraft({
+    project,
+    ch,
+    scenes,
+    chapterSummary,
+    continuityContext,
+    openLoops,
+    source: "model-regenerate",
+    signal,
+    onUsage
+  });
+  return saveRegeneratedDraft(project, ch, draft, { source: "scene-regenerate", signal, onUsage });
+}
+
+/**
+ * Re-read a chapter's continuity from its current text (after a scene or
+ * chapter edit) without redrafting anything.
+ */
+export async function recomputeChapterContinuity(projectId, chapterIndex, options = {}) {
+  const { signal, onUsage } = options;
+  console.log("[engine] recomputeChapterContinuity start", { projectId, chapterIndex });
+
+  const project = await getProject(projectId);
+  if (!project) throw httpError(404, "Project not found");
+
+  const ch = (project.chapters || []).find((c) => c.index === chapterIndex);
+  if (!ch) throw httpError(404, "Chapter not found");
+  const text = ch.userText || ch.draftText || "";
+  if (!text.trim()) throw httpError(409, `Chapter ${chapterIndex} has no text yet`);
+
+  const chapterSummary = project.outline?.chapterSummaries.find((cs) => cs.index === ch.index);
+  const contract = (project.chapterContracts || []).find((cc) => cc.index === ch.index);
+  const continuityContext = await buildContinuityContext(project, ch.index, {
+    focus: [chapterSummary, contract],
+    signal,
+    onUsage
+  });
+  const openLoops = continuityContext.ledger.loops.filter((loop) => loop.status === "open");
+
+  const json = await extractChapterContinuity({
+    project,
+    chapterIndex: ch.index,
+    title: ch.title,
+    text,
+    chapterSummary,
+    continuityContext,
+    openLoops,
+    loopRules: LOOP_RULES,
+    signal,
+    onUsage
+  });
+
+  if (signal?.aborted) throw new Error("Generation aborted");
+  const saved = await mutateProject(projectId, (fresh) => {
+    const target = (fresh.chapters || []).find((c) => c.index === chapterIndex);
+    if (!target) {
+      throw httpError(409, `Chapter ${chapterIndex} was removed while its continuity was being read`);
+    }
+    target.continuity = { ...json.continuity, source: "model-extract" };
+    delete target.continuityStale;
+    if (target.continuityCheck) target.continuityCheck.stale = true;
+    fresh.continuityLedger = buildLedger(fresh.chapters);
+  });
+  console.log("[engine] recomputeChapterContinuity complete", { chapterIndex });
+  return autoCheckContinuity(saved, chapterIndex, { signal, onUsage });
+}
+
+/**
+ * IMPORTED MANUSCRIPT
+ *
+ * Read an imported manuscript (lib/import.js) back: each chapter's
+ * continuity in order, as if it had just been drafted, then a brief and
+ * bible reconstructed from what the chapters establish. Chapters that
+ * already have continuity are skipped, so a retried job carries on where
+ * it stopped. The outline comes afterwards, from generateOutline, and plans
+ * the rest of the book around the chapters already written.
+ */
+export async function reconstructImportedBook(projectId, options = {}) {
+  const { signal, onUsage, setProgress } = options;
+  console.log("[engine] reconstructImportedBook start", { projectId });
+
+  let project = await getProject(projectId);
+  if (!project) throw httpError(404, "Project not found");
+
+  const written = (project.chapters || [])
+    .filter((c) => (c.userText || c.draftText || "").trim())
+    .sort((a, b) => a.index - b.index);
+  if (!written.length) throw httpError(409, "The project has no chapter text to read");
+
+  for (const ch of written) {
+    const current = project.chapters.find((c) => c.index === ch.index);
+    if (!current || current.continuity) continue;
+    if (setProgress) await setProgress({ step: "continuity", chapter: ch.index, total: written.length });
+
+    const continuityContext = await buildContinuityContext(project, ch.index, { signal, onUsage });
+    const openLoops = continuityContext.ledger.loops.filter((loop) => loop.status === "open");
+    const json = await extractChapterContinuity({
+      project,
+      chapterIndex: ch.index,
+      title: current.title,
+      text: current.userText || current.draftText,
+      chapterSummary: null,
+      continuityContext,
+      openLoops,
+      loopRules: LOOP_RULES,
+      signal,
+      onUsage
+    });
+
+    if (signal?.aborted) throw new Error("Generation aborted");
+    project = await mutateProject(projectId, (fresh) => {
+      const target = (fresh.chapters || []).find((c) => c.index === ch.index);
+      if (!target) {
+        throw httpError(409, `Chapter ${ch.index} was removed while its continuity was being read`);
+      }
+      if (!target.title && json.title) target.title = json.title;
+      target.continuity = { ...json.continuity, source: "model-extract" };
+      fresh.continuityLedger = buildLedger(fresh.chapters);
+    });
+  }
+
+  if (setProgress) await setProgress({ step: "brief-bible", total: written.length });
+
+  const styleCard = buildStyleCard(project.inputs);
+  const snapshot = ledgerAsOf(project.continuityLedger);
+  const summaries = bookChapters(project)
+    .filter((ch) => ch.text)
+    .map((ch) => ({
+      index: ch.index,
+      title: ch.title,
+      summary: project.chapters.find((c) => c.index === ch.index)?.continuity?.chapterSummary || ""
+    }));
+  const opening = (bookChapters(project).find((ch) => ch.text)?.text || "").split(/\s+/).slice(0, 1500).join(" ");
+
+  const instructions = `
+You are a senior book architect reading a manuscript the author has started.
+Return ONLY valid JSON.
+
+JSON schema:
+${BRIEF_BIBLE_JSON}
+`.trim();
+
+  const input = `
+${styleCard}
+
+Working title: ${project.inputs.title || "—"}
 
-  ch.title = json.title || ch.title;
-  ch.draftText = json.prose || "";
-  ch.continuity = { ...(json.continuity || {}), source: "model-regenerate" };
-  // Don't auto-override userText; user chooses to keep/edit manually.
-  ch.approved = Boolean(ch.userText && ch.userText.trim().length > 50);
+Chapters written so far:
+${JSON.stringify(summaries, null, 2)}
 
-  mergeContinuityLedger(project, ch.continuity);
+Characters and locations as the last written chapter leaves them:
+${JSON.stringify({ characters: snapshot.characters, locations: snapshot.locations }, null, 2)}
 
-  const saved = await _saveProjectDirect(project);
-  console.log("[engine] regenerateChapter: save complete");
+Open loops:
+${JSON.stringify(snapshot.loops.filter((loop) => loop.status === "open").map((loop) => loop.text), null, 2)}
+
+Opening of the manuscript:
+${opening}
+
+Task:
+- Describe the book as the author has written it; don't reinvent it.
+- titleSuggestion: the working title, unless there is none.
+- Bible: the characters and locations the chapters establish, in the author's
+  voice and detail. worldRules and timelineSeed: what the text has set up.
+`.trim();
+
+  const json = await generateJson({
+    schema: BRIEF_BIBLE_SCHEMA,
+    label: "imported brief/bible",
+    project,
+    task: "import-brief-bible",
+    instructions,
+    input,
+    signal,
+    onUsage
+  });
+
+  if (signal?.aborted) throw new Error("Generation aborted");
+  const saved = await mutateProject(projectId, (fresh) => {
+    fresh.brief = json.brief;
+    fresh.bible = mergeGeneratedBible(fresh.bible, json.bible);
+
+    if (!fresh.inputs.title && json.brief?.titleSuggestion) {
+      fresh.inputs.title = json.brief.titleSuggestion;
+    }
+    if (!fresh.inputs.coreConcept && json.brief?.coreConcept) {
+      fresh.inputs.coreConcept = json.brief.coreConcept;
+    }
+  });
+  console.log("[engine] reconstructImportedBook complete", { chapters: written.length });
   return saved;
 }
 
@@ -550,85 +1194,140 @@ export async function compileBookMarkdown(projectId) {
   console.log("[engine] compileBookMarkdown", { projectId });
 
   const project = await getProject(projectId);
-  if (!project) throw new Error("Project not found");
-
-  let output = "";
-
-  const title =
-    project.inputs.title ||
-    project.brief?.titleSuggestion ||
-    "Untitled Book";
+  if (!project) throw httpError(404, "Project not found");
 
-  output += `# ${title}\n\n`;
+  const chapters = bookChapters(project);
+  const back = backMatterSections(project);
+  const contents = [...chapters, ...back].map((entry) => entry.heading);
+  let output = `# ${bookTitle(project)}\n\n`;
 
+  if (project.metadata.author) {
+    output += `*by ${project.metadata.author}*\n\n`;
+  }
   if (project.brief?.oneSentenceHook) {
     output += `> ${project.brief.oneSentenceHook}\n\n`;
   }
 
-  const sorted = [...(project.chapters || [])].sort(
-    (a, b) => a.index - b.index
-  );
+  for (const section of frontMatterSections(project)) {
+    if (section.kind === "copyright") {
+      output += section.lines.join("  \n") + "\n\n";
+    } else if (section.kind === "dedication") {
+      output += toMarkdown(section.text) + "\n\n";
+    } else if (section.kind === "epigraph") {
+      const lines = textBlocks(section.text).flatMap((block) => block.lines || []);
+      if (section.source) lines.push(`— ${section.source}`);
+      output += lines.map((line) => `> ${line}`).join("  \n") + "\n\n";
+    } else if (section.kind === "toc") {
+      output += `## ${section.heading}\n\n`;
+      output += contents.map((heading) => `- ${heading}`).join("\n") + "\n\n";
+    }
+  }
 
-  for (const ch of sorted) {
-    output += `## Chapter ${ch.index}: ${ch.title || ""}\n\n`;
+  for (const ch of chapters) {
+    output += `## ${ch.heading}\n\n`;
+    output += toMarkdown(ch.text) + "\n\n";
+  }
 
-    const text =
-      (ch.userText && ch.userText.trim()) || ch.draftText || "";
-    output += text.trim() + "\n\n";
+  for (const section of back) {
+    output += `## ${section.heading}\n\n`;
+    output += section.items
+      ? section.items.map((item) => `- ${item}`).join("\n") + "\n\n"
+      : toMarkdown(section.text) + "\n\n";
   }
 
   return output;
 }
 
+// Chapter markup (lib/markup.js) as DOCX paragraphs: real italic and bold
+// runs, line breaks kept, quotes indented and scene breaks centred.
+function docxParagraphs(text) {
+  return textBlocks(text).map((block) =>
+    block.sceneBreak
+      ? new Paragraph({ text: SCENE_BREAK, alignment: AlignmentType.CENTER })
+      : new Paragraph({
+          children: docxRuns(block.lines),
+          indent: block.quote ? { left: 720, right: 720 } : undefined
+        })
+  );
+}
+
 /**
- * Build a DOCX buffer for download.
+ * Build a DOCX buffer for download. Each front- and back-matter section
+ * starts on a new page.
  */
 export async function compileBookDocxBuffer(projectId) {
   console.log("[engine] compileBookDocxBuffer", { projectId });
 
   const project = await getProject(projectId);
-  if (!project) throw new Error("Project not found");
+  if (!project) throw httpError(404, "Project not found");
 
+  const chapters = bookChapters(project);
+  const back = backMatterSections(project);
   const docChildren = [];
 
-  const title =
-    project.inputs.title ||
-    project.brief?.titleSuggestion ||
-    "Untitled Book";
-
   docChildren.push(
     new Paragraph({
-      text: title,
+      text: bookTitle(project),
       heading: HeadingLevel.TITLE
     })
   );
 
+  if (project.metadata.author) {
+    docChildren.push(new Paragraph({ text: project.metadata.author, alignment: AlignmentType.CENTER }));
+  }
+
   if (project.brief?.oneSentenceHook) {
     docChildren.push(
       new Paragraph({ text: project.brief.oneSentenceHook })
     );
   }
 
-  const sorted = [...(project.chapters || [])].sort(
-    (a, b) => a.index - b.index
-  );
+  for (const section of frontMatterSections(project)) {
+    if (section.kind === "copyright") {
+      section.lines.forEach((line, i) =>
+        docChildren.push(new Paragraph({ text: line, pageBreakBefore: i === 0 }))
+      );
+    } else if (section.kind === "dedication" || section.kind === "epigraph") {
+      const blocks = textBlocks(section.text).filter((block) => block.lines);
+      if (section.source) blocks.push({ lines: [`— ${section.source}`] });
+      blocks.forEach((block, i) =>
+        docChildren.push(
+          new Paragraph({
+            children: docxRuns(block.lines, { italic: section.kind === "dedication" }),
+            alignment: AlignmentType.CENTER,
+            pageBreakBefore: i === 0
+          })
+        )
+      );
+    } else if (section.kind === "toc") {
+      docChildren.push(
+        new Paragraph({ text: section.heading, heading: HeadingLevel.HEADING_1, pageBreakBefore: true })
+      );
+      for (const entry of [...chapters, ...back]) docChildren.push(new Paragraph({ text: entry.heading }));
+    }
+  }
 
-  for (const ch of sorted) {
+  for (const ch of chapters) {
     docChildren.push(
       new Paragraph({
-        text: `Chapter ${ch.index}: ${ch.title || ""}`,
-        heading: HeadingLevel.HEADING_1
+        text: ch.heading,
+        heading: HeadingLevel.HEADING_1,
+        // Front matter ends on its own page.
+        pageBreakBefore: ch === chapters[0]
       })
     );
 
-    const text =
-      (ch.userText && ch.userText.trim()) || ch.draftText || "";
-    const paragraphs = (text || "").split(/\n{2,}/);
+    docChildren.push(...docxParagraphs(ch.text));
+  }
 
-    for (const p of paragraphs) {
-      const clean = p.replace(/\n/g, " ").trim();
-      if (!clean) continue;
-      docChildren.push(new Paragraph(clean));
+  for (const section of back) {
+    docChildren.push(
+      new Paragraph({ text: section.heading, heading: HeadingLevel.HEADING_1, pageBreakBefore: true })
+    );
+    if (section.items) {
+      for (const item of section.items) docChildren.push(new Paragraph({ children: docxRuns([item]) }));
+    } else {
+      docChildren.push(...docxParagraphs(section.text));
     }
   }
 
@@ -0,0 +1,317 @@
+import JSZip from "jszip";
+
+import { getProject } from "./storage.js";
+import { httpError } from "./errors.js";
+import { bookTitle, bookChapters, frontMatterSections, backMatterSections } from "./book.js";
+import { textBlocks, inlineHtml } from "./markup.js";
+
+/**
+ * EPUB 3 export, built in memory with JSZip.
+ *
+ * Layout:
+ *   mimetype                      (first entry, stored uncompressed)
+ *   META-INF/container.xml
+ *   OEBPS/content.opf             package document: metadata, manifest, spine
+ *   OEBPS/nav.xhtml               navigation document (toc + landmarks)
+ *   OEBPS/styles/book.css
+ *   OEBPS/text/title.xhtml
+ *   OEBPS/text/copyright.xhtml, dedication.xhtml, epigraph.xhtml
+ *   OEBPS/text/chapter-001.xhtml  one per chapter
+ *   OEBPS/text/acknowledgements.xhtml, about-author.xhtml, also-by.xhtml
+ *
+ * The navigation document doubles as the printed contents page: it sits in
+ * the spine after the front matter, or out of the reading order when the
+ * table of contents is turned off.
+ */
+
+const STYLESHEET = `
+body { margin: 0 5%; font-family: serif; line-height: 1.5; }
+h1 { font-size: 1.6em; text-align: center; margin: 2em 0 1.5em; page-break-before: always; }
+p { margin: 0; text-indent: 1.5em; text-align: justify; }
+h1 + p, hr.scene-break + p, blockquote + p { text-indent: 0; }
+blockquote { margin: 1em 2em; }
+blockquote p { text-indent: 0; }
+hr.scene-break { border: 0; margin: 1.2em 0; text-align: center; }
+hr.scene-break::after { content: "* * *"; }
+.title-page { text-align: center; margin-top: 30%; }
+.title-page h1 { page-break-before: avoid; font-size: 2em; }
+.title-page .author { margin-top: 1em; font-size: 1.2em; }
+.title-page .hook { margin-top: 2em; font-style: italic; text-indent: 0; text-align: center; }
+nav ol { list-style: none; padding-left: 0; }
+.copyright-page { margin-top: 50%; font-size: 0.85em; }
+.copyright-page p, .dedication p, .epigraph p, .also-by p { text-indent: 0; text-align: center; }
+.copyright-page p { text-align: left; }
+.dedication, .epigraph { margin-top: 30%; font-style: italic; }
+.epigraph .source { font-style: normal; margin-top: 1em; }
+`.trim();
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// dcterms:modified must be CCYY-MM-DDThh:mm:ssZ, without milliseconds.
+function modifiedStamp(ms) {
+  return new Date(ms || Date.now()).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+function chapterFile(index) {
+  return `chapter-${String(index).padStart(3, "0")}.xhtml`;
+}
+
+function xhtmlDocument({ title, language, body, bodyType, stylesheet = "../styles/book.css" }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="${stylesheet}" />
+</head>
+<body${bodyType ? ` epub:type="${bodyType}"` : ""}>
+${body}
+</body>
+</html>
+`;
+}
+
+// Chapter markup (lib/markup.js) as XHTML: paragraphs, scene breaks,
+// block quotes, <br /> line breaks, <em> and <strong>.
+function blocksToXhtml(text) {
+  return textBlocks(text)
+    .map((block) => {
+      if (block.sceneBreak) return `<hr class="scene-break" />`;
+      const paragraph = `<p>${block.lines.map(inlineHtml).join("<br />")}</p>`;
+      return block.quote ? `<blockquote>${paragraph}</blockquote>` : paragraph;
+    })
+    .join("\n");
+}
+
+function containerXml() {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`;
+}
+
+function packageOpf({ project, title, author, language, documents }) {
+  const manifest = [
+    `<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />`,
+    `<item id="css" href="styles/book.css" media-type="text/css" />`,
+    ...documents
+      .filter((doc) => doc.id !== "nav")
+      .map((doc) => `<item id="${doc.id}" href="${doc.href}" media-type="application/xhtml+xml" />`)
+  ];
+  const metadata = [
+    `<dc:identifier id="book-id">urn:uuid:${escapeXml(project.id)}</dc:identifier>`,
+    `<dc:title>${escapeXml(title)}</dc:title>`,
+    `<dc:language>${escapeXml(language)}</dc:language>`
+  ];
+  if (author) {
+    metadata.push(
+      `<dc:creator id="author">${escapeXml(author)}</dc:creator>`,
+      `<meta refines="#author" property="role" scheme="marc:relators">aut</meta>`
+    );
+  }
+  const { publisher, isbn } = project.metadata;
+  if (publisher) metadata.push(`<dc:publisher>${escapeXml(publisher)}</dc:publisher>`);
+  if (isbn) metadata.push(`<dc:identifier id="isbn">urn:isbn:${escapeXml(isbn.replace(/[\s-]/g, ""))}</dc:identifier>`);
+  if (project.brief?.oneSentenceHook) {
+    metadata.push(`<dc:description>${escapeXml(project.brief.oneSentenceHook)}</dc:description>`);
+  }
+  metadata.push(`<meta property="dcterms:modified">${modifiedStamp(project.updatedAt)}</meta>`);
+
+  const spine = documents.map(
+    (doc) => `<itemref idref="${doc.id}"${doc.linear === false ? ' linear="no"' : ""} />`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    ${metadata.join("\n    ")}
+  </metadata>
+  <manifest>
+    ${manifest.join("\n    ")}
+  </manifest>
+  <spine>
+    ${spine.join("\n    ")}
+  </spine>
+</package>
+`;
+}
+
+function navXhtml({ title, language, documents }) {
+  const entries = documents
+    .filter((doc) => doc.label)
+    .map((doc) => `<li><a href="${doc.href}">${escapeXml(doc.label)}</a></li>`)
+    .join("\n      ");
+  const firstChapter = documents.find((doc) => doc.id.startsWith("chapter-"));
+  const bodymatter = firstChapter
+    ? `\n      <li><a epub:type="bodymatter" href="${firstChapter.href}">Start of Content</a></li>`
+    : "";
+
+  // nav.xhtml sits next to content.opf, so its links and stylesheet are relative to OEBPS/.
+  return xhtmlDocument({
+    title,
+    language,
+    stylesheet: "styles/book.css",
+    body: `<nav epub:type="toc" id="toc" role="doc-toc">
+  <h1>Contents</h1>
+  <ol>
+      ${entries}
+  </ol>
+</nav>
+<nav epub:type="landmarks" id="landmarks" hidden="hidden">
+  <ol>
+      <li><a epub:type="toc" href="#toc">Contents</a></li>${bodymatter}
+  </ol>
+</nav>`
+  });
+}
+
+function titlePageXhtml({ project, title, author, language }) {
+  const hook = project.brief?.oneSentenceHook;
+  return xhtmlDocument({
+    title,
+    language,
+    bodyType: "frontmatter",
+    body: `<section class="title-page" epub:type="titlepage">
+<h1>${escapeXml(title)}</h1>
+${author ? `<p class="author">${escapeXml(author)}</p>` : ""}
+${hook ? `<p class="hook">${escapeXml(hook)}</p>` : ""}
+</section>`
+  });
+}
+
+// Front matter other than the contents page, which is the nav document.
+function frontMatterXhtml(section, language) {
+  if (section.kind === "copyright") {
+    return xhtmlDocument({
+      title: "Copyright",
+      language,
+      bodyType: "frontmatter",
+      body: `<section class="copyright-page" epub:type="copyright-page">
+${section.lines.map((line) => `<p>${escapeXml(line)}</p>`).join("\n")}
+</section>`
+    });
+  }
+  const source = section.source ? `\n<p class="source">— ${escapeXml(section.source)}</p>` : "";
+  return xhtmlDocument({
+    title: section.kind === "dedication" ? "Dedication" : "Epigraph",
+    language,
+    bodyType: "frontmatter",
+    body: `<section class="${section.kind}" epub:type="${section.kind}">
+${blocksToXhtml(section.text)}${source}
+</section>`
+  });
+}
+
+const BACK_MATTER_TYPES = { acknowledgements: "acknowledgments", "about-author": "", "also-by": "" };
+
+function backMatterXhtml(section, language) {
+  const type = BACK_MATTER_TYPES[section.kind];
+  const content = section.items
+    ? section.items.map((item) => `<p>${escapeXml(item)}</p>`).join("\n")
+    : blocksToXhtml(section.text);
+  return xhtmlDocument({
+    title: section.heading,
+    language,
+    bodyType: "backmatter",
+    body: `<section class="${section.kind}"${type ? ` epub:type="${type}"` : ""}>
+<h1>${escapeXml(section.heading)}</h1>
+${content}
+</section>`
+  });
+}
+
+function chapterXhtml(ch, language) {
+  return xhtmlDocument({
+    title: ch.heading,
+    language,
+    bodyType: "bodymatter",
+    body: `<section epub:type="chapter" role="doc-chapter" id="chapter-${ch.index}">
+<h1>${escapeXml(ch.heading)}</h1>
+${blocksToXhtml(ch.text)}
+</section>`
+  });
+}
+
+/**
+ * Build an EPUB 3 buffer for download.
+ */
+export async function compileBookEpubBuffer(projectId) {
+  console.log("[epub] compileBookEpubBuffer", { projectId });
+
+  const project = await getProject(projectId);
+  if (!project) throw httpError(404, "Project not found");
+
+  const title = bookTitle(project);
+  const { author, language } = project.metadata;
+  const chapters = bookChapters(project);
+
+  // Reading order. `label` puts a document in the table of contents.
+  const documents = [
+    {
+      id: "title-page",
+      href: "text/title.xhtml",
+      xhtml: titlePageXhtml({ project, title, author, language })
+    }
+  ];
+  let hasToc = false;
+  for (const section of frontMatterSections(project)) {
+    if (section.kind === "toc") {
+      documents.push({ id: "nav", href: "nav.xhtml" });
+      hasToc = true;
+      continue;
+    }
+    documents.push({
+      id: section.kind,
+      href: `text/${section.kind}.xhtml`,
+      xhtml: frontMatterXhtml(section, language)
+    });
+  }
+  for (const ch of chapters) {
+    documents.push({
+      id: `chapter-${ch.index}`,
+      href: `text/${chapterFile(ch.index)}`,
+      label: ch.heading,
+      xhtml: chapterXhtml(ch, language)
+    });
+  }
+  for (const section of backMatterSections(project)) {
+    documents.push({
+      id: section.kind,
+      href: `text/${section.kind}.xhtml`,
+      label: section.heading,
+      xhtml: backMatterXhtml(section, language)
+    });
+  }
+  if (!hasToc) documents.push({ id: "nav", href: "nav.xhtml", linear: false });
+
+  const zip = new JSZip();
+  // No separate directory entries; readers only need the files.
+  const add = (name, content, options = {}) => zip.file(name, content, { createFolders: false, ...options });
+
+  // The OCF container requires mimetype first and uncompressed.
+  add("mimetype", "application/epub+zip", { compression: "STORE" });
+  add("META-INF/container.xml", containerXml());
+  add("OEBPS/content.opf", packageOpf({ project, title, author, language, documents }));
+  add("OEBPS/nav.xhtml", navXhtml({ title, language, documents }));
+  add("OEBPS/styles/book.css", STYLESHEET + "\n");
+  for (const doc of documents) {
+    if (doc.xhtml) add(`OEBPS/${doc.href}`, doc.xhtml);
+  }
+
+  return zip.generateAsync({
+    type: "nodebuffer",
+    mimeType: "application/epub+zip",
+    compression: "DEFLATE"
+  });
+}
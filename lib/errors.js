@@ -0,0 +1,10 @@
+/**
+ * Errors that carry an HTTP status for server.js to send.
+ * Anything thrown without a status is reported as a 500.
+ */
+export function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
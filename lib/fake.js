@@ -0,0 +1,223 @@
+import crypto from "crypto";
+
+/**
+ * Offline "fake" model. Returns schema-valid JSON for every engine task so
+ * the whole pipeline can run without network access. Output is a pure
+ * function of (task, meta, input): the same prompt always yields the same text.
+ */
+
+const WORDS = [
+  "lantern", "harbour", "quiet", "storm", "letter", "bridge", "silver", "market",
+  "window", "promise", "shadow", "river", "engine", "garden", "ledger", "signal",
+  "winter", "station", "orchard", "mirror", "archive", "compass", "tide", "ember"
+];
+
+const NAMES = ["Mara Quill", "Tobias Venn", "Ilse Marrow", "Oren Pike"];
+const PLACES = ["Saltmarsh Quay", "The Glass Archive", "Hollow Lane"];
+
+function seedFrom(...parts) {
+  return crypto.createHash("sha256").update(parts.join("|")).digest();
+}
+
+function pick(list, seed, i) {
+  return list[seed[i % seed.length] % list.length];
+}
+
+function sentence(seed, offset) {
+  const len = 8 + (seed[offset % seed.length] % 8);
+  const words = [];
+  for (let i = 0; i < len; i++) {
+    words.push(pick(WORDS, seed, offset + i * 7));
+  }
+  const text = words.join(" ");
+  return text.charAt(0).toUpperCase() + text.slice(1) + ".";
+}
+
+function prose(seed, targetWords) {
+  const paragraphs = [];
+  let count = 0;
+  let offset = 0;
+  while (count < targetWords) {
+    const sentences = [];
+    for (let i = 0; i < 5; i++) {
+      const s = sentence(seed, offset++);
+      sentences.push(s);
+      count += s.split(/\s+/).length;
+    }
+    paragraphs.push(sentences.join(" "));
+  }
+  return paragraphs.join("\n\n");
+}
+
+function fakeBriefAndBible(seed) {
+  return {
+    brief: {
+      titleSuggestion: `The ${pick(WORDS, seed, 1)} ${pick(WORDS, seed, 2)}`,
+      oneSentenceHook: sentence(seed, 3),
+      coreConcept: sentence(seed, 4),
+      genreLabel: "General Fiction",
+      targetAudienceLabel: "Adult",
+      positioning: sentence(seed, 5),
+      themes: [pick(WORDS, seed, 6), pick(WORDS, seed, 7)],
+      comparisons: []
+    },
+    bible: {
+      characters: NAMES.slice(0, 2).map((name, i) => ({
+        name,
+        role: i === 0 ? "protagonist" : "antagonist",
+        traits: [pick(WORDS, seed, 10 + i), pick(WORDS, seed, 12 + i)],
+        wants: sentence(seed, 14 + i),
+        fears: sentence(seed, 16 + i),
+        voiceNotes: sentence(seed, 18 + i),
+        appearance: sentence(seed, 20 + i)
+      })),
+      locations: PLACES.slice(0, 2).map((name, i) => ({
+        name,
+        type: "setting",
+        sensoryNotes: sentence(seed, 22 + i),
+        rules: sentence(seed, 24 + i)
+      })),
+      worldRules: [sentence(seed, 26)],
+      timelineSeed: [sentence(seed, 27)]
+    }
+  };
+}
+
+function fakeOutline(seed, totalChapters) {
+  const indices = Array.from({ length: totalChapters }, (_, i) => i + 1);
+  return {
+    outline: {
+      overallArc: sentence(seed, 1),
+      acts: [
+        { actIndex: 1, label: "Setup", goal: sentence(seed, 2) },
+        { actIndex: 2, label: "Confrontation", goal: sentence(seed, 3) },
+        { actIndex: 3, label: "Resolution", goal: sentence(seed, 4) }
+      ],
+      chapterSummaries: indices.map((index) => ({
+        index,
+        title: `The ${pick(WORDS, seed, index * 3)}`,
+        summary: sentence(seed, index * 5),
+        povCharacter: pick(NAMES, seed, index),
+        setting: pick(PLACES, seed, index),
+        conflict: sentence(seed, index * 5 + 1),
+        resolutionBeat: sentence(seed, index * 5 + 2)
+      }))
+    },
+    chapterContracts: indices.map((index) => ({
+      index,
+      title: `The ${pick(WORDS, seed, index * 3)}`,
+      mustInclude: [sentence(seed, index * 5 + 3)],
+      mustAvoid: [],
+      continuityFocus: [pick(NAMES, seed, index)],
+      endingHookIntent: sentence(seed, index * 5 + 4),
+      scenes: [0, 1].map((i) => ({
+        goal: sentence(seed, index * 7 + i),
+        conflict: sentence(seed, index * 7 + i + 2),
+        outcome: sentence(seed, index * 7 + i + 4),
+        pov: pick(NAMES, seed, index + i),
+        setting: pick(PLACES, seed, index + i)
+      }))
+    }))
+  };
+}
+
+function fakeContinuity(seed) {
+  const pov = pick(NAMES, seed, 1);
+  const place = pick(PLACES, seed, 2);
+  return {
+    chapterSummary: sentence(seed, 3),
+    charactersState: { [pov]: sentence(seed, 4) },
+    locationsState: { [place]: sentence(seed, 5) },
+    timelineEvents: [sentence(seed, 6)],
+    openLoops: [sentence(seed, 7)],
+    loopsAdvanced: [],
+    loopsClosed: [],
+    styleNotes: "Fake provider output."
+  };
+}
+
+function fakeChapter(seed, meta) {
+  return {
+    title: meta.title || `Chapter ${meta.chapterIndex || 1}`,
+    prose: prose(seed, meta.targetWords || 600),
+    continuity: fakeContinuity(seed)
+  };
+}
+
+// Length passes land on the target and keep the chapter's scene breaks.
+function fakeLengthPass(seed, meta) {
+  const parts = (Number(meta.sceneBreaks) || 0) + 1;
+  const each = Math.ceil((meta.targetWords || 600) / parts);
+  return {
+    prose: Array.from({ length: parts }, (_, i) => prose(seedFrom(seed.toString("hex"), i), each)).join("\n\n* * *\n\n")
+  };
+}
+
+export function fakeResponse({ task, meta = {}, input }) {
+  const seed = seedFrom(task, input);
+
+  // Repair calls ask for the same document again.
+  switch (String(task).replace(/-repair$/, "")) {
+    case "brief-bible":
+    case "import-brief-bible":
+      return fakeBriefAndBible(seed);
+    case "outline":
+      return fakeOutline(seed, Math.max(1, Number(meta.totalChapters) || 3));
+    case "chapter":
+    case "regenerate-chapter":
+      return fakeChapter(seed, meta);
+    case "scene":
+    case "regenerate-scene":
+      return { prose: prose(seed, meta.targetWords || 300) };
+    case "segment-plan":
+      return {
+        segments: Array.from({ length: Math.max(1, Number(meta.segments) || 2) }, (_, i) => ({
+          beats: sentence(seed, i * 2),
+          endPoint: sentence(seed, i * 2 + 1)
+        }))
+      };
+    case "segment":
+    case "regenerate-segment":
+      return { prose: prose(seed, meta.targetWords || 600) };
+    case "length-expand":
+    case "length-condense":
+      return fakeLengthPass(seed, meta);
+    case "chapter-continuity":
+      return { title: meta.title || `Chapter ${meta.chapterIndex || 1}`, continuity: fakeContinuity(seed) };
+    case "arc-summary":
+      return { summary: sentence(seed, 1), keyEvents: [sentence(seed, 2), sentence(seed, 3)] };
+    case "continuity-check":
+      return { issues: [] };
+    default:
+      return {};
+  }
+}
+
+function usageFor(instructions, input, text) {
+  return {
+    inputTokens: Math.ceil(((instructions || "").length + (input || "").length) / 4),
+    outputTokens: Math.ceil(text.length / 4)
+  };
+}
+
+export function createFakeProvider({ name, model }) {
+  return {
+    name,
+    model,
+    async complete({ task, meta, instructions, input }) {
+      const text = JSON.stringify(fakeResponse({ task, meta, input }), null, 2);
+      return { text, usage: usageFor(instructions, input, text) };
+    },
+
+    async stream({ task, meta, instructions, input, signal, onToken }) {
+      const text = JSON.stringify(fakeResponse({ task, meta, input }), null, 2);
+      for (let i = 0; i < text.length; i += 40) {
+        if (signal?.aborted) throw new Error("Aborted");
+        onToken(text.slice(i, i + 40));
+        // Yield so the stream actually looks like a stream.
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      return { text, usage: usageFor(instructions, input, text) };
+    }
+  };
+}
@@ -0,0 +1,110 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Record/replay of model calls.
+ *
+ * MODEL_FIXTURES=record  wraps the real provider and writes every
+ *                        request/response pair to MODEL_FIXTURES_DIR.
+ * MODEL_FIXTURES=replay  never touches the network; answers come from the
+ *                        recorded files and a missing fixture is an error.
+ *
+ * Fixtures are keyed by a hash of (task, instructions, input), so replay is
+ * independent of which provider or model produced the recording.
+ */
+
+export const FIXTURES_MODE = process.env.MODEL_FIXTURES || "";
+export const FIXTURES_DIR = path.resolve(
+  process.env.MODEL_FIXTURES_DIR || "fixtures/model"
+);
+
+export function fixtureKey({ task, instructions, input }) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([task || "", instructions || "", input || ""]))
+    .digest("hex");
+}
+
+function fixturePath(dir, task, key) {
+  return path.join(dir, `${task || "call"}-${key.slice(0, 24)}.json`);
+}
+
+async function writeFixture(dir, provider, request, response) {
+  const key = fixtureKey(request);
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    fixturePath(dir, request.task, key),
+    JSON.stringify(
+      {
+        key,
+        task: request.task || null,
+        provider: provider.name,
+        model: provider.model,
+        request: {
+          instructions: request.instructions,
+          input: request.input
+        },
+        response
+      },
+      null,
+      2
+    )
+  );
+  console.log("[fixtures] recorded", request.task, key.slice(0, 12));
+}
+
+async function readFixture(dir, request) {
+  const key = fixtureKey(request);
+  const file = fixturePath(dir, request.task, key);
+
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch {
+    throw new Error(
+      `No recorded fixture for task "${request.task}" (${key.slice(0, 12)}) in ${dir}`
+    );
+  }
+
+  console.log("[fixtures] replayed", request.task, key.slice(0, 12));
+  return JSON.parse(raw).response;
+}
+
+export function withRecording(provider, dir = FIXTURES_DIR) {
+  const recorder = {
+    name: provider.name,
+    model: provider.model,
+    async complete(request) {
+      const response = await provider.complete(request);
+      await writeFixture(dir, provider, request, response);
+      return response;
+    }
+  };
+
+  if (provider.stream) {
+    recorder.stream = async (request) => {
+      const response = await provider.stream(request);
+      await writeFixture(dir, provider, request, response);
+      return response;
+    };
+  }
+
+  return recorder;
+}
+
+export function createReplayProvider(dir = FIXTURES_DIR) {
+  return {
+    name: "replay",
+    model: path.basename(dir),
+    complete(request) {
+      return readFixture(dir, request);
+    },
+    async stream(request) {
+      const response = await readFixture(dir, request);
+      request.onToken(response.text);
+      return response;
+    }
+  };
+}
@@ -0,0 +1,483 @@
+import mammoth from "mammoth";
+
+import { createProject, mutateProject } from "./storage.js";
+import { buildLedger } from "./ledger.js";
+import { recordRevision } from "./revisions.js";
+import { httpError } from "./errors.js";
+import { countWords } from "./words.js";
+import { SCENE_BREAK_LINE, plainText } from "./markup.js";
+
+/**
+ * Manuscript import: a DOCX, Markdown or plain-text file becomes a new
+ * project whose chapters are the author's text.
+ *
+ * Every format is first turned into chapter markup (lib/markup.js) with
+ * headings kept as "#" lines, then split into chapters at "Chapter 12",
+ * "Chapter Twelve: Title", "Prologue" and similar lines. A file without
+ * such lines is split at its most common Markdown/Word heading level, and
+ * failing that is a single chapter.
+ *
+ * Nothing here calls the model. Imported chapters are stored as drafted and
+ * approved, with no continuity yet; the "import-manuscript" job
+ * (reconstructImportedBook in lib/engine.js) reads them back.
+ */
+
+export const IMPORT_FORMATS = {
+  docx: [".docx"],
+  markdown: [".md", ".markdown"],
+  text: [".txt"]
+};
+
+/**
+ * The import format from an explicit `format`, else from the file
+ * extension. Unknown formats are a 400.
+ */
+export function importFormat(filename = "", format = "") {
+  if (format) {
+    if (!IMPORT_FORMATS[format]) {
+      throw httpError(400, `Unknown import format "${format}". Use one of: ${Object.keys(IMPORT_FORMATS).join(", ")}`);
+    }
+    return format;
+  }
+  const name = String(filename).toLowerCase();
+  const found = Object.keys(IMPORT_FORMATS).find((key) => IMPORT_FORMATS[key].some((ext) => name.endsWith(ext)));
+  if (!found) {
+    throw httpError(400, `Can't tell the format of "${filename || "the file"}". Import a .docx, .md or .txt file`);
+  }
+  return found;
+}
+
+// ---------- Format conversion ----------
+
+// A line that is only *, #, ~ or - marks (***, # # #, ~~~, ---).
+const SCENE_BREAK_MARKS = /^\s*(?:[*#~•·-]\s*){1,5}$/;
+
+function isSceneBreak(line) {
+  return SCENE_BREAK_LINE.test(line) || SCENE_BREAK_MARKS.test(line);
+}
+
+function escapeMarkup(text) {
+  return text.replace(/[\\*_]/g, "\\$&");
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * Decode the character references in mammoth's HTML text. A numeric one
+ * that isn't a Unicode scalar value (past U+10FFFF, or a surrogate) becomes
+ * U+FFFD, as an HTML parser would, rather than a RangeError.
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      const scalar = point <= 0x10ffff && !(point >= 0xd800 && point <= 0xdfff);
+      return scalar ? String.fromCodePoint(point) : "\uFFFD";
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Spans of one paragraph as markup. Whitespace is moved outside the
+ * markers so emphasis hugs its text, and italics right after bold use _
+ * so "**bold**_italic_" doesn't read as a run of asterisks.
+ */
+function spansToMarkup(spans) {
+  const merged = [];
+  for (const span of spans) {
+    const last = merged[merged.length - 1];
+    if (last && last.bold === span.bold && last.italic === span.italic) last.text += span.text;
+    else merged.push({ ...span });
+  }
+
+  let out = "";
+  for (const span of merged) {
+    const [, lead, body, trail] = span.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!body) {
+      out += span.text;
+      continue;
+    }
+    let text = escapeMarkup(body);
+    if (span.italic) {
+      const mark = span.bold || out.endsWith("*") ? "_" : "*";
+      text = `${mark}${text}${mark}`;
+    }
+    if (span.bold) text = `**${text}**`;
+    out += lead + text + trail;
+  }
+  return out;
+}
+
+const BLOCK_TAGS = new Set(["p", "h1", "h2", "h3", "h4", "h5", "h6", "li", "td", "th", "blockquote"]);
+
+/**
+ * Mammoth's HTML as markup: one block per paragraph, headings as "#"
+ * lines, <strong> and <em> as ** and *, <br> as a line break. Everything
+ * else (links, images, tables) is reduced to its text.
+ */
+function htmlToMarkup(html) {
+  const blocks = [];
+  let block = null;
+  let bold = 0;
+  let italic = 0;
+
+  const close = () => {
+    if (!block) return;
+    const lines = [];
+    let line = [];
+    for (const span of block.spans) {
+      if (span.lineBreak) {
+        lines.push(line);
+        line = [];
+      } else {
+        line.push(span);
+      }
+    }
+    lines.push(line);
+
+    const text = lines.map((spans) => spans.map((span) => span.text).join("").trim());
+    if (text.some(Boolean)) {
+      if (block.heading) {
+        blocks.push(`${"#".repeat(block.heading)} ${text.filter(Boolean).join(" ")}`);
+      } else if (text.length === 1 && isSceneBreak(text[0])) {
+        blocks.push("* * *");
+      } else {
+        blocks.push(lines.map((spans) => spansToMarkup(spans).trim()).join("\n"));
+      }
+    }
+    block = null;
+  };
+
+  for (const [, slash, tag, content] of html.matchAll(/<(\/?)([a-z0-9]+)[^>]*>|([^<]+)/gi)) {
+    if (content !== undefined) {
+      const text = decodeEntities(content).replace(/\s+/g, " ");
+      block ??= { heading: 0, spans: [] };
+      block.spans.push({ text, bold: bold > 0, italic: italic > 0 });
+      continue;
+    }
+    const name = tag.toLowerCase();
+    if (BLOCK_TAGS.has(name)) {
+      close();
+      if (!slash) block = { heading: /^h[1-6]$/.test(name) ? Number(name[1]) : 0, spans: [] };
+    } else if (name === "br") {
+      block ??= { heading: 0, spans: [] };
+      block.spans.push({ lineBreak: true });
+    } else if (name === "strong" || name === "b") {
+      bold += slash ? -1 : 1;
+    } else if (name === "em" || name === "i") {
+      italic += slash ? -1 : 1;
+    }
+  }
+  close();
+  return blocks.join("\n\n");
+}
+
+const HEADING_LINE = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const LIST_ITEM = /^(?:[-*+]|\d+[.)])\s+/;
+
+/**
+ * Markdown as markup. Soft-wrapped lines are joined (a line ending in two
+ * spaces or a backslash stays a hard break), setext headings become "#"
+ * lines, and thematic breaks become scene breaks.
+ */
+function markdownToMarkup(source) {
+  const lines = source.split("\n");
+  const out = [];
+  let hardBreak = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+    const line = raw.trim();
+    const next = (lines[i + 1] || "").trim();
+
+    if (!line) {
+      out.push("");
+      hardBreak = false;
+      continue;
+    }
+    // "Title\n=====" and "Title\n-----"
+    if (/^(=+|-+)$/.test(next) && !HEADING_LINE.test(line) && !isSceneBreak(line) && !out[out.length - 1]) {
+      out.push(`${next[0] === "=" ? "#" : "##"} ${line}`, "");
+      i += 1;
+      continue;
+    }
+    if (HEADING_LINE.test(line) || isSceneBreak(line)) {
+      out.push(isSceneBreak(line) ? "* * *" : line, "");
+      hardBreak = false;
+      continue;
+    }
+
+    const quote = line.startsWith(">");
+    const prev = out[out.length - 1];
+    const joins =
+      prev && !hardBreak && !LIST_ITEM.test(line) && !HEADING_LINE.test(prev) && prev.startsWith(">") === quote;
+    const text = line.replace(/\\$/, "").trim();
+
+    if (joins) {
+      out[out.length - 1] = `${prev} ${quote ? text.replace(/^>\s?/, "") : text}`;
+    } else {
+      out.push(text);
+    }
+    hardBreak = /( {2,}|\\)$/.test(raw);
+  }
+  return out.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Plain text as markup. Paragraphs are usually separated by blank lines;
+ * a file with (almost) none has one paragraph per line. Text hard-wrapped
+ * at a fixed width is rejoined, with an indented line or one after a short
+ * line starting a new paragraph.
+ */
+function textToMarkup(source) {
+  const lines = source.split("\n");
+  const filled = lines.filter((line) => line.trim());
+  const blank = lines.length - filled.length;
+  const wrapped =
+    filled.length >= 10 &&
+    filled.filter((line) => line.trim().length >= 55 && line.trim().length <= 80).length >= filled.length * 0.6;
+  const linePerParagraph = !wrapped && blank < filled.length / 5;
+
+  const paragraphs = [];
+  let current = null;
+  let previous = "";
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) {
+      current = null;
+      previous = "";
+      continue;
+    }
+    const standalone = isSceneBreak(line) || headingOf(line);
+    const startsParagraph =
+      !current ||
+      standalone ||
+      linePerParagraph ||
+      (wrapped && (/^\s/.test(raw) || previous.length < 40 || headingOf(previous)));
+
+    if (startsParagraph) {
+      current = [isSceneBreak(line) ? "* * *" : line];
+      paragraphs.push(current);
+      if (standalone) current = null;
+    } else if (wrapped) {
+      current[current.length - 1] += ` ${line}`;
+    } else {
+      // Short lines inside a blank-line separated block: verse, letters.
+      current.push(line);
+    }
+    previous = line;
+  }
+  return paragraphs.map((lines) => lines.join("\n")).join("\n\n");
+}
+
+/**
+ * The file's text as chapter markup.
+ */
+export async function manuscriptMarkup(buffer, format) {
+  if (!buffer?.length) throw httpError(400, "The file is empty");
+
+  if (format === "docx") {
+    let html;
+    try {
+      // Word's Title style is the book title, one level above the chapter headings.
+      ({ value: html } = await mammoth.convertToHtml({ buffer }, { styleMap: ["p[style-name='Title'] => h1:fresh"] }));
+    } catch (err) {
+      throw httpError(400, `Couldn't read the DOCX file: ${err.message}`);
+    }
+    return htmlToMarkup(html);
+  }
+
+  const source = buffer.toString("utf8").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").replace(/\t/g, "    ");
+  return format === "markdown" ? markdownToMarkup(source) : textToMarkup(source);
+}
+
+// ---------- Chapter splitting ----------
+
+const UNITS = "one|two|three|four|five|six|seven|eight|nine";
+const NUMBER_WORD = `(?:(?:twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)(?:[- ](?:${UNITS}))?|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|${UNITS}|one hundred)`;
+
+// "Chapter 3", "CHAPTER III", "Chapter Twenty-One: The Ferry", "Chapter 4 - Ashes".
+const CHAPTER_LINE = new RegExp(
+  `^chapter\\s+(?:\\d+|[ivxlcdm]+|${NUMBER_WORD})\\b(?:\\s*[:.\\-–—]\\s*(.*)|\\s+(.*[^.!?,;]))?$`,
+  "i"
+);
+const SPECIAL_LINE = /^(prologue|epilogue|interlude)\b(?:\s*[:.\-–—]\s*(.*))?$/i;
+const PART_LINE = /^(?:part|book|volume)\s+(?:\d+|[ivxlcdm]+|[a-z]+(?:-[a-z]+)?)(?:\s*[:.\-–—]\s*.*)?$/i;
+
+// Lowercase words a title-cased heading may still contain.
+const TITLE_SMALL_WORDS = new Set(["a", "an", "and", "as", "at", "but", "by", "for", "from", "in", "into", "nor", "of", "on", "or", "the", "to", "with"]);
+
+// A block that is a single line, with any "#" heading marks removed.
+function headingText(block) {
+  if (block.includes("\n")) return null;
+  return plainText(block.replace(/^#{1,6}\s+/, "").replace(/\s+#+\s*$/, "")).trim();
+}
+
+/**
+ * A title that follows "Chapter 3" with no colon or dash is only taken as
+ * one when it is short and title-cased ("The Long Road"), so a sentence
+ * such as "Chapter 3 was when it happened" stays text.
+ */
+function titleCased(text) {
+  const words = text.trim().split(/\s+/);
+  return (
+    words.length <= 8 &&
+    words.every(
+      (word, i) =>
+        /^[^\p{L}]*\p{Lu}/u.test(word) ||
+        !/\p{L}/u.test(word) ||
+        (i > 0 && TITLE_SMALL_WORDS.has(word.toLowerCase()))
+    )
+  );
+}
+
+// { title } when the line opens a chapter, else null.
+function headingOf(block) {
+  const text = headingText(block);
+  if (!text || text.length > 80) return null;
+  const chapter = text.match(CHAPTER_LINE);
+  // A "#" heading is a heading whatever its case.
+  if (chapter && (chapter[2] === undefined || HEADING_LINE.test(block) || titleCased(chapter[2]))) {
+    return { title: (chapter[1] ?? chapter[2] ?? "").trim() };
+  }
+  const special = text.match(SPECIAL_LINE);
+  if (special) {
+    const name = special[1][0].toUpperCase() + special[1].slice(1).toLowerCase();
+    return { title: special[2] ? `${name}: ${special[2].trim()}` : name };
+  }
+  return null;
+}
+
+function headingLevel(block) {
+  const match = block.match(HEADING_LINE);
+  return match && !block.includes("\n") ? match[1].length : 0;
+}
+
+// Markdown heading marks inside a chapter are plain text in chapter markup.
+function bodyBlock(block) {
+  if (isSceneBreak(block)) return "* * *";
+  return headingLevel(block) ? block.replace(/^#{1,6}\s+/, "").replace(/\s+#+\s*$/, "") : block;
+}
+
+function chapterBody(blocks) {
+  const body = blocks.map(bodyBlock).filter((block, i, all) => block !== "* * *" || all[i - 1] !== "* * *");
+  while (body[0] === "* * *") body.shift();
+  while (body[body.length - 1] === "* * *") body.pop();
+  return body.join("\n\n");
+}
+
+/**
+ * Split markup into { title, chapters: [{ index, title, text }] }. `title`
+ * is the book title when the text before the first chapter starts with a
+ * heading. That text is kept as a chapter of its own only if it is long
+ * enough to be one (a title page or dedication isn't); chapters with no
+ * text (a table of contents) are dropped.
+ */
+export function splitChapters(text) {
+  const blocks = String(text || "")
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean);
+
+  let opens = blocks.map((block) => headingOf(block));
+  if (!opens.some(Boolean)) {
+    // No "Chapter N" lines: use the heading level that occurs most often.
+    const counts = new Map();
+    for (const block of blocks) {
+      const level = headingLevel(block);
+      if (level && !isSceneBreak(block)) counts.set(level, (counts.get(level) || 0) + 1);
+    }
+    const [level, count] = [...counts].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0] || [];
+    opens = blocks.map((block) => {
+      if (count < 2 || headingLevel(block) !== level || isSceneBreak(block)) return null;
+      // "# 3" or "# IV" numbers the chapter rather than naming it.
+      const title = headingText(block);
+      return { title: /^(?:\d+|[ivxlcdm]+)\.?$/i.test(title) ? "" : title };
+    });
+  }
+
+  const preamble = [];
+  const chapters = [];
+  blocks.forEach((block, i) => {
+    if (opens[i]) {
+      chapters.push({ title: opens[i].title, blocks: [] });
+    } else if (chapters.length && PART_LINE.test(headingText(block) || "")) {
+      // "Part Two" between chapters isn't chapter text.
+    } else {
+      (chapters.length ? chapters[chapters.length - 1].blocks : preamble).push(block);
+    }
+  });
+
+  let title = "";
+  if (preamble.length && headingLevel(preamble[0])) {
+    title = headingText(preamble.shift());
+  }
+  const opening = chapterBody(preamble);
+  if (!chapters.length || countWords(plainText(opening)) >= 100) {
+    chapters.unshift({ title: "", blocks: preamble });
+  }
+
+  return {
+    title,
+    chapters: chapters
+      .map((ch) => ({ title: ch.title, text: chapterBody(ch.blocks) }))
+      .filter((ch) => countWords(plainText(ch.text)) > 0)
+      .map((ch, i) => ({ index: i + 1, ...ch }))
+  };
+}
+
+// ---------- Project creation ----------
+
+function fileTitle(filename) {
+  const base = String(filename || "").replace(/^.*[\\/]/, "").replace(/\.[^.]+$/, "");
+  return base.replace(/[_-]+/g, " ").trim();
+}
+
+/**
+ * Create a project from a manuscript file. Imported chapters are stored as
+ * the user's text (and as the draft, so generation carries on after the
+ * last one), with a revision each. `inputs` override what's read from the
+ * file: the title, and chapter lengths taken from the imported chapters.
+ * At least `totalChapters` (default 12) chapters are planned.
+ */
+export async function importManuscript({ buffer, filename = "", format = "", inputs = {} }) {
+  const kind = importFormat(filename, format);
+  console.log("[import] importManuscript", { filename, format: kind, bytes: buffer?.length || 0 });
+
+  const split = splitChapters(await manuscriptMarkup(buffer, kind));
+  if (!split.chapters.length) throw httpError(400, "No text found in the file");
+
+  const words = split.chapters.map((ch) => countWords(plainText(ch.text)));
+  const average = Math.max(1, Math.round(words.reduce((sum, n) => sum + n, 0) / words.length));
+  const planned = parseInt(inputs.totalChapters, 10) || 12;
+
+  const created = await createProject({
+    chapterTargetWords: average,
+    chapterMinWords: Math.round(average * 0.75),
+    chapterMaxWords: Math.round(average * 1.25),
+    ...inputs,
+    title: inputs.title || split.title || fileTitle(filename),
+    totalChapters: Math.max(planned, split.chapters.length)
+  });
+
+  const project = await mutateProject(created.id, (fresh) => {
+    fresh.chapters = split.chapters.map((ch) => ({
+      index: ch.index,
+      title: ch.title,
+      draftText: ch.text,
+      userText: ch.text,
+      continuity: null,
+      approved: true,
+      imported: true
+    }));
+    fresh.continuityLedger = buildLedger(fresh.chapters);
+  });
+
+  for (const chapter of project.chapters) {
+    await recordRevision(project.id, chapter, { source: "import" });
+  }
+  console.log("[import] importManuscript complete", { projectId: project.id, chapters: split.chapters.length });
+  return project;
+}
@@ -0,0 +1,525 @@
+import { v4 as uuidv4 } from "uuid";
+import { query } from "./db.js";
+import { getProject } from "./storage.js";
+import { estimateCostUsd } from "./providers.js";
+import { countWords } from "./words.js";
+import { withProjectLock, assertProjectUnlocked, projectBusyError } from "./locks.js";
+
+import {
+  generateBookBriefAndBible,
+  generateOutline,
+  generateNextChapter,
+  regenerateChapter,
+  regenerateScene,
+  recomputeChapterContinuity,
+  reconstructImportedBook
+} from "./engine.js";
+import { checkChapterContinuity } from "./analysis.js";
+
+/**
+ * Postgres-backed job queue for generation work.
+ *
+ * Routes enqueue a job and return immediately; a worker loop in this process
+ * claims queued jobs (FOR UPDATE SKIP LOCKED, so several instances can share
+ * the table) and runs up to JOB_CONCURRENCY of them at once. A project has at
+ * most one queued or running job (a unique index, see enqueueJob), so jobs
+ * that run side by side are always for different projects, and a long
+ * draft-book batch only holds up its own project. Running jobs heartbeat; a
+ * job whose heartbeat goes stale (crash, killed instance) is put back in the
+ * queue, and a graceful shutdown requeues running jobs straight away.
+ *
+ * Handlers get ({ signal, control, setProgress }) and may return { status }
+ * to finish as something other than "succeeded" (draft-book pauses itself).
+ * Every handler runs under the project's generation lock (lib/locks.js).
+ */
+
+const POLL_MS = Number(process.env.JOB_POLL_MS) || 2000;
+const HEARTBEAT_MS = Number(process.env.JOB_HEARTBEAT_MS) || 10000;
+const STALE_MS = Number(process.env.JOB_STALE_MS) || 120000;
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 4;
+
+/**
+ * "Draft the whole book": draft remaining chapters in order until done,
+ * paused/cancelled, an error, or the word/cost ceiling in the payload.
+ * Progress survives pause/resume because it lives on the job row.
+ */
+async function draftBook(job, ctx) {
+  const maxWords = Number(job.payload.maxWords) || 0;
+  const maxCostUsd = Number(job.payload.maxCostUsd) || 0;
+
+  const progress = {
+    words: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+    chaptersDrafted: 0,
+    ...job.progress,
+    currentChapter: null,
+    stoppedReason: null
+  };
+
+  const onUsage = (usage) => {
+    progress.inputTokens += usage.inputTokens || 0;
+    progress.outputTokens += usage.outputTokens || 0;
+    progress.costUsd += estimateCostUsd(usage);
+  };
+
+  const pause = async (reason) => {
+    progress.currentChapter = null;
+    progress.stoppedReason = reason;
+    await ctx.setProgress(progress);
+    return { status: "paused" };
+  };
+
+  while (true) {
+    const project = await getProject(job.projectId);
+    if (!project) throw new Error("Project not found");
+
+    const chapters = project.chapters || [];
+    const remaining = chapters.filter((c) => !c.draftText);
+    progress.total = Math.max(chapters.length, Number(project.inputs.totalChapters) || 0);
+    progress.drafted = chapters.length - remaining.length;
+
+    if (project.outline && remaining.length === 0) {
+      progress.currentChapter = null;
+      progress.stoppedReason = "All chapters drafted";
+      await ctx.setProgress(progress);
+      return { status: "succeeded" };
+    }
+
+    if (maxWords && progress.words >= maxWords) {
+      return pause(`Word ceiling reached (${progress.words} / ${maxWords})`);
+    }
+    if (maxCostUsd && progress.costUsd >= maxCostUsd) {
+      return pause(`Cost ceiling reached ($${progress.costUsd.toFixed(2)} / $${maxCostUsd.toFixed(2)})`);
+    }
+
+    const status = await ctx.control();
+    if (status === "paused") return pause("Paused");
+    if (status !== "running") return { status };
+
+    progress.currentChapter = remaining[0]?.index ?? null;
+    await ctx.setProgress(progress);
+
+    const saved = await generateNextChapter(job.projectId, {
+      signal: ctx.signal,
+      onUsage,
+      onWarning: (message) => {
+        progress.loopWarning = message;
+      }
+    });
+
+    const drafted = (saved.chapters || []).find(
+      (c) => c.index === (progress.currentChapter ?? saved.chapters[0]?.index)
+    );
+    if (!drafted?.draftText) {
+      throw new Error(`Chapter ${drafted?.index ?? "?"} came back empty`);
+    }
+
+    progress.words += countWords(drafted.draftText);
+    progress.chaptersDrafted += 1;
+    progress.lastChapter = drafted.index;
+    await ctx.setProgress(progress);
+  }
+}
+
+const HANDLERS = {
+  "brief-bible": (job, ctx) => generateBookBriefAndBible(job.projectId, ctx),
+  outline: (job, ctx) => generateOutline(job.projectId, ctx),
+  "next-chapter": (job, ctx) => generateNextChapter(job.projectId, ctx),
+  "regenerate-chapter": (job, ctx) =>
+    regenerateChapter(job.projectId, Number(job.payload.chapterIndex), ctx),
+  "regenerate-scene": (job, ctx) =>
+    regenerateScene(
+      job.projectId,
+      Number(job.payload.chapterIndex),
+      Number(job.payload.sceneIndex),
+      ctx
+    ),
+  "chapter-continuity": (job, ctx) =>
+    recomputeChapterContinuity(job.projectId, Number(job.payload.chapterIndex), ctx),
+  "continuity-check": (job, ctx) =>
+    checkChapterContinuity(job.projectId, Number(job.payload.chapterIndex), ctx),
+  "import-manuscript": (job, ctx) => reconstructImportedBook(job.projectId, ctx),
+  "draft-book": draftBook
+};
+
+export const JOB_TYPES = Object.keys(HANDLERS);
+
+function now() {
+  return Date.now();
+}
+
+function rowToJob(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    type: row.type,
+    payload: row.payload || {},
+    status: row.status,
+    error: row.error || null,
+    progress: row.progress || {},
+    attempts: row.attempts,
+    createdAt: Number(row.created_at),
+    updatedAt: Number(row.updated_at),
+    startedAt: row.started_at ? Number(row.started_at) : null,
+    finishedAt: row.finished_at ? Number(row.finished_at) : null
+  };
+}
+
+/**
+ * The 409 for the project's queued or running job, or null if it has none.
+ */
+async function activeJobBusyError(projectId) {
+  const res = await query(
+    `SELECT * FROM jobs
+     WHERE project_id = $1 AND status IN ('queued', 'running')
+     ORDER BY created_at
+     LIMIT 1`,
+    [projectId]
+  );
+  if (!res.rows.length) return null;
+  const job = rowToJob(res.rows[0]);
+  return projectBusyError({
+    type: job.type,
+    status: job.status,
+    jobId: job.id,
+    startedAt: job.startedAt
+  });
+}
+
+// unique_violation on jobs_one_active_per_project_idx: the project already has a
+// queued or running job (sql/schema.sql).
+async function rethrowIfBusy(err, projectId) {
+  if (err.code !== "23505") throw err;
+  throw (await activeJobBusyError(projectId)) || projectBusyError({ type: "another job" });
+}
+
+// ---------- Queue API ----------
+
+/**
+ * Queue a job. A project has at most one queued or running job; the database
+ * enforces it, and a second enqueue is a 409 describing the first.
+ */
+export async function enqueueJob(projectId, type, payload = {}) {
+  if (!HANDLERS[type]) {
+    throw new Error(`Unknown job type "${type}"`);
+  }
+
+  const t = now();
+  let res;
+  try {
+    res = await query(
+      `INSERT INTO jobs (id, project_id, type, payload, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4::jsonb, 'queued', $5, $5)
+       RETURNING *`,
+      [uuidv4(), projectId, type, JSON.stringify(payload), t]
+    );
+  } catch (err) {
+    await rethrowIfBusy(err, projectId);
+  }
+
+  wakeWorker();
+  return rowToJob(res.rows[0]);
+}
+
+export async function getJob(id) {
+  const res = await query(`SELECT * FROM jobs WHERE id = $1`, [id]);
+  return res.rows.length ? rowToJob(res.rows[0]) : null;
+}
+
+export async function listProjectJobs(projectId, limit = 20) {
+  const res = await query(
+    `SELECT * FROM jobs
+     WHERE project_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [projectId, limit]
+  );
+  return res.rows.map(rowToJob);
+}
+
+/**
+ * The project's unfinished job of a given type, if any (paused counts).
+ */
+export async function findActiveJob(projectId, type) {
+  const res = await query(
+    `SELECT * FROM jobs
+     WHERE project_id = $1 AND type = $2 AND status IN ('queued', 'running', 'paused')
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [projectId, type]
+  );
+  return res.rows.length ? rowToJob(res.rows[0]) : null;
+}
+
+/**
+ * Throw a 409 if the project already has generation work queued or running,
+ * either as a job or as a streamed draft holding the project lock.
+ * Paused batches don't count; they take the lock again when resumed.
+ * This is an early answer for routes; enqueueJob and resumeJob don't rely on it.
+ */
+export async function assertProjectIdle(projectId) {
+  const busy = await activeJobBusyError(projectId);
+  if (busy) throw busy;
+  await assertProjectUnlocked(projectId);
+}
+
+/**
+ * Cancel a queued, running or paused job. Returns the job (null if it doesn't exist).
+ * A running job is aborted by its worker on the next heartbeat at the latest.
+ */
+export async function cancelJob(id) {
+  const t = now();
+  const res = await query(
+    `UPDATE jobs
+     SET status = 'cancelled', updated_at = $2, finished_at = $2
+     WHERE id = $1 AND status IN ('queued', 'running', 'paused')
+     RETURNING *`,
+    [id, t]
+  );
+
+  if (res.rows.length) {
+    running.get(id)?.abort();
+    return rowToJob(res.rows[0]);
+  }
+  return getJob(id);
+}
+
+/**
+ * Pause a draft-book job. A running batch finishes the chapter in flight
+ * and then stops; nothing already drafted is lost.
+ */
+export async function pauseJob(id) {
+  const res = await query(
+    `UPDATE jobs
+     SET status = 'paused', updated_at = $2
+     WHERE id = $1 AND type = 'draft-book' AND status IN ('queued', 'running')
+     RETURNING *`,
+    [id, now()]
+  );
+  return res.rows.length ? rowToJob(res.rows[0]) : getJob(id);
+}
+
+/**
+ * Put a paused job back in the queue. `payloadPatch` can raise the ceilings.
+ * A 409 if another job on the project is queued or running.
+ */
+export async function resumeJob(id, payloadPatch = {}) {
+  let res;
+  try {
+    res = await query(
+      `UPDATE jobs
+       SET status = 'queued',
+           attempts = 0,
+           payload = payload || $3::jsonb,
+           updated_at = $2
+       WHERE id = $1 AND status = 'paused'
+       RETURNING *`,
+      [id, now(), JSON.stringify(payloadPatch)]
+    );
+  } catch (err) {
+    await rethrowIfBusy(err, (await getJob(id))?.projectId);
+  }
+  if (res.rows.length) {
+    wakeWorker();
+    return rowToJob(res.rows[0]);
+  }
+  return getJob(id);
+}
+
+// ---------- Worker ----------
+
+const running = new Map(); // jobId -> AbortController
+const inFlight = new Set(); // runJob promises
+let stopped = true;
+let timer = null;
+let shuttingDown = false;
+
+async function claimNextJob() {
+  const t = now();
+  const res = await query(
+    `UPDATE jobs
+     SET status = 'running',
+         attempts = attempts + 1,
+         started_at = $1,
+         updated_at = $1,
+         heartbeat_at = $1
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE status = 'queued'
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [t]
+  );
+  return res.rows.length ? rowToJob(res.rows[0]) : null;
+}
+
+/**
+ * Put jobs whose worker stopped heartbeating back in the queue
+ * (or fail them once they've used up their attempts).
+ * Parameters inside CASE get no type from a column, so they are cast;
+ * uncast, Postgres takes $1 for text and the update fails.
+ */
+async function recoverStaleJobs() {
+  const t = now();
+  const res = await query(
+    `UPDATE jobs
+     SET status = CASE WHEN attempts >= $2::int THEN 'failed' ELSE 'queued' END,
+         error = CASE WHEN attempts >= $2::int THEN 'Worker stopped responding too many times' ELSE error END,
+         finished_at = CASE WHEN attempts >= $2::int THEN $1::bigint ELSE NULL END,
+         updated_at = $1::bigint
+     WHERE status = 'running' AND COALESCE(heartbeat_at, started_at, 0) < $3::bigint
+     RETURNING id, status`,
+    [t, MAX_ATTEMPTS, t - STALE_MS]
+  );
+  for (const row of res.rows) {
+    console.log("[jobs] recovered stale job", row.id, "->", row.status);
+  }
+}
+
+// $2 and $4 are each used as a column value and inside CASE; the casts
+// give them one type in both places.
+async function finishJob(id, status, error = null) {
+  const t = now();
+  await query(
+    `UPDATE jobs
+     SET status = $2::text,
+         error = $3,
+         updated_at = $4::bigint,
+         finished_at = CASE WHEN $2::text = 'paused' THEN NULL ELSE $4::bigint END
+     WHERE id = $1 AND status = 'running'`,
+    [id, status, error, t]
+  );
+}
+
+async function jobStatus(id) {
+  const res = await query(`SELECT status FROM jobs WHERE id = $1`, [id]);
+  return res.rows[0]?.status || null;
+}
+
+async function setJobProgress(id, progress) {
+  await query(
+    `UPDATE jobs SET progress = $2::jsonb, updated_at = $3 WHERE id = $1`,
+    [id, JSON.stringify(progress), now()]
+  );
+}
+
+async function requeueJob(id) {
+  await query(
+    `UPDATE jobs
+     SET status = 'queued', updated_at = $2
+     WHERE id = $1 AND status = 'running'`,
+    [id, now()]
+  );
+}
+
+async function runJob(job) {
+  console.log("[jobs] running", job.type, job.id, { projectId: job.projectId });
+
+  const controller = new AbortController();
+  running.set(job.id, controller);
+
+  // Heartbeat, and notice cancellations made by another instance.
+  const heartbeat = setInterval(async () => {
+    try {
+      const res = await query(
+        `UPDATE jobs SET heartbeat_at = $2 WHERE id = $1 RETURNING status`,
+        [job.id, now()]
+      );
+      if (res.rows[0]?.status === "cancelled") controller.abort();
+    } catch (err) {
+      console.error("[jobs] heartbeat failed", err.message);
+    }
+  }, HEARTBEAT_MS);
+
+  try {
+    const outcome = await withProjectLock(
+      job.projectId,
+      job.type,
+      () =>
+        HANDLERS[job.type](job, {
+          signal: controller.signal,
+          control: () => jobStatus(job.id),
+          setProgress: (progress) => setJobProgress(job.id, progress)
+        }),
+      { jobId: job.id }
+    );
+    const status = outcome?.status || "succeeded";
+    await finishJob(job.id, status);
+    console.log("[jobs]", status, job.id);
+  } catch (err) {
+    if (shuttingDown) {
+      await requeueJob(job.id);
+      console.log("[jobs] requeued on shutdown", job.id);
+    } else if (controller.signal.aborted) {
+      console.log("[jobs] cancelled", job.id);
+    } else {
+      console.error("[jobs] failed", job.id, err);
+      await finishJob(job.id, "failed", err.message);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    running.delete(job.id);
+  }
+}
+
+// Run a claimed job without waiting for it; its slot frees when it settles.
+function startJob(job) {
+  const done = runJob(job)
+    .catch((err) => console.error("[jobs] worker error", job.id, err))
+    .finally(() => {
+      inFlight.delete(done);
+      wakeWorker();
+    });
+  inFlight.add(done);
+}
+
+async function tick() {
+  timer = null;
+  if (stopped) return;
+
+  try {
+    await recoverStaleJobs();
+    let job;
+    while (!stopped && inFlight.size < CONCURRENCY && (job = await claimNextJob())) {
+      startJob(job);
+    }
+  } catch (err) {
+    console.error("[jobs] worker error", err);
+  }
+
+  if (!stopped) timer = setTimeout(tick, POLL_MS);
+}
+
+function wakeWorker() {
+  if (stopped || !timer) return;
+  clearTimeout(timer);
+  timer = setTimeout(tick, 0);
+}
+
+export function startWorker() {
+  if (!stopped) return;
+  stopped = false;
+  shuttingDown = false;
+  console.log("[jobs] worker started");
+  timer = setTimeout(tick, 0);
+}
+
+/**
+ * Stop claiming work and hand the running jobs back to the queue,
+ * so the next process to start picks them up again.
+ */
+export async function stopWorker() {
+  stopped = true;
+  shuttingDown = true;
+  if (timer) clearTimeout(timer);
+  timer = null;
+  for (const controller of running.values()) controller.abort();
+  await Promise.all(inFlight);
+  console.log("[jobs] worker stopped");
+}
@@ -0,0 +1,240 @@
+import crypto from "crypto";
+
+/**
+ * Continuity ledger.
+ *
+ * Stored as history, not as a flattened current state: every character and
+ * location keeps a list of { chapterIndex, state } entries in chapter order,
+ * and timeline events remember the chapter that produced them. Open loops
+ * (setups the book owes the reader a payoff for) are tracked items with an
+ * id, the chapter that opened them and the chapter that resolved them.
+ * The ledger is derived from the chapters' continuity objects, so it is
+ * rebuilt (never patched) whenever chapters change, and a regenerated middle
+ * chapter replaces its own entries instead of appending after the last one.
+ *
+ *   {
+ *     version: 3,
+ *     characters: { [name]: [{ chapterIndex, state }] },
+ *     locations:  { [name]: [{ chapterIndex, state }] },
+ *     timeline:   [{ chapterIndex, event }],
+ *     loops:      [{ id, text, status: "open" | "resolved", openedIn, resolvedIn, advancedIn: [] }]
+ *   }
+ *
+ * A chapter's continuity opens loops with `openLoops` (text) and refers to
+ * existing ones by id in `loopsAdvanced` / `loopsClosed`.
+ */
+
+export const LEDGER_VERSION = 3;
+
+// Drafting a chapter this close to the end with loops still open warns.
+export const LOOP_WARNING_CHAPTERS = Number(process.env.LOOP_WARNING_CHAPTERS) || 2;
+
+export const ENTITY_KINDS = {
+  characters: "charactersState",
+  locations: "locationsState"
+};
+
+export function emptyLedger() {
+  return {
+    version: LEDGER_VERSION,
+    characters: {},
+    locations: {},
+    timeline: [],
+    loops: []
+  };
+}
+
+export function isCurrentLedger(value) {
+  return Boolean(value && typeof value === "object" && value.version === LEDGER_VERSION);
+}
+
+function normalizeLoopText(text) {
+  return String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// Derived from the text, so ids survive ledger rebuilds.
+export function loopId(text) {
+  const hash = crypto.createHash("sha1").update(normalizeLoopText(text)).digest("hex");
+  return `loop-${hash.slice(0, 10)}`;
+}
+
+/**
+ * Find a loop by id, or by its text when a model quotes it instead.
+ */
+export function findLoop(loops, ref) {
+  const wanted = normalizeLoopText(ref);
+  return (
+    loops.find((loop) => loop.id === String(ref).trim()) ||
+    loops.find((loop) => normalizeLoopText(loop.text) === wanted) ||
+    null
+  );
+}
+
+function pushState(history, name, entry) {
+  const key = String(name).trim();
+  if (!key || typeof entry.state !== "string" || !entry.state.trim()) return;
+  (history[key] ||= []).push(entry);
+}
+
+function asList(value) {
+  return Array.isArray(value) ? value.filter((v) => typeof v === "string") : [];
+}
+
+/**
+ * Add one chapter's continuity ({ charactersState, locationsState,
+ * timelineEvents, openLoops, loopsAdvanced, loopsClosed }) to the ledger,
+ * tagged with its index. Chapters must be applied in order.
+ */
+function applyContinuity(ledger, chapterIndex, continuity) {
+  if (!continuity || typeof continuity !== "object") return;
+
+  for (const [kind, field] of Object.entries(ENTITY_KINDS)) {
+    const states = continuity[field];
+    if (!states || typeof states !== "object") continue;
+    for (const [name, state] of Object.entries(states)) {
+      pushState(ledger[kind], name, { chapterIndex, state });
+    }
+  }
+
+  if (Array.isArray(continuity.timelineEvents)) {
+    for (const event of continuity.timelineEvents) {
+      ledger.timeline.push({ chapterIndex, event });
+    }
+  }
+
+  if (Array.isArray(continuity.openLoops)) {
+    for (const text of continuity.openLoops) {
+      if (typeof text !== "string" || !text.trim()) continue;
+      const id = loopId(text);
+      if (ledger.loops.some((loop) => loop.id === id)) continue;
+      ledger.loops.push({
+        id,
+        text,
+        status: "open",
+        openedIn: chapterIndex,
+        resolvedIn: null,
+        advancedIn: []
+      });
+    }
+  }
+
+  for (const ref of asList(continuity.loopsAdvanced)) {
+    const loop = findLoop(ledger.loops, ref);
+    if (loop?.status === "open" && !loop.advancedIn.includes(chapterIndex)) {
+      loop.advancedIn.push(chapterIndex);
+    }
+  }
+
+  for (const ref of asList(continuity.loopsClosed)) {
+    const loop = findLoop(ledger.loops, ref);
+    if (loop?.status === "open") {
+      loop.status = "resolved";
+      loop.resolvedIn = chapterIndex;
+    }
+  }
+}
+
+export function buildLedger(chapters = []) {
+  const ledger = emptyLedger();
+  const ordered = [...chapters]
+    .filter((c) => typeof c?.index === "number")
+    .sort((a, b) => a.index - b.index);
+
+  for (const c of ordered) {
+    applyContinuity(ledger, c.index, c.continuity);
+  }
+  return ledger;
+}
+
+function latestAsOf(entries, asOf) {
+  let found = null;
+  for (const entry of entries) {
+    if (entry.chapterIndex > asOf) break;
+    found = entry;
+  }
+  return found;
+}
+
+/**
+ * The ledger as it stood at the end of chapter `asOf` (inclusive):
+ * each entity's latest state with the chapter that set it.
+ */
+export function ledgerAsOf(ledger, asOf = Infinity) {
+  const source = isCurrentLedger(ledger) ? ledger : emptyLedger();
+  const snapshot = { asOf: Number.isFinite(asOf) ? asOf : null };
+
+  for (const kind of Object.keys(ENTITY_KINDS)) {
+    snapshot[kind] = {};
+    for (const [name, entries] of Object.entries(source[kind] || {})) {
+      const entry = latestAsOf(entries, asOf);
+      if (entry) snapshot[kind][name] = { state: entry.state, chapterIndex: entry.chapterIndex };
+    }
+  }
+
+  snapshot.timeline = source.timeline.filter((t) => t.chapterIndex <= asOf);
+  snapshot.loops = source.loops
+    .filter((loop) => loop.openedIn <= asOf)
+    .map((loop) => {
+      const resolved = loop.resolvedIn !== null && loop.resolvedIn <= asOf;
+      return {
+        ...loop,
+        status: resolved ? "resolved" : "open",
+        resolvedIn: resolved ? loop.resolvedIn : null,
+        advancedIn: loop.advancedIn.filter((i) => i <= asOf)
+      };
+    });
+  return snapshot;
+}
+
+/**
+ * Unresolved-loops report. `warning` is set when the next chapter to draft
+ * is within LOOP_WARNING_CHAPTERS of the end and loops are still open.
+ */
+export function loopReport(ledger, chapters = [], totalChapters = 0) {
+  const loops = isCurrentLedger(ledger) ? ledger.loops : [];
+  const open = loops.filter((loop) => loop.status === "open");
+  const resolved = loops.filter((loop) => loop.status === "resolved");
+
+  const total = Math.max(chapters.length, Number(totalChapters) || 0);
+  const next = [...chapters]
+    .sort((a, b) => a.index - b.index)
+    .find((c) => !c.draftText);
+  const remainingChapters = next ? total - next.index + 1 : 0;
+
+  const warning =
+    next && open.length && remainingChapters <= LOOP_WARNING_CHAPTERS
+      ? `${open.length} open loop(s) and only ${remainingChapters} chapter(s) left to draft`
+      : null;
+
+  return {
+    totalChapters: total,
+    nextChapter: next ? next.index : null,
+    remainingChapters,
+    open,
+    resolved,
+    warning
+  };
+}
+
+/**
+ * One character's or location's state as of a chapter, plus its full
+ * history up to then. Names match case-insensitively. Null if unknown.
+ */
+export function entityAsOf(ledger, kind, name, asOf = Infinity) {
+  if (!ENTITY_KINDS[kind] || !isCurrentLedger(ledger)) return null;
+
+  const wanted = String(name).trim().toLowerCase();
+  const key = Object.keys(ledger[kind] || {}).find((k) => k.toLowerCase() === wanted);
+  if (!key) return null;
+
+  const history = ledger[kind][key].filter((entry) => entry.chapterIndex <= asOf);
+  const current = history[history.length - 1] || null;
+  return {
+    kind,
+    name: key,
+    asOf: Number.isFinite(asOf) ? asOf : null,
+    state: current ? current.state : null,
+    chapterIndex: current ? current.chapterIndex : null,
+    history
+  };
+}
@@ -0,0 +1,137 @@
+import { generateJson } from "./model.js";
+import { LENGTH_PASS_SCHEMA } from "./schemas.js";
+import { countWords } from "./words.js";
+import { countSceneBreaks } from "./scenes.js";
+import { segmentCount } from "./segments.js";
+
+/**
+ * Word-count enforcement.
+ *
+ * Models treat a word target as a suggestion. After a chapter is drafted
+ * its prose is measured against the project's chapterMinWords /
+ * chapterMaxWords, and a chapter outside that range gets up to
+ * LENGTH_PASSES expand or condense passes that keep its beats. A pass that
+ * doesn't move the count closer to the target is discarded.
+ *
+ * Chapters too long for one completion (lib/segments.js) get no passes: a
+ * rewrite couldn't come back whole. Their segments are held to length instead.
+ */
+
+// WORD_COUNT_ENFORCEMENT=off measures and reports, but never rewrites.
+export const ENFORCE_LENGTH =
+  String(process.env.WORD_COUNT_ENFORCEMENT || "on").toLowerCase() !== "off";
+const LENGTH_PASSES = Number(process.env.WORD_COUNT_PASSES) || 2;
+
+export function wordRange(inputs = {}) {
+  const target = Number(inputs.chapterTargetWords) || 2000;
+  const min = Number(inputs.chapterMinWords) || Math.round(target * 0.75);
+  const max = Math.max(Number(inputs.chapterMaxWords) || Math.round(target * 1.5), min);
+  return { target, min, max };
+}
+
+function neededPass(words, range) {
+  if (words < range.min) return "expand";
+  if (words > range.max) return "condense";
+  return null;
+}
+
+const PASS_TASKS = {
+  expand: `
+- Expand toward the target by deepening what is already there: sensory detail,
+  interiority, fuller dialogue exchanges, reactions and transitions.
+- Do NOT add new plot events, characters or revelations.`,
+  condense: `
+- Condense toward the target by tightening: cut repetition, redundant
+  description and over-long exchanges.
+- Do NOT drop any plot beat, revelation or line that later chapters rely on.`
+};
+
+/**
+ * Bring chapter text inside the word range. Returns
+ * { text, words, passes: [{ kind, from, to, kept }] }; `text` is the input
+ * unchanged if no pass was needed or none helped.
+ */
+export async function fitChapterLength({
+  project,
+  chapterIndex,
+  text,
+  chapterSummary,
+  contract,
+  signal,
+  onUsage,
+  onPass
+}) {
+  const range = wordRange(project.inputs);
+  let best = text;
+  let words = countWords(text);
+  const passes = [];
+
+  if (segmentCount(range.target) > 1) {
+    if (neededPass(words, range)) {
+      console.warn("[length] chapter out of range, too long for a length pass", { chapterIndex, words, ...range });
+    }
+    return { text, words, passes };
+  }
+
+  for (let i = 0; ENFORCE_LENGTH && i < LENGTH_PASSES; i++) {
+    const kind = neededPass(words, range);
+    if (!kind) break;
+    if (signal?.aborted) throw new Error("Generation aborted");
+    console.log("[length] chapter out of range", { chapterIndex, words, ...range, pass: kind });
+    if (onPass) onPass({ kind, words, ...range });
+
+    const sceneBreaks = countSceneBreaks(best);
+    const instructions = `
+You are a meticulous line editor.
+Rewrite the chapter to about ${range.target} words (acceptable: ${range.min}-${range.max}).
+Return ONLY valid JSON.
+
+JSON schema:
+{
+  "prose": string
+}
+`.trim();
+
+    const input = `
+Chapter Summary:
+${JSON.stringify(chapterSummary || {}, null, 2)}
+
+Chapter Contract:
+${JSON.stringify(contract || {}, null, 2)}
+
+Current chapter (${words} words):
+${best}
+
+Task:
+${PASS_TASKS[kind].trim()}
+- Keep every beat, in the same order, and the same ending.
+- Keep names, facts and the point of view exactly as they are.
+${sceneBreaks ? `- Keep the ${sceneBreaks} scene-break line(s) ("* * *") between the same scenes.` : ""}
+`.trim();
+
+    const json = await generateJson({
+      schema: LENGTH_PASS_SCHEMA,
+      context: { sceneBreaks },
+      label: `chapter ${chapterIndex} ${kind}`,
+      project,
+      task: `length-${kind}`,
+      meta: { chapterIndex, targetWords: range.target, sceneBreaks },
+      instructions,
+      input,
+      signal,
+      onUsage
+    });
+
+    const after = countWords(json.prose);
+    const kept = Math.abs(after - range.target) < Math.abs(words - range.target);
+    passes.push({ kind, from: words, to: after, kept });
+    if (!kept) {
+      console.warn("[length] pass did not help, keeping previous text", { chapterIndex, kind, from: words, to: after });
+      break;
+    }
+    best = json.prose;
+    words = after;
+  }
+
+  return { text: best, words, passes };
+}
@@ -0,0 +1,148 @@
+import os from "os";
+import { v4 as uuidv4 } from "uuid";
+import { query } from "./db.js";
+import { httpError } from "./errors.js";
+
+/**
+ * Per-project generation lock.
+ *
+ * One row per project in project_locks while an engine operation runs on it
+ * (a job, or a streamed chapter). A second operation gets a 409 describing
+ * the one already running instead of paying for a duplicate model call.
+ * The holder heartbeats; a lock whose heartbeat is older than LOCK_STALE_MS
+ * (crashed or killed instance) is taken over by the next caller.
+ */
+
+const LOCK_HEARTBEAT_MS = Number(process.env.PROJECT_LOCK_HEARTBEAT_MS) || 10000;
+const LOCK_STALE_MS = Number(process.env.PROJECT_LOCK_STALE_MS) || 120000;
+
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+function now() {
+  return Date.now();
+}
+
+function rowToLock(row) {
+  return {
+    projectId: row.project_id,
+    holder: row.holder,
+    operation: row.operation,
+    details: row.details || {},
+    acquiredAt: Number(row.acquired_at),
+    heartbeatAt: Number(row.heartbeat_at)
+  };
+}
+
+/**
+ * The 409 for "something is already generating on this project".
+ * `operation` is { type, status?, jobId?, startedAt? }.
+ */
+export function projectBusyError(operation) {
+  return httpError(
+    409,
+    `Project is busy: ${operation.type} is already ${operation.status || "running"}`,
+    { code: "project_busy", operation }
+  );
+}
+
+function lockToOperation(lock) {
+  return {
+    ...lock.details,
+    type: lock.operation,
+    status: "running",
+    startedAt: lock.acquiredAt,
+    heartbeatAt: lock.heartbeatAt
+  };
+}
+
+/**
+ * The live lock on a project, or null (stale locks count as free).
+ */
+export async function getProjectLock(projectId) {
+  const res = await query(
+    `SELECT * FROM project_locks WHERE project_id = $1 AND heartbeat_at >= $2`,
+    [projectId, now() - LOCK_STALE_MS]
+  );
+  return res.rows.length ? rowToLock(res.rows[0]) : null;
+}
+
+export async function assertProjectUnlocked(projectId) {
+  const lock = await getProjectLock(projectId);
+  if (lock) throw projectBusyError(lockToOperation(lock));
+}
+
+/**
+ * Take the lock, or throw a 409 describing the current holder.
+ * Free and stale locks are claimed in one statement, so two callers
+ * racing for the same project can't both win.
+ */
+export async function acquireProjectLock(projectId, operation, details = {}) {
+  const t = now();
+  const holder = `${INSTANCE}:${uuidv4()}`;
+
+  let res;
+  try {
+    res = await query(
+      `INSERT INTO project_locks (project_id, holder, operation, details, acquired_at, heartbeat_at)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $5)
+       ON CONFLICT (project_id) DO UPDATE
+         SET holder = EXCLUDED.holder,
+             operation = EXCLUDED.operation,
+             details = EXCLUDED.details,
+             acquired_at = EXCLUDED.acquired_at,
+             heartbeat_at = EXCLUDED.heartbeat_at
+         WHERE project_locks.heartbeat_at < $6
+       RETURNING *`,
+      [projectId, holder, operation, JSON.stringify(details), t, t - LOCK_STALE_MS]
+    );
+  } catch (err) {
+    // foreign_key_violation: no such project
+    if (err.code === "23503") throw httpError(404, "Project not found");
+    throw err;
+  }
+
+  if (res.rows.length) return rowToLock(res.rows[0]);
+
+  const current = await getProjectLock(projectId);
+  throw projectBusyError(
+    current ? lockToOperation(current) : { type: "another operation" }
+  );
+}
+
+export async function releaseProjectLock(lock) {
+  await query(
+    `DELETE FROM project_locks WHERE project_id = $1 AND holder = $2`,
+    [lock.projectId, lock.holder]
+  );
+}
+
+/**
+ * Run fn() while holding the project's lock; heartbeats until it settles.
+ */
+export async function withProjectLock(projectId, operation, fn, details = {}) {
+  const lock = await acquireProjectLock(projectId, operation, details);
+  console.log("[locks] acquired", operation, { projectId });
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const res = await query(
+        `UPDATE project_locks SET heartbeat_at = $3 WHERE project_id = $1 AND holder = $2`,
+        [lock.projectId, lock.holder, now()]
+      );
+      if (res.rowCount === 0) {
+        console.error("[locks] lost lock (taken over as stale)", operation, { projectId });
+      }
+    } catch (err) {
+      console.error("[locks] heartbeat failed", err.message);
+    }
+  }, LOCK_HEARTBEAT_MS);
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(heartbeat);
+    await releaseProjectLock(lock).catch((err) =>
+      console.error("[locks] release failed", err.message)
+    );
+  }
+}
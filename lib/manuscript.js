@@ -0,0 +1,164 @@
+import {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  Header,
+  AlignmentType,
+  PageNumber,
+  TabStopType
+} from "docx";
+
+import { getProject } from "./storage.js";
+import { httpError } from "./errors.js";
+import { countWords } from "./words.js";
+import { bookTitle, bookChapters } from "./book.js";
+import { textBlocks, plainText, docxRuns } from "./markup.js";
+
+/**
+ * Standard manuscript format DOCX, for agents and editors rather than
+ * readers: US Letter, 1-inch margins, 12pt monospaced or Times, double
+ * spaced, half-inch first-line indents, ragged right.
+ *
+ * The first page is the title page (contact block and word count at the
+ * top, title and byline halfway down) and has no header. Every other page
+ * has "Surname / Title / page" at the top right. Each chapter starts a
+ * third of the way down a new page, and scene breaks are a centred "#".
+ * Italics, bold, block quotes and line breaks come from the chapter markup
+ * (lib/markup.js).
+ * Front and back matter are left out; they aren't part of a submission.
+ */
+
+// OOXML measures in twentieths of a point.
+const TWIPS_PER_INCH = 1440;
+const PAGE = { width: 8.5 * TWIPS_PER_INCH, height: 11 * TWIPS_PER_INCH };
+const MARGIN = TWIPS_PER_INCH;
+const TEXT_WIDTH = PAGE.width - 2 * MARGIN;
+
+export const MANUSCRIPT_FONTS = {
+  courier: "Courier New",
+  times: "Times New Roman"
+};
+export const DEFAULT_MANUSCRIPT_FONT = "courier";
+
+// Novels round to the nearest thousand words, shorter work to the nearest hundred.
+function roundedWordCount(words) {
+  const step = words >= 10000 ? 1000 : 100;
+  return Math.max(step, Math.round(words / step) * step);
+}
+
+function surname(author) {
+  const parts = String(author || "").trim().split(/\s+/).filter(Boolean);
+  return parts[parts.length - 1] || "";
+}
+
+function titlePage({ title, author, words }) {
+  return [
+    new Paragraph({
+      tabStops: [{ type: TabStopType.RIGHT, position: TEXT_WIDTH }],
+      spacing: { line: 240 },
+      children: [
+        new TextRun(author || ""),
+        new TextRun(`\tabout ${roundedWordCount(words).toLocaleString("en-US")} words`)
+      ]
+    }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { before: 4 * TWIPS_PER_INCH },
+      children: [new TextRun(title)]
+    }),
+    ...(author ? [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun(`by ${author}`)] })] : [])
+  ];
+}
+
+function chapterParagraphs(ch) {
+  const paragraphs = [
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      pageBreakBefore: true,
+      spacing: { before: 2 * TWIPS_PER_INCH },
+      children: [new TextRun(`Chapter ${ch.index}`)]
+    })
+  ];
+  if (ch.title) {
+    paragraphs.push(new Paragraph({ alignment: AlignmentType.CENTER, children: docxRuns([ch.title]) }));
+  }
+  // One blank double-spaced line before the text.
+  paragraphs.push(new Paragraph({}));
+
+  // Block quotes are indented half an inch on both sides instead.
+  const half = TWIPS_PER_INCH / 2;
+  for (const block of textBlocks(ch.text)) {
+    if (block.sceneBreak) {
+      paragraphs.push(new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun("#")] }));
+      continue;
+    }
+    paragraphs.push(
+      new Paragraph({
+        indent: block.quote ? { left: half, right: half } : { firstLine: half },
+        children: docxRuns(block.lines)
+      })
+    );
+  }
+  return paragraphs;
+}
+
+/**
+ * Build a standard manuscript format DOCX buffer. `font` is one of
+ * MANUSCRIPT_FONTS.
+ */
+export async function compileManuscriptDocxBuffer(projectId, { font = DEFAULT_MANUSCRIPT_FONT } = {}) {
+  console.log("[manuscript] compileManuscriptDocxBuffer", { projectId, font });
+
+  const fontName = MANUSCRIPT_FONTS[font];
+  if (!fontName) {
+    throw httpError(400, `Unknown manuscript font "${font}". Use one of: ${Object.keys(MANUSCRIPT_FONTS).join(", ")}`);
+  }
+
+  const project = await getProject(projectId);
+  if (!project) throw httpError(404, "Project not found");
+
+  const title = bookTitle(project);
+  const { author } = project.metadata;
+  const chapters = bookChapters(project);
+  const words = chapters.reduce((sum, ch) => sum + countWords(plainText(ch.text)), 0);
+
+  const running = [surname(author), title].filter(Boolean).join(" / ");
+  const header = new Header({
+    children: [
+      new Paragraph({
+        alignment: AlignmentType.RIGHT,
+        spacing: { line: 240 },
+        children: [new TextRun({ children: [`${running} / `, PageNumber.CURRENT] })]
+      })
+    ]
+  });
+
+  const doc = new Document({
+    creator: author || undefined,
+    title,
+    styles: {
+      default: {
+        document: {
+          run: { font: fontName, size: 24 },
+          paragraph: { spacing: { line: 480 } }
+        }
+      }
+    },
+    sections: [
+      {
+        properties: {
+          titlePage: true,
+          page: {
+            size: PAGE,
+            margin: { top: MARGIN, right: MARGIN, bottom: MARGIN, left: MARGIN, header: MARGIN / 2 }
+          }
+        },
+        headers: { default: header, first: new Header({ children: [] }) },
+        children: [...titlePage({ title, author, words }), ...chapters.flatMap(chapterParagraphs)]
+      }
+    ]
+  });
+
+  return Packer.toBuffer(doc);
+}
@@ -0,0 +1,226 @@
+import { TextRun } from "docx";
+
+/**
+ * The markup chapter text is written in: a small Markdown subset that the
+ * editor, the model and every export agree on.
+ *
+ *   blank line        new paragraph
+ *   single newline    hard line break inside the paragraph (verse, letters)
+ *   * * *             scene break, on a line of its own
+ *   > text            block quote, one > per line
+ *   *text* _text_     italic
+ *   **text** __text__ bold
+ *   ***text*** ___text___ bold italic
+ *   \* \_ \\          a literal *, _ or \
+ *
+ * Emphasis markers must hug the text they wrap, so "a * b" and snake_case
+ * stay literal, and a "* * *" scene break is never emphasis. Markers pair up
+ * as in CommonMark, so "***a** b*" is italic with a bold "a". Anything else
+ * (headings, lists, links) is plain text.
+ */
+
+export const SCENE_BREAK_LINE = /^\s*\*\s*\*\s*\*\s*$/;
+
+const QUOTE_LINE = /^>\s?/;
+
+const MARKER_RUN = /\*+|_+/g;
+
+// Escaped characters are swapped for private-use placeholders while
+// emphasis is matched, then put back.
+const ESCAPES = { "*": "\uE000", _: "\uE001", "\\": "\uE002" };
+const UNESCAPES = Object.fromEntries(Object.entries(ESCAPES).map(([char, mark]) => [mark, char]));
+
+function protect(text) {
+  return text.replace(/\\([*_\\])/g, (_, char) => ESCAPES[char]);
+}
+
+function restore(text) {
+  return text.replace(/[\uE000-\uE002]/g, (mark) => UNESCAPES[mark]);
+}
+
+/**
+ * Chapter text as blocks separated by blank lines. A block that is only a
+ * scene-break marker comes back as { sceneBreak: true }; every other block
+ * is { lines: [...], quote } with its single line breaks kept. Quoted lines
+ * inside a paragraph are split out into their own block, with the >
+ * markers removed.
+ */
+export function textBlocks(text) {
+  const blocks = [];
+  for (const part of String(text || "").split(/\n\s*\n/)) {
+    const block = part.trim();
+    if (!block) continue;
+    if (SCENE_BREAK_LINE.test(block)) {
+      blocks.push({ sceneBreak: true });
+      continue;
+    }
+    let current = null;
+    for (const raw of block.split("\n")) {
+      const line = raw.trim();
+      const quote = QUOTE_LINE.test(line);
+      if (!current || current.quote !== quote) {
+        current = { lines: [], quote };
+        blocks.push(current);
+      }
+      current.lines.push(quote ? line.replace(QUOTE_LINE, "").trim() : line);
+    }
+  }
+  return blocks;
+}
+
+// Escaped markers count as punctuation, as the characters they stand for.
+const isSpace = (char) => /\s/u.test(char);
+const isPunctuation = (char) => /[\p{P}\p{S}\uE000-\uE002]/u.test(char);
+
+/**
+ * A run of * or _ and whether it can open or close emphasis, by the
+ * CommonMark flanking rules. An _ run inside a word can do neither.
+ */
+function markerRun(text, start, end) {
+  const before = text[start - 1] ?? " ";
+  const after = text[end] ?? " ";
+  const left = !isSpace(after) && (!isPunctuation(after) || isSpace(before) || isPunctuation(before));
+  const right = !isSpace(before) && (!isPunctuation(before) || isSpace(after) || isPunctuation(after));
+  const star = text[start] === "*";
+  return {
+    char: text[start],
+    length: end - start,
+    count: end - start,
+    opens: star ? left : left && (!right || isPunctuation(before)),
+    closes: star ? right : right && (!left || isPunctuation(after))
+  };
+}
+
+// Whether `node` is a run that `closer` can close. CommonMark's "multiple
+// of 3" rule keeps the ** in "*a**b*" from closing the *.
+function pairs(node, closer) {
+  if (!node.opens || node.count === 0 || node.char !== closer.char) return false;
+  if (!node.closes && !closer.opens) return true;
+  return (node.length + closer.length) % 3 !== 0 || (node.length % 3 === 0 && closer.length % 3 === 0);
+}
+
+/**
+ * The text as a list of strings, unpaired marker runs and emphasis nodes
+ * ({ emphasis: "bold" | "italic", children }). Each closing run pairs with
+ * the nearest opening run of the same marker before it, two markers at a
+ * time when both have them, so "***a***" is italic around bold.
+ */
+function parseEmphasis(text) {
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(MARKER_RUN)) {
+    if (match.index > last) nodes.push(text.slice(last, match.index));
+    nodes.push(markerRun(text, match.index, match.index + match[0].length));
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) nodes.push(text.slice(last));
+
+  for (let i = 0; i < nodes.length; i++) {
+    const closer = nodes[i];
+    if (!closer.closes) continue;
+    while (closer.count > 0) {
+      let o = i - 1;
+      while (o >= 0 && !pairs(nodes[o], closer)) o--;
+      if (o < 0) break;
+      const opener = nodes[o];
+      const used = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+      opener.count -= used;
+      closer.count -= used;
+      // Runs inside the new node can no longer pair with runs outside it.
+      nodes.splice(o + 1, i - o - 1, { emphasis: used === 2 ? "bold" : "italic", children: nodes.slice(o + 1, i) });
+      i = o + 2;
+    }
+  }
+  return nodes;
+}
+
+function collectSpans(nodes, style, spans) {
+  for (const node of nodes) {
+    if (node.children) {
+      collectSpans(node.children, { ...style, [node.emphasis]: true }, spans);
+      continue;
+    }
+    const text = typeof node === "string" ? node : node.char.repeat(node.count);
+    if (!text) continue;
+    const previous = spans[spans.length - 1];
+    if (previous && previous.italic === !!style.italic && previous.bold === !!style.bold) {
+      previous.text += text;
+    } else {
+      spans.push({ text, italic: !!style.italic, bold: !!style.bold });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Split a line into spans of { text, italic, bold }. Emphasis nests, so
+ * "**bold _and italic_**" gives a bold span and a bold italic one. `style`
+ * is the emphasis the line starts with; neighbouring spans with the same
+ * emphasis are joined.
+ */
+export function inlineSpans(text, style = {}) {
+  return collectSpans(parseEmphasis(protect(String(text ?? ""))), style, []).map((span) => ({
+    ...span,
+    text: restore(span.text)
+  }));
+}
+
+// The text with emphasis and quote markers removed, for word counts.
+export function plainText(text) {
+  return String(text ?? "")
+    .split("\n")
+    .map((line) => inlineSpans(line.replace(QUOTE_LINE, "")).map((span) => span.text).join(""))
+    .join("\n");
+}
+
+// ---------- Output formats ----------
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// One line as escaped XHTML with <em> and <strong>.
+export function inlineHtml(line) {
+  return inlineSpans(line)
+    .map((span) => {
+      let html = escapeHtml(span.text);
+      if (span.italic) html = `<em>${html}</em>`;
+      if (span.bold) html = `<strong>${html}</strong>`;
+      return html;
+    })
+    .join("");
+}
+
+/**
+ * DOCX runs for a paragraph's lines, with a line break between lines.
+ * `style` is the emphasis the paragraph starts with.
+ */
+export function docxRuns(lines, style = {}) {
+  return lines.flatMap((line, i) => [
+    ...(i > 0 ? [new TextRun({ break: 1 })] : []),
+    ...inlineSpans(line, style).map(
+      // Unset rather than false, so paragraph and heading styles still apply.
+      (span) => new TextRun({ text: span.text, italics: span.italic || undefined, bold: span.bold || undefined })
+    )
+  ]);
+}
+
+/**
+ * Chapter text as CommonMark. Emphasis, scene breaks and quotes are
+ * already Markdown; single line breaks need two trailing spaces to stay
+ * hard breaks.
+ */
+export function toMarkdown(text) {
+  return textBlocks(text)
+    .map((block) => {
+      if (block.sceneBreak) return "* * *";
+      const lines = block.quote ? block.lines.map((line) => `> ${line}`) : block.lines;
+      return lines.join("  \n");
+    })
+    .join("\n\n");
+}
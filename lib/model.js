@@ -0,0 +1,168 @@
+import { httpError } from "./errors.js";
+import { resolveProvider, DEFAULT_TEMPERATURE } from "./providers.js";
+import { validate } from "./schemas.js";
+import { estimateTokens } from "./words.js";
+
+/**
+ * Model calls shared by the engine and the analysis passes:
+ * provider resolution, streaming, usage reporting, JSON parsing and
+ * schema validation with repair retries.
+ */
+
+const MAX_REPAIR_ATTEMPTS = Number.isFinite(Number(process.env.MODEL_REPAIR_ATTEMPTS))
+  ? Number(process.env.MODEL_REPAIR_ATTEMPTS)
+  : 2;
+
+/**
+ * Parse model output as JSON.
+ * Strips ```json fences and surrounding chatter, but never trims the
+ * document itself: a truncated response is an error, not a smaller object.
+ */
+function parseModelJson(text) {
+  if (typeof text !== "string") {
+    throw new Error("Model output is not a string.");
+  }
+
+  // Strip Markdown fences if present
+  const cleaned = text.replace(/```json/gi, "").replace(/```/g, "").trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (e1) {
+    const first = cleaned.indexOf("{");
+    const last = cleaned.lastIndexOf("}");
+    if (first !== -1 && last > first) {
+      try {
+        return JSON.parse(cleaned.slice(first, last + 1));
+      } catch {
+        // fall through
+      }
+    }
+    throw new Error(`Response is not valid JSON (${e1.message})`);
+  }
+}
+
+/**
+ * Single place where we actually call the model.
+ * The provider (OpenAI, OpenAI-compatible local server, Anthropic, fake) is resolved per project.
+ * `task` and `meta` describe the call for the fake provider and fixture files.
+ * Pass `onToken` to stream (when the provider supports it) and `signal` to abort.
+ * `onUsage` receives token counts (estimated when the provider doesn't report them).
+ */
+export async function callModel({
+  project,
+  task,
+  meta = {},
+  instructions,
+  input,
+  signal,
+  onToken,
+  onUsage
+}) {
+  const provider = resolveProvider(project);
+  const promptTokens = {
+    instructions: estimateTokens(instructions),
+    input: estimateTokens(input)
+  };
+  console.log("[model] calling model", `${provider.name}/${provider.model}`, {
+    task,
+    promptTokens: promptTokens.instructions + promptTokens.input,
+    ...promptTokens
+  });
+
+  const request = {
+    task,
+    meta,
+    instructions,
+    input,
+    temperature: DEFAULT_TEMPERATURE,
+    signal
+  };
+
+  try {
+    const { text, usage } =
+      onToken && provider.stream
+        ? await provider.stream({ ...request, onToken })
+        : await provider.complete(request);
+    console.log("[model] got completion length", text ? text.length : 0);
+
+    if (onUsage) {
+      onUsage({
+        provider: provider.name,
+        model: provider.model,
+        inputTokens: usage?.inputTokens ?? promptTokens.instructions + promptTokens.input,
+        outputTokens: usage?.outputTokens ?? estimateTokens(text)
+      });
+    }
+
+    if (!text) throw new Error("Empty model output");
+    return text;
+  } catch (err) {
+    if (signal?.aborted) {
+      console.log("[model] model call aborted");
+      throw new Error("Generation aborted");
+    }
+    console.error(`[model] ${provider.name} error`, err);
+    throw err;
+  }
+}
+
+/**
+ * Call the model for a JSON response and validate it against `schema`.
+ * On violations, send the model its previous answer plus the list of
+ * problems and ask for a corrected document, up to MAX_REPAIR_ATTEMPTS times.
+ * Throws a 502 carrying the remaining violations if it never validates.
+ */
+export async function generateJson({ schema, context = {}, label, ...call }) {
+  let text = await callModel(call);
+
+  for (let attempt = 0; ; attempt++) {
+    let json = null;
+    let violations;
+    try {
+      json = parseModelJson(text);
+      violations = validate(schema, json, context);
+    } catch (err) {
+      violations = [err.message];
+    }
+
+    if (violations.length === 0) return json;
+
+    console.warn(`[model] ${call.task}: ${violations.length} violation(s)`, violations.slice(0, 5));
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      throw httpError(
+        502,
+        `Model returned an invalid ${label} after ${attempt} repair attempt(s): ` +
+          violations.slice(0, 5).join("; "),
+        { violations }
+      );
+    }
+
+    const input = `
+Original request:
+${call.input}
+
+Your previous response:
+${text}
+
+It failed validation:
+${violations.map((v) => `- ${v}`).join("\n")}
+
+Task:
+Return the complete, corrected JSON document. Fix every problem listed above.
+Do not shorten or summarise content that was already valid.
+`.trim();
+
+    text = await callModel({
+      ...call,
+      task: `${call.task}-repair`,
+      input,
+      onToken: undefined
+    });
+  }
+}
+
+export function modelLabel(project) {
+  const provider = resolveProvider(project);
+  return `${provider.name}/${provider.model}`;
+}
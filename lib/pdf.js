@@ -0,0 +1,375 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import PDFDocument from "pdfkit";
+
+import { getProject } from "./storage.js";
+import { httpError } from "./errors.js";
+import { bookTitle, bookChapters, frontMatterSections, backMatterSections } from "./book.js";
+import { textBlocks, inlineSpans } from "./markup.js";
+
+/**
+ * Print-ready PDF export (pdfkit).
+ *
+ * Pages are laid out for a bound paperback: mirrored margins (the wider
+ * inside margin sits at the spine), chapters opening on a recto (odd) page,
+ * running headers (author on versos, title on rectos) and page numbers.
+ * Chapter openers and blank pages carry no header; blank pages no number.
+ * Front matter (title, copyright, dedication, epigraph, contents) is
+ * unnumbered; the contents page lists each chapter and back-matter
+ * section with the page it opens on.
+ */
+
+const INCH = 72;
+
+export const TRIM_SIZES = {
+  "5x8": { width: 5, height: 8, fontSize: 10.5 },
+  "5.5x8.5": { width: 5.5, height: 8.5, fontSize: 11 },
+  "6x9": { width: 6, height: 9, fontSize: 11.5 }
+};
+export const DEFAULT_TRIM = "5.5x8.5";
+
+const MARGINS = { top: 0.75, bottom: 0.75, inside: 0.75, outside: 0.5 };
+
+// Print services reject PDFs whose fonts aren't embedded, so the body font
+// is a TrueType file: Crimson Text (SIL Open Font License), bundled in
+// fonts/. PDF_FONT_REGULAR / _ITALIC / _BOLD / _BOLD_ITALIC point at your own.
+const BUNDLED_FONTS = {
+  regular: fileURLToPath(new URL("../fonts/crimson-text/CrimsonText-Regular.ttf", import.meta.url)),
+  italic: fileURLToPath(new URL("../fonts/crimson-text/CrimsonText-Italic.ttf", import.meta.url)),
+  bold: fileURLToPath(new URL("../fonts/crimson-text/CrimsonText-Bold.ttf", import.meta.url)),
+  boldItalic: fileURLToPath(new URL("../fonts/crimson-text/CrimsonText-BoldItalic.ttf", import.meta.url))
+};
+
+function resolveFonts() {
+  const configured = {
+    regular: process.env.PDF_FONT_REGULAR,
+    italic: process.env.PDF_FONT_ITALIC,
+    bold: process.env.PDF_FONT_BOLD,
+    boldItalic: process.env.PDF_FONT_BOLD_ITALIC
+  };
+  if (!configured.regular) return BUNDLED_FONTS;
+  if (!fs.existsSync(configured.regular)) {
+    console.warn("[pdf] PDF_FONT_REGULAR not found; using the bundled font", configured.regular);
+    return BUNDLED_FONTS;
+  }
+
+  // A family without italic or bold falls back to the regular face, and
+  // bold italic to bold.
+  const face = (file, fallback = configured.regular) => (file && fs.existsSync(file) ? file : fallback);
+  const bold = face(configured.bold);
+  return { regular: configured.regular, italic: face(configured.italic), bold, boldItalic: face(configured.boldItalic, bold) };
+}
+
+function registerFonts(doc) {
+  const fonts = resolveFonts();
+  doc.registerFont("Body", fonts.regular);
+  doc.registerFont("Body-Italic", fonts.italic);
+  doc.registerFont("Body-Bold", fonts.bold);
+  doc.registerFont("Body-BoldItalic", fonts.boldItalic);
+  return { regular: "Body", italic: "Body-Italic", bold: "Body-Bold", boldItalic: "Body-BoldItalic" };
+}
+
+function spanFont(fonts, span) {
+  if (span.bold) return span.italic ? fonts.boldItalic : fonts.bold;
+  return span.italic ? fonts.italic : fonts.regular;
+}
+
+/**
+ * One paragraph of chapter markup (lib/markup.js), switching faces span by
+ * span as continued text. Line breaks inside the paragraph are kept.
+ * `style` is the emphasis the paragraph starts with.
+ */
+function writeMarkup(doc, fonts, lines, options, style = {}) {
+  const spans = lines.flatMap((line, i) => {
+    const lineSpans = inlineSpans(line, style);
+    if (i < lines.length - 1 && lineSpans.length) lineSpans[lineSpans.length - 1].text += "\n";
+    return lineSpans;
+  });
+  spans.forEach((span, i) => {
+    doc.font(spanFont(fonts, span));
+    doc.text(span.text, { ...options, continued: i < spans.length - 1 });
+  });
+  doc.font(fonts.regular);
+}
+
+// Cut a single line down to `width`, ending it with an ellipsis.
+function fitLine(doc, text, width) {
+  if (doc.widthOfString(text) <= width) return text;
+  let cut = text;
+  while (cut && doc.widthOfString(`${cut}…`) > width) cut = cut.slice(0, -1);
+  return `${cut.trimEnd()}…`;
+}
+
+/**
+ * Lay the book out. Returns the document (pages buffered) and the page
+ * numbers, 1-based, that are blank, front matter (no header or number) or
+ * chapter and back-matter openers (number only).
+ */
+function layoutBook({ project, trim, title, author }) {
+  const width = trim.width * INCH;
+  const height = trim.height * INCH;
+  const inside = MARGINS.inside * INCH;
+  const outside = MARGINS.outside * INCH;
+  const top = MARGINS.top * INCH;
+  const bottom = height - MARGINS.bottom * INCH;
+
+  // Every page is set up as a recto (inside margin on the left). Versos are
+  // shifted left by the difference as they are added, which mirrors the
+  // margins for text that flows onto a new page as well.
+  const doc = new PDFDocument({
+    size: [width, height],
+    margins: { top, bottom: MARGINS.bottom * INCH, left: inside, right: outside },
+    autoFirstPage: false,
+    bufferPages: true,
+    // pdfkit can't take an undefined info value, so Author is left out when empty.
+    info: { Title: title, ...(author ? { Author: author } : {}), Creator: "AI Book Generator" }
+  });
+  let pageCount = 0;
+  doc.on("pageAdded", () => {
+    pageCount += 1;
+    if (pageCount % 2 === 0) doc.translate(outside - inside, 0);
+  });
+
+  const fonts = registerFonts(doc);
+  const size = trim.fontSize;
+  const textWidth = width - inside - outside;
+  const body = { width: textWidth, align: "justify", lineGap: size * 0.35 };
+  const centered = { width: textWidth, align: "center", lineGap: size * 0.35 };
+  const blank = new Set();
+  const plain = new Set();
+  const openers = new Set();
+
+  // Sections open on a recto, after a blank verso if need be.
+  const startRecto = () => {
+    doc.addPage();
+    if (pageCount % 2 === 0) {
+      blank.add(pageCount);
+      doc.addPage();
+    }
+  };
+
+  const openingHeading = (label, heading) => {
+    doc.y = height * 0.28;
+    if (label) {
+      doc.font(fonts.regular).fontSize(size * 0.9);
+      doc.text(label, { width: textWidth, align: "center", characterSpacing: 2 });
+      if (heading) doc.moveDown(0.6);
+    }
+    if (heading) {
+      doc.font(fonts.bold).fontSize(size * 1.6);
+      doc.text(heading, { width: textWidth, align: "center" });
+    }
+    doc.moveDown(2.5);
+  };
+
+  // The first paragraph of a chapter or scene, and the one after a block
+  // quote, isn't indented. Quotes are inset on both sides.
+  const quoteInset = size * 2;
+  const writeProse = (text) => {
+    let indent = 0;
+    doc.font(fonts.regular).fontSize(size);
+    for (const block of textBlocks(text)) {
+      if (block.sceneBreak) {
+        doc.moveDown(0.8);
+        doc.text("*  *  *", { width: textWidth, align: "center" });
+        doc.moveDown(0.8);
+        indent = 0;
+        continue;
+      }
+      if (block.quote) {
+        doc.moveDown(0.5);
+        doc.x = inside + quoteInset;
+        writeMarkup(doc, fonts, block.lines, { ...body, width: textWidth - 2 * quoteInset, indent: 0 });
+        doc.x = inside;
+        doc.moveDown(0.5);
+        indent = 0;
+        continue;
+      }
+      writeMarkup(doc, fonts, block.lines, { ...body, indent });
+      indent = size * 1.5;
+    }
+  };
+
+  const writeCentered = (text, style) => {
+    doc.fontSize(size);
+    for (const block of textBlocks(text)) {
+      if (block.lines) {
+        writeMarkup(doc, fonts, block.lines, centered, style);
+        doc.moveDown(0.6);
+      }
+    }
+  };
+
+  // Title page.
+  doc.addPage();
+  plain.add(pageCount);
+  doc.font(fonts.bold).fontSize(size * 2.2);
+  doc.y = height * 0.3;
+  doc.text(title, { width: textWidth, align: "center" });
+  if (author) {
+    doc.moveDown(1.5).font(fonts.regular).fontSize(size * 1.3);
+    doc.text(author, { width: textWidth, align: "center" });
+  }
+  if (project.brief?.oneSentenceHook) {
+    doc.moveDown(3).font(fonts.italic).fontSize(size);
+    doc.text(project.brief.oneSentenceHook, { width: textWidth, align: "center" });
+  }
+
+  // Front matter. The copyright page is the title page's verso, set small
+  // and low; the rest each open on a recto.
+  const contents = [];
+  let tocStart = null;
+  for (const section of frontMatterSections(project)) {
+    if (section.kind === "copyright") {
+      doc.addPage();
+      plain.add(pageCount);
+      const copyright = { width: textWidth, lineGap: size * 0.25 };
+      const lines = section.lines.join("\n");
+      doc.font(fonts.regular).fontSize(size * 0.8);
+      doc.y = bottom - doc.heightOfString(lines, copyright);
+      doc.text(lines, copyright);
+      continue;
+    }
+
+    startRecto();
+    plain.add(pageCount);
+    if (section.kind === "dedication") {
+      doc.y = height * 0.3;
+      writeCentered(section.text, { italic: true });
+    } else if (section.kind === "epigraph") {
+      doc.y = height * 0.3;
+      writeCentered(section.text, { italic: true });
+      if (section.source) {
+        doc.moveDown(0.4).font(fonts.regular).fontSize(size);
+        doc.text(`— ${section.source}`, centered);
+      }
+    } else if (section.kind === "toc") {
+      // Entries are filled in once the page numbers are known, so reserve
+      // enough pages for them now.
+      openingHeading(null, section.heading);
+      tocStart = { page: pageCount, y: doc.y };
+    }
+  }
+
+  const lineHeight = size * 1.8;
+  if (tocStart) {
+    const entries = bookChapters(project).length + backMatterSections(project).length;
+    const firstPage = Math.floor((bottom - tocStart.y) / lineHeight);
+    const perPage = Math.floor((bottom - top) / lineHeight);
+    const extraPages = Math.max(0, Math.ceil((entries - firstPage) / perPage));
+    for (let i = 0; i < extraPages; i++) {
+      doc.addPage();
+      plain.add(pageCount);
+    }
+  }
+
+  for (const ch of bookChapters(project)) {
+    startRecto();
+    openers.add(pageCount);
+    contents.push({ label: ch.heading, page: pageCount });
+    openingHeading(`CHAPTER ${ch.index}`, ch.title);
+    writeProse(ch.text);
+  }
+
+  for (const section of backMatterSections(project)) {
+    startRecto();
+    openers.add(pageCount);
+    contents.push({ label: section.heading, page: pageCount });
+    openingHeading(null, section.heading);
+    if (section.items) {
+      doc.font(fonts.regular).fontSize(size);
+      for (const item of section.items) {
+        writeMarkup(doc, fonts, [item], centered);
+        doc.moveDown(0.4);
+      }
+    } else {
+      writeProse(section.text);
+    }
+  }
+
+  if (tocStart) {
+    doc.font(fonts.regular).fontSize(size);
+    const numberWidth = doc.widthOfString(String(pageCount)) + size;
+    let page = tocStart.page;
+    let y = tocStart.y;
+    for (const entry of contents) {
+      if (y + lineHeight > bottom) {
+        page += 1;
+        y = top;
+      }
+      doc.switchToPage(page - 1);
+      const margin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.text(fitLine(doc, entry.label, textWidth - numberWidth), inside, y, { lineBreak: false });
+      doc.text(String(entry.page), inside, y, { width: textWidth, align: "right", lineBreak: false });
+      doc.page.margins.bottom = margin;
+      y += lineHeight;
+    }
+  }
+
+  return { doc, fonts, blank, plain, openers, pageCount };
+}
+
+/**
+ * Running headers and page numbers, drawn once every page exists.
+ * Coordinates are in recto terms; the verso shift applies to them too.
+ */
+function decoratePages({ doc, fonts, blank, plain, openers, pageCount, trim, title, author }) {
+  const width = trim.width * INCH;
+  const height = trim.height * INCH;
+  const left = MARGINS.inside * INCH;
+  const textWidth = width - left - MARGINS.outside * INCH;
+  const size = trim.fontSize * 0.8;
+  const headerY = (MARGINS.top * INCH) / 2 - size / 2;
+  const footerY = height - (MARGINS.bottom * INCH) / 2 - size / 2;
+
+  for (let number = 1; number <= pageCount; number++) {
+    if (blank.has(number) || plain.has(number)) continue;
+    doc.switchToPage(number - 1);
+    // Text below the bottom margin would otherwise start a new page.
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font(fonts.regular).fontSize(size);
+
+    if (!openers.has(number)) {
+      const header = number % 2 === 0 ? author || title : title;
+      doc.text(header.toUpperCase(), left, headerY, {
+        width: textWidth,
+        align: "center",
+        characterSpacing: 1,
+        lineBreak: false
+      });
+    }
+    doc.text(String(number), left, footerY, { width: textWidth, align: "center", lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Build a print-ready PDF buffer for download. `trim` is one of TRIM_SIZES.
+ */
+export async function compileBookPdfBuffer(projectId, { trim = DEFAULT_TRIM } = {}) {
+  console.log("[pdf] compileBookPdfBuffer", { projectId, trim });
+
+  const trimSize = TRIM_SIZES[trim];
+  if (!trimSize) {
+    throw httpError(400, `Unknown trim size "${trim}". Use one of: ${Object.keys(TRIM_SIZES).join(", ")}`);
+  }
+
+  const project = await getProject(projectId);
+  if (!project) throw httpError(404, "Project not found");
+
+  const title = bookTitle(project);
+  const { author } = project.metadata;
+  const layout = layoutBook({ project, trim: trimSize, title, author });
+  decoratePages({ ...layout, trim: trimSize, title, author });
+
+  const { doc } = layout;
+  const chunks = [];
+  return new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
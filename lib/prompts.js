@@ -24,6 +24,13 @@ Writing priorities:
 - Consistent internal logic.
 - Cooked prose over placeholder text.
 - Minimal recap unless structurally necessary.
+
+Prose formatting (the only markup the exports understand):
+- Blank line between paragraphs; a single line break only inside verse, letters or messages.
+- *italics* for emphasis, thoughts and titles; **bold** rarely.
+- "> " at the start of each line of a quoted document or sign.
+- "* * *" alone on a line for a scene break.
+- No headings, lists or other Markdown.
 `.trim();
 }
 
@@ -0,0 +1,297 @@
+import OpenAI from "openai";
+
+import { createFakeProvider } from "./fake.js";
+import {
+  FIXTURES_MODE,
+  withRecording,
+  createReplayProvider
+} from "./fixtures.js";
+
+/**
+ * Model provider layer.
+ *
+ * Every provider exposes the same shape:
+ *   { name, model, complete({ task, meta, instructions, input, temperature, signal }) -> { text, usage } }
+ *
+ * and may also offer stream({ ...same, onToken }) -> { text, usage }, which
+ * calls onToken(delta) as text arrives. Callers fall back to complete().
+ *
+ * `task` names the engine step ("outline", "chapter", ...) and `meta` carries a
+ * few structured hints about it. Real providers ignore both; the fake provider
+ * and the fixture recorder use them.
+ *
+ * The provider is chosen per project (inputs.modelProvider / inputs.modelName)
+ * and falls back to MODEL_PROVIDER / MODEL_NAME from the environment.
+ * MODEL_FIXTURES=record|replay wraps whatever is chosen (see fixtures.js).
+ */
+
+export const PROVIDER_NAMES = ["openai", "openai-compatible", "anthropic", "fake"];
+
+const DEFAULT_PROVIDER = process.env.MODEL_PROVIDER || "openai";
+
+export const DEFAULT_TEMPERATURE = Number.isFinite(Number(process.env.MODEL_TEMPERATURE))
+  ? Number(process.env.MODEL_TEMPERATURE)
+  : 0.8;
+
+// USD per 1K tokens, for batch cost ceilings. Unset means "free" (cost stays 0).
+const COST_PER_1K_INPUT = Number(process.env.MODEL_COST_PER_1K_INPUT) || 0;
+const COST_PER_1K_OUTPUT = Number(process.env.MODEL_COST_PER_1K_OUTPUT) || 0;
+
+export function estimateCostUsd({ inputTokens = 0, outputTokens = 0 } = {}) {
+  return (
+    (inputTokens / 1000) * COST_PER_1K_INPUT +
+    (outputTokens / 1000) * COST_PER_1K_OUTPUT
+  );
+}
+
+// ---------- Adapters ----------
+
+function createOpenAIProvider({ name, model, apiKey, baseURL }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  const messages = (instructions, input) => [
+    { role: "system", content: instructions },
+    { role: "user", content: input }
+  ];
+
+  return {
+    name,
+    model,
+    async complete({ instructions, input, temperature, signal }) {
+      const resp = await client.chat.completions.create(
+        {
+          model,
+          messages: messages(instructions, input),
+          temperature
+        },
+        { signal }
+      );
+
+      return {
+        text: resp.choices?.[0]?.message?.content || "",
+        usage: {
+          inputTokens: resp.usage?.prompt_tokens ?? null,
+          outputTokens: resp.usage?.completion_tokens ?? null
+        }
+      };
+    },
+
+    async stream({ instructions, input, temperature, signal, onToken }) {
+      const stream = await client.chat.completions.create(
+        {
+          model,
+          messages: messages(instructions, input),
+          temperature,
+          stream: true,
+          // Local servers don't all understand stream_options.
+          ...(name === "openai" ? { stream_options: { include_usage: true } } : {})
+        },
+        { signal }
+      );
+
+      let text = "";
+      let usage = { inputTokens: null, outputTokens: null };
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content || "";
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        if (chunk.usage) {
+          usage = {
+            inputTokens: chunk.usage.prompt_tokens ?? null,
+            outputTokens: chunk.usage.completion_tokens ?? null
+          };
+        }
+      }
+      return { text, usage };
+    }
+  };
+}
+
+/**
+ * Read a text/event-stream response body and hand each parsed `data:` JSON
+ * payload to onEvent.
+ */
+async function readSseJson(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let sep;
+    while ((sep = buffer.indexOf("\n\n")) !== -1) {
+      const frame = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+      const data = frame
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trim())
+        .join("");
+      if (!data || data === "[DONE]") continue;
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        continue; // keep-alives and partial garbage
+      }
+      onEvent(event);
+    }
+  }
+}
+
+function createAnthropicProvider({ name, model, apiKey, baseURL, maxTokens }) {
+  const url = `${baseURL.replace(/\/+$/, "")}/v1/messages`;
+
+  async function post({ instructions, input, temperature, signal, stream }) {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": "2023-06-01"
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        system: instructions,
+        messages: [{ role: "user", content: input }],
+        temperature: Math.min(1, temperature),
+        stream
+      }),
+      signal
+    });
+
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => null);
+      const msg = data?.error?.message || `HTTP ${resp.status}`;
+      throw new Error(`Anthropic API error: ${msg}`);
+    }
+    return resp;
+  }
+
+  return {
+    name,
+    model,
+    async complete(request) {
+      const resp = await post({ ...request, stream: false });
+      const data = await resp.json();
+
+      const text = (data?.content || [])
+        .filter((b) => b.type === "text")
+        .map((b) => b.text)
+        .join("");
+
+      return {
+        text,
+        usage: {
+          inputTokens: data?.usage?.input_tokens ?? null,
+          outputTokens: data?.usage?.output_tokens ?? null
+        }
+      };
+    },
+
+    async stream(request) {
+      const resp = await post({ ...request, stream: true });
+
+      let text = "";
+      const usage = { inputTokens: null, outputTokens: null };
+      await readSseJson(resp.body, (event) => {
+        if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+          text += event.delta.text;
+          request.onToken(event.delta.text);
+        } else if (event.type === "message_start") {
+          usage.inputTokens = event.message?.usage?.input_tokens ?? null;
+        } else if (event.type === "message_delta") {
+          usage.outputTokens = event.usage?.output_tokens ?? null;
+        } else if (event.type === "error") {
+          throw new Error(`Anthropic API error: ${event.error?.message || "stream error"}`);
+        }
+      });
+      return { text, usage };
+    }
+  };
+}
+
+// ---------- Configuration ----------
+
+function providerConfig(name, modelOverride) {
+  switch (name) {
+    case "openai":
+      return {
+        name,
+        model: modelOverride || process.env.MODEL_NAME || process.env.OPENAI_MODEL || "gpt-5.1",
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL || undefined
+      };
+
+    case "openai-compatible":
+      // Ollama, llama.cpp server, vLLM, LM Studio... anything speaking /v1/chat/completions.
+      if (!process.env.LOCAL_MODEL_BASE_URL) {
+        throw new Error("LOCAL_MODEL_BASE_URL is not set");
+      }
+      return {
+        name,
+        model: modelOverride || process.env.LOCAL_MODEL_NAME || process.env.MODEL_NAME || "llama3.1",
+        apiKey: process.env.LOCAL_MODEL_API_KEY || "not-needed",
+        baseURL: process.env.LOCAL_MODEL_BASE_URL
+      };
+
+    case "anthropic":
+      return {
+        name,
+        model: modelOverride || process.env.ANTHROPIC_MODEL || process.env.MODEL_NAME || "claude-sonnet-4-5",
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        baseURL: process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com",
+        maxTokens: Number(process.env.ANTHROPIC_MAX_TOKENS) || 16000
+      };
+
+    case "fake":
+      return { name, model: modelOverride || "fake-1" };
+
+    default:
+      throw new Error(`Unknown model provider "${name}"`);
+  }
+}
+
+function buildProvider(config) {
+  if (config.name === "fake") {
+    return createFakeProvider(config);
+  }
+  if (config.name === "anthropic") {
+    if (!config.apiKey) throw new Error("ANTHROPIC_API_KEY is not set");
+    return createAnthropicProvider(config);
+  }
+  if (config.name === "openai" && !config.apiKey) {
+    throw new Error("OPENAI_API_KEY is not set");
+  }
+  return createOpenAIProvider(config);
+}
+
+const providerCache = new Map();
+let replayProvider = null;
+
+/**
+ * Resolve the provider for a project. Clients are cached per provider/model,
+ * so this is cheap to call on every model request.
+ */
+export function resolveProvider(project) {
+  if (FIXTURES_MODE === "replay") {
+    replayProvider = replayProvider || createReplayProvider();
+    return replayProvider;
+  }
+
+  const inputs = project?.inputs || {};
+  const name = inputs.modelProvider || DEFAULT_PROVIDER;
+  const config = providerConfig(name, inputs.modelName || "");
+
+  const key = `${config.name}|${config.model}`;
+  if (!providerCache.has(key)) {
+    const provider = buildProvider(config);
+    providerCache.set(
+      key,
+      FIXTURES_MODE === "record" ? withRecording(provider) : provider
+    );
+  }
+  return providerCache.get(key);
+}
@@ -0,0 +1,273 @@
+import { v4 as uuidv4 } from "uuid";
+import { query } from "./db.js";
+import { httpError } from "./errors.js";
+import { getProject, mutateProject, updateChapter, saveUserEdits } from "./storage.js";
+import { assembleScenes, scenesFromText } from "./scenes.js";
+import { wordDiff } from "./diff.js";
+import { countWords } from "./words.js";
+
+/**
+ * Chapter revision history.
+ *
+ * Every write to a chapter's text (model draft, regeneration, user edit,
+ * restore) appends a full snapshot of the chapter here, so nothing the
+ * chapters JSONB overwrites is lost.
+ */
+
+function rowToRevision(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    chapterIndex: row.chapter_index,
+    createdAt: Number(row.created_at),
+    source: row.source,
+    model: row.model || null,
+    title: row.title || "",
+    draftText: row.draft_text || "",
+    userText: row.user_text || "",
+    continuity: row.continuity || null,
+    restoredFrom: row.restored_from || null
+  };
+}
+
+const EDITED_TEXT_SOURCES = new Set(["user-edit", "restore-edited"]);
+
+/**
+ * The text a revision is "about": the edited text for user edits and
+ * restores into the edited slot, the draft for everything else.
+ */
+function primaryText(rev) {
+  return EDITED_TEXT_SOURCES.has(rev.source) ? rev.userText : rev.draftText;
+}
+
+export async function recordRevision(projectId, chapter, { source, model = null, restoredFrom = null }) {
+  const res = await query(
+    `INSERT INTO chapter_revisions
+       (id, project_id, chapter_index, created_at, source, model, title,
+        draft_text, user_text, continuity, restored_from)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10::jsonb,$11)
+     RETURNING *`,
+    [
+      uuidv4(),
+      projectId,
+      chapter.index,
+      Date.now(),
+      source,
+      model,
+      chapter.title || "",
+      chapter.draftText || "",
+      chapter.userText || "",
+      chapter.continuity ? JSON.stringify(chapter.continuity) : null,
+      restoredFrom
+    ]
+  );
+  return rowToRevision(res.rows[0]);
+}
+
+/**
+ * Chapters drafted before revision history existed have no rows yet.
+ * Snapshot them once before their text is overwritten.
+ */
+export async function ensureBaselineRevision(projectId, chapter) {
+  if (!chapter || !(chapter.draftText || chapter.userText)) return;
+
+  const res = await query(
+    `SELECT 1 FROM chapter_revisions
+     WHERE project_id = $1 AND chapter_index = $2
+     LIMIT 1`,
+    [projectId, chapter.index]
+  );
+  if (res.rows.length === 0) {
+    await recordRevision(projectId, chapter, { source: "baseline" });
+  }
+}
+
+export async function listRevisions(projectId, chapterIndex) {
+  const res = await query(
+    `SELECT * FROM chapter_revisions
+     WHERE project_id = $1 AND chapter_index = $2
+     ORDER BY created_at DESC`,
+    [projectId, chapterIndex]
+  );
+
+  // Summaries only; the full texts come from getRevision.
+  return res.rows.map(rowToRevision).map((rev) => {
+    const text = primaryText(rev);
+    return {
+      id: rev.id,
+      chapterIndex: rev.chapterIndex,
+      createdAt: rev.createdAt,
+      source: rev.source,
+      model: rev.model,
+      title: rev.title,
+      words: countWords(text),
+      preview: text.slice(0, 160),
+      restoredFrom: rev.restoredFrom
+    };
+  });
+}
+
+export async function getRevision(projectId, revisionId) {
+  const res = await query(
+    `SELECT * FROM chapter_revisions WHERE project_id = $1 AND id = $2`,
+    [projectId, revisionId]
+  );
+  return res.rows.length ? rowToRevision(res.rows[0]) : null;
+}
+
+export async function diffRevisions(projectId, fromId, toId) {
+  const [from, to] = await Promise.all([
+    getRevision(projectId, fromId),
+    getRevision(projectId, toId)
+  ]);
+  if (!from || !to) {
+    throw httpError(404, "Revision not found");
+  }
+
+  return {
+    from: { id: from.id, source: from.source, createdAt: from.createdAt },
+    to: { id: to.id, source: to.source, createdAt: to.createdAt },
+    segments: wordDiff(primaryText(from), primaryText(to))
+  };
+}
+
+/**
+ * Move revision history after chapters are renumbered. `moves` is a list of
+ * [oldIndex, newIndex] pairs (several old chapters may land on one new index
+ * after a merge); revisions of `removed` chapters are deleted.
+ */
+export async function remapRevisionChapters(projectId, moves, removed = []) {
+  if (removed.length) {
+    await query(
+      `DELETE FROM chapter_revisions WHERE project_id = $1 AND chapter_index = ANY($2::int[])`,
+      [projectId, removed]
+    );
+  }
+
+  const changed = moves.filter(([from, to]) => from !== to);
+  if (!changed.length) return;
+
+  // One statement, so swapped chapters don't collide mid-update.
+  await query(
+    `UPDATE chapter_revisions r
+     SET chapter_index = m.to_index
+     FROM unnest($2::int[], $3::int[]) AS m(from_index, to_index)
+     WHERE r.project_id = $1 AND r.chapter_index = m.from_index`,
+    [projectId, changed.map(([from]) => from), changed.map(([, to]) => to)]
+  );
+}
+
+/**
+ * Save the user's edited text for one chapter and record it. Saving an edit
+ * also clears an out-of-date flag: the user has reworked the chapter by hand.
+ * options.expectedVersion is passed through to the storage version check.
+ */
+export async function saveChapterEdit(projectId, chapterIndex, text, options = {}) {
+  const before = await getProject(projectId);
+  if (!before) throw httpError(404, "Project not found");
+  await ensureBaselineRevision(
+    projectId,
+    (before.chapters || []).find((c) => c.index === chapterIndex)
+  );
+
+  const project = await updateChapter(
+    projectId,
+    chapterIndex,
+    { userText: text, approved: text.trim().length > 0, outOfDate: null },
+    options
+  );
+
+  const ch = project.chapters.find((c) => c.index === chapterIndex);
+  await recordRevision(projectId, ch, { source: "user-edit" });
+  return project;
+}
+
+/**
+ * saveUserEdits (the legacy edits route) with revision history: a chapter
+ * it patches is snapshotted first if it has no history yet, then recorded
+ * as a user edit.
+ */
+export async function saveUserEditsWithRevision(projectId, payload = {}, options = {}) {
+  const { chapterIndex, chapter } = payload;
+  const editsChapter = typeof chapterIndex === "number" && Boolean(chapter);
+  if (editsChapter) {
+    const before = await getProject(projectId);
+    if (!before) throw httpError(404, "Project not found");
+    await ensureBaselineRevision(
+      projectId,
+      (before.chapters || []).find((c) => c.index === chapterIndex)
+    );
+  }
+
+  const project = await saveUserEdits(projectId, payload, options);
+  if (editsChapter) {
+    const ch = project.chapters.find((c) => c.index === chapterIndex);
+    await recordRevision(projectId, ch, { source: "user-edit" });
+  }
+  return project;
+}
+
+/**
+ * Replace one scene's text in a scene-drafted chapter. The chapter's draft
+ * is reassembled from its scenes and its continuity marked stale until it
+ * is recomputed (recomputeChapterContinuity).
+ */
+export async function saveSceneEdit(projectId, chapterIndex, sceneIndex, text, options = {}) {
+  const before = await getProject(projectId);
+  if (!before) throw httpError(404, "Project not found");
+  await ensureBaselineRevision(
+    projectId,
+    (before.chapters || []).find((c) => c.index === chapterIndex)
+  );
+
+  const project = await mutateProject(
+    projectId,
+    (fresh) => {
+      const ch = (fresh.chapters || []).find((c) => c.index === chapterIndex);
+      if (!ch) throw httpError(404, "Chapter not found");
+      const scene = (ch.scenes || []).find((s) => s.index === sceneIndex);
+      if (!scene) throw httpError(404, "Scene not found");
+
+      scene.text = text.trim();
+      scene.source = "user-edit";
+      ch.draftText = assembleScenes(ch.scenes);
+      ch.continuityStale = true;
+      if (ch.continuityCheck) ch.continuityCheck.stale = true;
+    },
+    options
+  );
+
+  const ch = project.chapters.find((c) => c.index === chapterIndex);
+  await recordRevision(projectId, ch, { source: "scene-edit" });
+  return project;
+}
+
+/**
+ * Restore a revision's text as the chapter's current draft ("draft")
+ * or as its edited text ("edited"). Restoring a draft also restores the
+ * continuity that came with it.
+ */
+export async function restoreRevision(projectId, chapterIndex, revisionId, as = "draft", options = {}) {
+  const rev = await getRevision(projectId, revisionId);
+  if (!rev || rev.chapterIndex !== chapterIndex) {
+    throw httpError(404, "Revision not found");
+  }
+
+  const text = primaryText(rev);
+  let patch;
+  if (as === "edited") {
+    patch = { userText: text, approved: text.trim().length > 0 };
+  } else {
+    // Scene breaks in the restored text become the chapter's scenes again.
+    patch = { draftText: text, continuity: rev.continuity, scenes: scenesFromText(text, "restore") };
+    if (rev.title) patch.title = rev.title;
+  }
+
+  const project = await updateChapter(projectId, chapterIndex, patch, options);
+  const ch = project.chapters.find((c) => c.index === chapterIndex);
+  await recordRevision(projectId, ch, {
+    source: as === "edited" ? "restore-edited" : "restore-draft",
+    restoredFrom: rev.id
+  });
+  return project;
+}
@@ -0,0 +1,252 @@
+import { generateJson } from "./model.js";
+import { SCENE_SCHEMA, CHAPTER_CONTINUITY_SCHEMA } from "./schemas.js";
+import { bibleForPrompt } from "./bible.js";
+import { createJsonStringExtractor } from "./stream.js";
+import { segmentCount, draftSegmentedScene } from "./segments.js";
+
+/**
+ * Scene-level drafting.
+ *
+ * A chapter whose contract has a scene plan (contract.scenes: [{ goal,
+ * conflict, outcome, pov, setting }]) is drafted one scene per model call.
+ * Scenes are stored on the chapter as `scenes: [{ index, text, source }]`
+ * and the chapter's draftText is always the scenes joined with a scene
+ * break. Chapter continuity is then read back from the assembled text in
+ * one more call, so it covers the chapter as a whole. A scene whose share of
+ * the chapter target is longer than one segment is itself written in
+ * segments (lib/segments.js).
+ */
+
+export const SCENE_BREAK = "* * *";
+
+// Keep the prompt bounded when a chapter's earlier scenes run long.
+const PREVIOUS_SCENES_CHARS = 6000;
+
+const SCENE_BREAK_LINE = /\n\s*\*\s*\*\s*\*\s*\n/;
+
+export function assembleScenes(scenes = []) {
+  return [...scenes]
+    .sort((a, b) => a.index - b.index)
+    .map((scene) => String(scene.text || "").trim())
+    .join(`\n\n${SCENE_BREAK}\n\n`);
+}
+
+/**
+ * Scenes recovered from chapter text (a restored revision, a split or
+ * merged chapter). Null when the text has no scene breaks.
+ */
+export function scenesFromText(text, source = "restructure") {
+  const parts = `\n${String(text || "")}\n`.split(SCENE_BREAK_LINE).map((part) => part.trim());
+  if (parts.length < 2) return null;
+  return parts.map((part, i) => ({ index: i + 1, text: part, source }));
+}
+
+export function countSceneBreaks(text) {
+  return `\n${String(text || "")}\n`.split(SCENE_BREAK_LINE).length - 1;
+}
+
+export function scenePlan(contract) {
+  return Array.isArray(contract?.scenes) ? contract.scenes : [];
+}
+
+// Each scene's share of the chapter's word target.
+export function sceneTargetWords(project, contract) {
+  return Math.round(
+    (Number(project.inputs.chapterTargetWords) || 2000) / Math.max(scenePlan(contract).length, 1)
+  );
+}
+
+function tail(text, max) {
+  return text.length > max ? `…${text.slice(text.length - max)}` : text;
+}
+
+/**
+ * Draft (or redraft) one scene. `scenes` are the chapter's scenes so far;
+ * when redrafting, the ones after `sceneIndex` are passed too so the new
+ * version still leads into them. `progress` is the chapter's saved
+ * sceneDraftProgress, for a segmented scene to resume from.
+ */
+export async function draftScene({
+  project,
+  chapterIndex,
+  sceneIndex,
+  chapterSummary,
+  contract,
+  styleCard,
+  continuityContext,
+  scenes = [],
+  notes = "",
+  task = "scene",
+  progress,
+  signal,
+  onUsage,
+  onProse
+}) {
+  const plan = scenePlan(contract);
+  const scene = plan[sceneIndex - 1] || { goal: "Continue the chapter" };
+  const before = assembleScenes(scenes.filter((s) => s.index < sceneIndex));
+  const after = scenes.find((s) => s.index === sceneIndex + 1);
+  const nextPlan = plan[sceneIndex];
+  const targetWords = sceneTargetWords(project, contract);
+  const { scenes: _plan, ...chapterContract } = contract || {};
+
+  let handoff = "This is the chapter's last scene: end on the contract's hook.";
+  if (after) {
+    handoff = `The scene that follows (keep it working):\n${after.text.slice(0, 1500)}`;
+  } else if (nextPlan) {
+    handoff = `Next scene plan (lead into it):\n${JSON.stringify(nextPlan, null, 2)}`;
+  }
+
+  if (segmentCount(targetWords) > 1) {
+    return draftSegmentedScene({
+      project,
+      chapterIndex,
+      sceneIndex,
+      scene,
+      targetWords,
+      chapterSummary,
+      contract: chapterContract,
+      styleCard,
+      continuityContext,
+      before: before ? `${before}\n\n${SCENE_BREAK}` : "",
+      handoff,
+      notes,
+      task: task === "regenerate-scene" ? "regenerate-segment" : "segment",
+      progress,
+      signal,
+      onUsage,
+      onProse
+    });
+  }
+
+  const instructions = `
+You are a top-tier novelist and continuity-obsessed editor.
+Write ONE scene of a chapter. Return ONLY valid JSON.
+
+JSON schema:
+{
+  "prose": string
+}
+`.trim();
+
+  const input = `
+${styleCard}
+
+Book Brief:
+${JSON.stringify(project.brief, null, 2)}
+
+Bible:
+${JSON.stringify(bibleForPrompt(project.bible), null, 2)}
+
+Chapter Summary:
+${JSON.stringify(chapterSummary, null, 2)}
+
+Chapter Contract:
+${JSON.stringify(chapterContract, null, 2)}
+
+Continuity Context:
+${JSON.stringify(continuityContext, null, 2)}
+
+Scene ${sceneIndex} of ${Math.max(plan.length, sceneIndex)}:
+${JSON.stringify(scene, null, 2)}
+
+Chapter so far:
+${before ? tail(before, PREVIOUS_SCENES_CHARS) : "(this is the opening scene)"}
+
+${handoff}
+
+Target: about ${targetWords} words for this scene.
+
+${notes}
+
+Task:
+Write this scene only, continuing straight on from the chapter so far.
+- Deliver the scene's goal, conflict and outcome through action and dialogue.
+- Don't recap earlier scenes and don't add a scene-break marker.
+- Keep character appearance/traits, location names and world rules consistent.
+`.trim();
+
+  const json = await generateJson({
+    schema: SCENE_SCHEMA,
+    label: `chapter ${chapterIndex} scene ${sceneIndex}`,
+    project,
+    task,
+    meta: { chapterIndex, sceneIndex, targetWords },
+    instructions,
+    input,
+    signal,
+    onUsage,
+    onToken: onProse ? createJsonStringExtractor("prose", onProse) : undefined
+  });
+  return String(json.prose || "").trim();
+}
+
+/**
+ * Read the chapter-level continuity (and a title) back from the assembled
+ * chapter text.
+ */
+export async function extractChapterContinuity({
+  project,
+  chapterIndex,
+  title,
+  text,
+  chapterSummary,
+  continuityContext,
+  openLoops,
+  loopRules,
+  signal,
+  onUsage
+}) {
+  const instructions = `
+You are a continuity-obsessed editor.
+Read the chapter and return JSON describing its continuity.
+
+Return ONLY valid JSON.
+
+JSON schema:
+{
+  "title": string,
+  "continuity": {
+    "chapterSummary": string,
+    "charactersState": { [name:string]: string },
+    "locationsState": { [name:string]: string },
+    "timelineEvents": string[],
+    "openLoops": string[],
+    "loopsAdvanced": string[],
+    "loopsClosed": string[],
+    "styleNotes": string
+  }
+}
+`.trim();
+
+  const input = `
+Chapter Summary (planned):
+${JSON.stringify(chapterSummary, null, 2)}
+
+Current title: ${title || "—"}
+
+Continuity Context:
+${JSON.stringify(continuityContext, null, 2)}
+
+Chapter ${chapterIndex} text:
+${text}
+
+Task:
+- title: keep the current title unless it no longer fits the chapter.
+- Record each character's and location's state at the END of the chapter.
+${loopRules || ""}
+`.trim();
+
+  return generateJson({
+    schema: CHAPTER_CONTINUITY_SCHEMA,
+    context: { openLoops },
+    label: `chapter ${chapterIndex} continuity`,
+    project,
+    task: "chapter-continuity",
+    meta: { chapterIndex, title },
+    instructions,
+    input,
+    signal,
+    onUsage
+  });
+}
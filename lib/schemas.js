@@ -0,0 +1,471 @@
+import { countWords } from "./words.js";
+import { findLoop } from "./ledger.js";
+
+/**
+ * Schemas for model responses, plus a small validator.
+ *
+ * Nodes are plain objects:
+ *   { type: "object", properties: { key: node }, required: [keys], values: node }
+ *   { type: "array", items: node, minItems }
+ *   { type: "string", minLength, enum: [values] } | { type: "integer" } | { type: "number" }
+ * Any node may add check(value, context) -> string[] for rules that span fields.
+ *
+ * validate() returns a list of human-readable violations ("" path = root),
+ * which is also what the repair prompt shows the model.
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(node, value) {
+  const actual = typeOf(value);
+  if (node.type === "number") return actual === "number" || actual === "integer";
+  return actual === node.type;
+}
+
+function walk(node, value, path, context, out) {
+  const label = path || "(root)";
+
+  if (!matchesType(node, value)) {
+    out.push(`${label}: expected ${node.type}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (node.type === "string" && node.minLength && value.trim().length < node.minLength) {
+    out.push(`${label}: must not be empty`);
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    out.push(`${label}: must be one of ${node.enum.join(", ")}, got ${JSON.stringify(value)}`);
+  }
+
+  if (node.type === "array") {
+    if (node.minItems && value.length < node.minItems) {
+      out.push(`${label}: expected at least ${node.minItems} item(s), got ${value.length}`);
+    }
+    if (node.items) {
+      value.forEach((item, i) => walk(node.items, item, `${path}[${i}]`, context, out));
+    }
+  }
+
+  if (node.type === "object") {
+    for (const key of node.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        out.push(`${path ? `${path}.` : ""}${key}: is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(node.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        walk(child, value[key], path ? `${path}.${key}` : key, context, out);
+      }
+    }
+    if (node.values) {
+      for (const [key, child] of Object.entries(value)) {
+        walk(node.values, child, `${path}[${JSON.stringify(key)}]`, context, out);
+      }
+    }
+  }
+
+  if (node.check) {
+    for (const msg of node.check(value, context) || []) {
+      out.push(`${label}: ${msg}`);
+    }
+  }
+}
+
+export function validate(schema, value, context = {}) {
+  const out = [];
+  walk(schema, value, "", context, out);
+  return out;
+}
+
+// ---------- Building blocks ----------
+
+const str = { type: "string" };
+const text = { type: "string", minLength: 1 };
+const int = { type: "integer" };
+const strings = { type: "array", items: str };
+
+/**
+ * Chapter indices must be exactly 1..N, in order, with no gaps or repeats.
+ */
+function checkIndices(items, expected) {
+  const indices = items.map((item) => item?.index);
+  const wanted = Array.from({ length: expected }, (_, i) => i + 1);
+  if (indices.length !== expected) {
+    return [`expected ${expected} chapters, got ${indices.length}`];
+  }
+  if (indices.some((idx, i) => idx !== wanted[i])) {
+    return [`chapter indices must be 1..${expected} in order, got [${indices.join(", ")}]`];
+  }
+  return [];
+}
+
+// ---------- Brief + bible ----------
+
+const bibleCharacter = {
+  type: "object",
+  required: ["name", "role"],
+  properties: {
+    name: text,
+    role: str,
+    traits: strings,
+    wants: str,
+    fears: str,
+    voiceNotes: str,
+    appearance: str
+  }
+};
+
+const bibleLocation = {
+  type: "object",
+  required: ["name"],
+  properties: { name: text, type: str, sensoryNotes: str, rules: str }
+};
+
+// Single entries edited by hand (storage.addBibleEntry / updateBibleEntry).
+export const BIBLE_ENTRY_SCHEMAS = {
+  characters: bibleCharacter,
+  locations: bibleLocation,
+  worldRules: { type: "object", required: ["text"], properties: { text } }
+};
+
+export const BRIEF_BIBLE_SCHEMA = {
+  type: "object",
+  required: ["brief", "bible"],
+  properties: {
+    brief: {
+      type: "object",
+      required: ["titleSuggestion", "oneSentenceHook", "coreConcept", "themes"],
+      properties: {
+        titleSuggestion: text,
+        oneSentenceHook: text,
+        coreConcept: text,
+        genreLabel: str,
+        targetAudienceLabel: str,
+        positioning: str,
+        themes: strings,
+        comparisons: strings
+      }
+    },
+    bible: {
+      type: "object",
+      required: ["characters", "locations", "worldRules"],
+      properties: {
+        characters: { type: "array", minItems: 1, items: bibleCharacter },
+        locations: { type: "array", items: bibleLocation },
+        worldRules: strings,
+        timelineSeed: strings
+      }
+    }
+  }
+};
+
+// ---------- Outline + chapter contracts ----------
+
+const chapterSummary = {
+  type: "object",
+  required: ["index", "title", "summary"],
+  properties: {
+    index: int,
+    title: text,
+    summary: text,
+    povCharacter: str,
+    setting: str,
+    conflict: str,
+    resolutionBeat: str
+  }
+};
+
+// One planned scene; chapters with a scene plan are drafted scene by scene.
+const scenePlan = {
+  type: "object",
+  required: ["goal"],
+  properties: {
+    goal: text,
+    conflict: str,
+    outcome: str,
+    pov: str,
+    setting: str
+  }
+};
+
+const chapterContract = {
+  type: "object",
+  required: ["index", "mustInclude", "mustAvoid", "continuityFocus", "endingHookIntent"],
+  properties: {
+    index: int,
+    title: str,
+    mustInclude: strings,
+    mustAvoid: strings,
+    continuityFocus: strings,
+    endingHookIntent: str,
+    scenes: { type: "array", items: scenePlan }
+  }
+};
+
+// Also validates contracts edited by hand (storage.updateContract).
+export const CONTRACT_SCHEMA = chapterContract;
+
+/** context: { totalChapters } */
+export const OUTLINE_SCHEMA = {
+  type: "object",
+  required: ["outline", "chapterContracts"],
+  properties: {
+    outline: {
+      type: "object",
+      required: ["overallArc", "chapterSummaries"],
+      properties: {
+        overallArc: text,
+        acts: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["label"],
+            properties: { actIndex: int, label: str, goal: str }
+          }
+        },
+        chapterSummaries: {
+          type: "array",
+          items: chapterSummary,
+          check: (items, ctx) => checkIndices(items, ctx.totalChapters)
+        }
+      }
+    },
+    chapterContracts: {
+      type: "array",
+      items: chapterContract,
+      check: (items, ctx) => checkIndices(items, ctx.totalChapters)
+    }
+  }
+};
+
+// ---------- Chapter ----------
+
+// Loop references must name a loop that is open before this chapter.
+const loopRefs = {
+  type: "array",
+  items: str,
+  check: (refs, ctx) => {
+    if (!ctx.openLoops) return [];
+    const unknown = refs.filter((ref) => !findLoop(ctx.openLoops, ref));
+    return unknown.length
+      ? [`unknown loop id(s) ${unknown.join(", ")}; use ids from the open loops in the context`]
+      : [];
+  }
+};
+
+/** context: { openLoops } — loops open before the chapter, for loop references */
+export const CONTINUITY_SCHEMA = {
+  type: "object",
+  required: [
+    "chapterSummary",
+    "charactersState",
+    "locationsState",
+    "timelineEvents",
+    "openLoops",
+    "loopsAdvanced",
+    "loopsClosed"
+  ],
+  properties: {
+    chapterSummary: text,
+    charactersState: { type: "object", values: str },
+    locationsState: { type: "object", values: str },
+    timelineEvents: strings,
+    openLoops: strings,
+    loopsAdvanced: loopRefs,
+    loopsClosed: loopRefs,
+    styleNotes: str
+  }
+};
+
+// A chapter under this many words is treated as truncated, not short.
+const MIN_PROSE_WORDS = 50;
+
+export const CHAPTER_SCHEMA = {
+  type: "object",
+  required: ["title", "prose", "continuity"],
+  properties: {
+    title: str,
+    prose: {
+      type: "string",
+      minLength: 1,
+      check: (prose) => {
+        const words = countWords(prose);
+        return words > 0 && words < MIN_PROSE_WORDS
+          ? [`only ${words} words; write the full chapter`]
+          : [];
+      }
+    },
+    continuity: CONTINUITY_SCHEMA
+  }
+};
+
+// ---------- Scenes ----------
+
+// Scenes are shorter than chapters, but still not a paragraph.
+const MIN_SCENE_WORDS = 30;
+
+export const SCENE_SCHEMA = {
+  type: "object",
+  required: ["prose"],
+  properties: {
+    prose: {
+      type: "string",
+      minLength: 1,
+      check: (prose) => {
+        const words = countWords(prose);
+        return words > 0 && words < MIN_SCENE_WORDS
+          ? [`only ${words} words; write the full scene`]
+          : [];
+      }
+    }
+  }
+};
+
+/** context: { openLoops } — continuity read back from an assembled chapter */
+export const CHAPTER_CONTINUITY_SCHEMA = {
+  type: "object",
+  required: ["title", "continuity"],
+  properties: {
+    title: str,
+    continuity: CONTINUITY_SCHEMA
+  }
+};
+
+// ---------- Segments (long chapters) ----------
+
+/** context: { segments } — how many segments the chapter is split into */
+export const SEGMENT_PLAN_SCHEMA = {
+  type: "object",
+  required: ["segments"],
+  properties: {
+    segments: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["beats", "endPoint"],
+        properties: { beats: text, endPoint: text }
+      },
+      check: (items, ctx) =>
+        ctx.segments && items.length !== ctx.segments
+          ? [`expected ${ctx.segments} segments, got ${items.length}`]
+          : []
+    }
+  }
+};
+
+/** context: { targetWords } — a segment well short of its share is treated as truncated */
+export const SEGMENT_SCHEMA = {
+  type: "object",
+  required: ["prose"],
+  properties: {
+    prose: {
+      type: "string",
+      minLength: 1,
+      check: (prose, ctx) => {
+        const words = countWords(prose);
+        const floor = Math.round((ctx.targetWords || 0) * 0.6);
+        return words > 0 && words < Math.max(floor, MIN_PROSE_WORDS)
+          ? [`only ${words} words; this segment should be about ${ctx.targetWords} words`]
+          : [];
+      }
+    }
+  }
+};
+
+// ---------- Length passes ----------
+
+function sceneBreakCount(text) {
+  return (String(text).match(/^\s*\*\s*\*\s*\*\s*$/gm) || []).length;
+}
+
+/** context: { sceneBreaks } — an expand/condense pass must keep the scene structure */
+export const LENGTH_PASS_SCHEMA = {
+  type: "object",
+  required: ["prose"],
+  properties: {
+    prose: {
+      type: "string",
+      minLength: 1,
+      check: (prose, ctx) => {
+        const errors = [];
+        const words = countWords(prose);
+        if (words > 0 && words < MIN_PROSE_WORDS) errors.push(`only ${words} words; return the full chapter`);
+        const breaks = sceneBreakCount(prose);
+        if (ctx.sceneBreaks != null && breaks !== ctx.sceneBreaks) {
+          errors.push(`has ${breaks} scene break(s) ("* * *"), expected ${ctx.sceneBreaks}`);
+        }
+        return errors;
+      }
+    }
+  }
+};
+
+// ---------- Arc summary (context compaction) ----------
+
+export const ARC_SUMMARY_SCHEMA = {
+  type: "object",
+  required: ["summary", "keyEvents"],
+  properties: {
+    summary: text,
+    keyEvents: strings
+  }
+};
+
+// ---------- Continuity check ----------
+
+export const ISSUE_SEVERITIES = ["low", "medium", "high"];
+export const ISSUE_CATEGORIES = ["appearance", "name", "world-rule", "character-state", "location", "timeline", "other"];
+
+// Compare quotes loosely: case, whitespace runs and curly quotes don't matter.
+function normalizeQuote(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** context: { text } — the chapter text the issues must quote from */
+export const CONTINUITY_CHECK_SCHEMA = {
+  type: "object",
+  required: ["issues"],
+  properties: {
+    issues: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["severity", "category", "summary", "chapterQuote", "conflictsWith"],
+        properties: {
+          severity: { type: "string", enum: ISSUE_SEVERITIES },
+          category: { type: "string", enum: ISSUE_CATEGORIES },
+          summary: text,
+          chapterQuote: {
+            type: "string",
+            minLength: 1,
+            check: (quote, ctx) =>
+              normalizeQuote(ctx.text).includes(normalizeQuote(quote))
+                ? []
+                : ["must be copied verbatim from the chapter text"]
+          },
+          conflictsWith: {
+            type: "object",
+            required: ["source", "quote"],
+            properties: {
+              source: { type: "string", enum: ["bible", "ledger"] },
+              chapterIndex: int,
+              quote: text
+            }
+          },
+          suggestion: str
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,411 @@
+import crypto from "crypto";
+
+import { generateJson } from "./model.js";
+import { mutateProject } from "./storage.js";
+import { httpError } from "./errors.js";
+import { bibleForPrompt } from "./bible.js";
+import { createJsonStringExtractor } from "./stream.js";
+import { SEGMENT_PLAN_SCHEMA, SEGMENT_SCHEMA } from "./schemas.js";
+
+/**
+ * Segmented drafting for chapters longer than one completion.
+ *
+ * A chapter whose word target is more than SEGMENT_WORDS (plus some
+ * headroom) is planned once, as a list of segments with their beats and
+ * end points, and then written one segment per model call, each continuing
+ * from the tail of the text so far. Progress is saved on the chapter as
+ * `segmentDraft: { key, purpose, plan, segments }` after every segment, so a
+ * run that fails part-way resumes from the next segment. The key covers
+ * the chapter plan the segments were written against; if that changes, the
+ * chapter starts over.
+ *
+ * Scene-planned chapters segment each scene whose share of the target is
+ * too long instead (draftSegmentedScene). Their progress also records the
+ * finished scenes and which scene the segments belong to:
+ * `segmentDraft: { key, purpose, scenes, sceneIndex, plan, segments }`.
+ */
+
+export const SEGMENT_WORDS = Number(process.env.CHAPTER_SEGMENT_WORDS) || 2500;
+
+// Earlier text each segment sees, so the prompt stays bounded.
+const TAIL_CHARS = 6000;
+
+export function segmentCount(targetWords) {
+  const target = Number(targetWords) || 0;
+  // Headroom so a 2,800-word target isn't cut into two thin halves.
+  return target > SEGMENT_WORDS * 1.2 ? Math.ceil(target / SEGMENT_WORDS) : 1;
+}
+
+export function assembleSegments(segments = []) {
+  return segments.map((text) => String(text || "").trim()).join("\n\n");
+}
+
+function segmentKey(purpose, target, chapterSummary, contract) {
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify({ purpose, target, chapterSummary, contract }))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+export async function saveSegmentDraft(projectId, chapterIndex, segmentDraft) {
+  await mutateProject(projectId, (fresh) => {
+    const chapter = (fresh.chapters || []).find((c) => c.index === chapterIndex);
+    if (!chapter) {
+      throw httpError(409, `Chapter ${chapterIndex} was removed while it was being generated`);
+    }
+    chapter.segmentDraft = segmentDraft;
+  });
+}
+
+/**
+ * Saved progress for drafting a chapter scene by scene with segmented
+ * scenes, or a fresh record if there is none for this plan and purpose.
+ */
+export function sceneDraftProgress(project, ch, { purpose = "draft", chapterSummary, contract }) {
+  const target = Number(project.inputs.chapterTargetWords) || 2000;
+  const key = segmentKey(`${purpose}:scenes`, target, chapterSummary, contract);
+  const saved = ch.segmentDraft?.key === key ? ch.segmentDraft : null;
+  if (!saved) return { key, purpose, scenes: [], sceneIndex: null, plan: null, segments: [] };
+  return { ...saved, scenes: [...saved.scenes], segments: [...(saved.segments || [])] };
+}
+
+function tail(text, max) {
+  return text.length > max ? `…${text.slice(text.length - max)}` : text;
+}
+
+function sceneSection(sceneIndex, scene) {
+  return scene ? `\nScene ${sceneIndex}:\n${JSON.stringify(scene, null, 2)}\n` : "";
+}
+
+async function planSegments({
+  project,
+  chapterIndex,
+  sceneIndex,
+  scene,
+  count,
+  target,
+  chapterSummary,
+  contract,
+  notes,
+  signal,
+  onUsage
+}) {
+  const unit = scene ? "scene" : "chapter";
+  const instructions = `
+You are a top-tier novelist planning a long ${unit}.
+Split the ${unit} into ${count} consecutive segments of about ${Math.round(target / count)} words each.
+Return ONLY valid JSON.
+
+JSON schema:
+{
+  "segments": [{ "beats": string, "endPoint": string }]
+}
+`.trim();
+
+  const input = `
+Book Brief:
+${JSON.stringify(project.brief, null, 2)}
+
+Chapter Summary:
+${JSON.stringify(chapterSummary, null, 2)}
+
+Chapter Contract:
+${JSON.stringify(contract || {}, null, 2)}
+${sceneSection(sceneIndex, scene)}
+${notes || ""}
+
+Task:
+- beats: what happens in the segment, in order.
+- endPoint: the exact moment the segment stops, so the next one can pick up there.
+- Together the segments cover the whole ${unit}; ${scene ? "the last one ends where the scene does." : "the last one ends on the contract's hook."}
+`.trim();
+
+  const json = await generateJson({
+    schema: SEGMENT_PLAN_SCHEMA,
+    context: { segments: count },
+    label: `chapter ${chapterIndex}${scene ? ` scene ${sceneIndex}` : ""} segment plan`,
+    project,
+    task: "segment-plan",
+    meta: { chapterIndex, ...(scene ? { sceneIndex } : {}), segments: count },
+    instructions,
+    input,
+    signal,
+    onUsage
+  });
+  return json.segments;
+}
+
+async function draftSegment({
+  project,
+  chapterIndex,
+  sceneIndex,
+  scene,
+  plan,
+  segmentIndex,
+  written,
+  before = "",
+  handoff = "",
+  targetWords,
+  chapterSummary,
+  contract,
+  styleCard,
+  continuityContext,
+  notes,
+  task,
+  signal,
+  onUsage,
+  onToken
+}) {
+  const segment = plan[segmentIndex - 1];
+  const soFar = [before, assembleSegments(written)].filter(Boolean).join("\n\n");
+  const last = segmentIndex === plan.length;
+  const unit = scene ? "scene" : "chapter";
+
+  let lastRule = "- This is the last segment: end on the contract's hook.";
+  if (scene) lastRule = `- This is the scene's last segment: end the scene here.\n\n${handoff}`;
+
+  const instructions = `
+You are a top-tier novelist and continuity-obsessed editor.
+Write ONE segment of a long ${unit}. Return ONLY valid JSON.
+
+JSON schema:
+{
+  "prose": string
+}
+`.trim();
+
+  const input = `
+${styleCard}
+
+Book Brief:
+${JSON.stringify(project.brief, null, 2)}
+
+Bible:
+${JSON.stringify(bibleForPrompt(project.bible), null, 2)}
+
+Chapter Summary:
+${JSON.stringify(chapterSummary, null, 2)}
+
+Chapter Contract:
+${JSON.stringify(contract || {}, null, 2)}
+
+Continuity Context:
+${JSON.stringify(continuityContext, null, 2)}
+${sceneSection(sceneIndex, scene)}
+${scene ? "Scene" : "Chapter"} plan:
+${plan.map((s, i) => `${i + 1}. ${s.beats} (ends: ${s.endPoint})`).join("\n")}
+
+Chapter so far:
+${soFar ? tail(soFar, TAIL_CHARS) : "(this is the opening segment)"}
+
+${notes || ""}
+
+Task:
+Write segment ${segmentIndex} of ${plan.length}, about ${targetWords} words.
+- Cover its beats: ${segment.beats}
+- Stop at: ${segment.endPoint}
+- Continue straight on from the chapter so far, with no recap or heading${scene ? " and no scene-break marker" : ""}.
+${last ? lastRule : "- Don't resolve anything planned for later segments."}
+- Keep character appearance/traits, location names and world rules consistent.
+`.trim();
+
+  const json = await generateJson({
+    schema: SEGMENT_SCHEMA,
+    context: { targetWords },
+    label: `chapter ${chapterIndex}${scene ? ` scene ${sceneIndex}` : ""} segment ${segmentIndex}`,
+    project,
+    task,
+    meta: { chapterIndex, ...(scene ? { sceneIndex } : {}), segmentIndex, targetWords },
+    instructions,
+    input,
+    signal,
+    onUsage,
+    onToken
+  });
+  return String(json.prose || "").trim();
+}
+
+/**
+ * Write the segments of `progress.plan` that aren't in `progress.segments`
+ * yet, calling save() after each one. Returns the assembled text.
+ */
+async function writeSegments({ progress, target, save, signal, onProse, ...prompt }) {
+  const { plan, segments } = progress;
+  const targetWords = Math.round(target / plan.length);
+  for (let segmentIndex = segments.length + 1; segmentIndex <= plan.length; segmentIndex++) {
+    if (signal?.aborted) throw new Error("Generation aborted");
+    if (onProse && segmentIndex > 1) onProse("\n\n");
+    console.log("[segments] drafting segment", {
+      chapterIndex: prompt.chapterIndex,
+      sceneIndex: prompt.sceneIndex,
+      segmentIndex,
+      of: plan.length
+    });
+
+    const text = await draftSegment({
+      ...prompt,
+      plan,
+      segmentIndex,
+      written: segments,
+      targetWords,
+      signal,
+      onToken: onProse ? createJsonStringExtractor("prose", onProse) : undefined
+    });
+    segments.push(text);
+    await save();
+  }
+  return assembleSegments(segments);
+}
+
+/**
+ * Write a long chapter segment by segment, resuming from the chapter's saved
+ * segmentDraft when it was written against the same plan. Returns the
+ * assembled text; the caller extracts continuity from it and saves the draft
+ * (which clears segmentDraft).
+ *
+ * purpose separates a first draft from a regeneration, so one never resumes
+ * the other. Streaming callers get the resumed text first, then each new
+ * segment as it arrives.
+ */
+export async function draftSegmentedChapter({
+  project,
+  ch,
+  chapterSummary,
+  contract,
+  styleCard,
+  continuityContext,
+  notes = "",
+  purpose = "draft",
+  task = "segment",
+  signal,
+  onUsage,
+  onProse
+}) {
+  const target = Number(project.inputs.chapterTargetWords) || 2000;
+  const count = segmentCount(target);
+  const key = segmentKey(purpose, target, chapterSummary, contract);
+
+  const saved = ch.segmentDraft?.key === key ? ch.segmentDraft : null;
+  const segmentDraft = saved
+    ? { ...saved, segments: [...saved.segments] }
+    : { key, purpose, plan: null, segments: [] };
+  const save = () => saveSegmentDraft(project.id, ch.index, segmentDraft);
+
+  if (saved) {
+    console.log("[segments] resuming chapter", {
+      chapterIndex: ch.index,
+      from: saved.segments.length + 1,
+      of: saved.plan.length
+    });
+    if (onProse && saved.segments.length) onProse(assembleSegments(saved.segments));
+  } else {
+    segmentDraft.plan = await planSegments({
+      project,
+      chapterIndex: ch.index,
+      count,
+      target,
+      chapterSummary,
+      contract,
+      notes,
+      signal,
+      onUsage
+    });
+    await save();
+  }
+
+  return writeSegments({
+    progress: segmentDraft,
+    target,
+    save,
+    project,
+    chapterIndex: ch.index,
+    chapterSummary,
+    contract,
+    styleCard,
+    continuityContext,
+    notes,
+    task,
+    signal,
+    onUsage,
+    onProse
+  });
+}
+
+/**
+ * Write one scene too long for a single completion in segments. `before` is
+ * the chapter text ahead of the scene and `handoff` what the scene leads
+ * into. With `progress` (from sceneDraftProgress) the plan and each segment
+ * are saved as they land, and a scene left part-way resumes; without it
+ * (redrafting a single scene) nothing is saved.
+ */
+export async function draftSegmentedScene({
+  project,
+  chapterIndex,
+  sceneIndex,
+  scene,
+  targetWords,
+  chapterSummary,
+  contract,
+  styleCard,
+  continuityContext,
+  before = "",
+  handoff = "",
+  notes = "",
+  task = "segment",
+  progress,
+  signal,
+  onUsage,
+  onProse
+}) {
+  const resumed = progress?.sceneIndex === sceneIndex && progress.plan ? progress : null;
+  const sceneDraft = resumed || progress || { plan: null, segments: [] };
+  const save = progress ? () => saveSegmentDraft(project.id, chapterIndex, progress) : async () => {};
+
+  if (resumed) {
+    console.log("[segments] resuming scene", {
+      chapterIndex,
+      sceneIndex,
+      from: resumed.segments.length + 1,
+      of: resumed.plan.length
+    });
+    if (onProse && resumed.segments.length) onProse(assembleSegments(resumed.segments));
+  } else {
+    const plan = await planSegments({
+      project,
+      chapterIndex,
+      sceneIndex,
+      scene,
+      count: segmentCount(targetWords),
+      target: targetWords,
+      chapterSummary,
+      contract,
+      notes,
+      signal,
+      onUsage
+    });
+    Object.assign(sceneDraft, { sceneIndex, plan, segments: [] });
+    await save();
+  }
+
+  return writeSegments({
+    progress: sceneDraft,
+    target: targetWords,
+    save,
+    project,
+    chapterIndex,
+    sceneIndex,
+    scene,
+    before,
+    handoff,
+    chapterSummary,
+    contract,
+    styleCard,
+    continuityContext,
+    notes,
+    task,
+    signal,
+    onUsage,
+    onProse
+  });
+}
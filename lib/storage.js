@@ -1,5 +1,14 @@
 import { v4 as uuidv4 } from "uuid";
 import { query } from "./db.js";
+import { httpError } from "./errors.js";
+import { PROVIDER_NAMES } from "./providers.js";
+import { CONTRACT_SCHEMA, BIBLE_ENTRY_SCHEMAS, validate } from "./schemas.js";
+import { BIBLE_SECTIONS, normalizeBible } from "./bible.js";
+import {
+  emptyLedger,
+  buildLedger,
+  isCurrentLedger
+} from "./ledger.js";
 
 function now() {
   return Date.now();
@@ -36,16 +45,60 @@ function normalizeInputs(inputs = {}) {
   n.locations = n.locations || "";
   n.additionalNotes = n.additionalNotes || "";
 
+  // Empty means "use the server default" (MODEL_PROVIDER / MODEL_NAME).
+  n.modelProvider = PROVIDER_NAMES.includes(n.modelProvider) ? n.modelProvider : "";
+  n.modelName = typeof n.modelName === "string" ? n.modelName.trim() : "";
+
   return n;
 }
 
-function defaultLedger() {
-  return {
-    charactersState: {},
-    locationsState: {},
-    timeline: [],
-    openLoops: []
-  };
+// Book metadata the exports use (title page, copyright page, front and back
+// matter, EPUB package). Kept apart from `inputs`, which is what the model sees.
+const FRONT_MATTER_TEXT = ["dedication", "epigraph", "epigraphSource", "copyrightNotice"];
+const BACK_MATTER_TEXT = ["acknowledgements", "aboutAuthor"];
+
+function trimmed(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function normalizeMetadata(metadata = {}) {
+  const m = { ...(metadata && typeof metadata === "object" ? metadata : {}) };
+  m.author = trimmed(m.author);
+  m.publisher = trimmed(m.publisher);
+  m.isbn = trimmed(m.isbn);
+  // A BCP 47 tag such as "en" or "en-GB".
+  const language = trimmed(m.language);
+  m.language = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language) ? language : "en";
+  const year = parseInt(m.copyrightYear, 10);
+  m.copyrightYear = Number.isFinite(year) && year > 0 ? year : null;
+
+  const front = { ...(m.frontMatter || {}) };
+  for (const key of FRONT_MATTER_TEXT) front[key] = trimmed(front[key]);
+  front.includeToc = front.includeToc !== false;
+  m.frontMatter = front;
+
+  const back = { ...(m.backMatter || {}) };
+  for (const key of BACK_MATTER_TEXT) back[key] = trimmed(back[key]);
+  // One title per line when it comes from a textarea.
+  const alsoBy = typeof back.alsoBy === "string" ? back.alsoBy.split("\n") : back.alsoBy;
+  back.alsoBy = (Array.isArray(alsoBy) ? alsoBy : []).map(trimmed).filter(Boolean);
+  m.backMatter = back;
+
+  return m;
+}
+
+// ISBN-10 or ISBN-13, hyphens and spaces allowed; checksums aren't verified.
+function metadataViolations(metadata) {
+  const violations = [];
+  const digits = metadata.isbn.replace(/[\s-]/g, "");
+  if (digits && !/^(\d{9}[\dXx]|\d{13})$/.test(digits)) {
+    violations.push("isbn: must be an ISBN-10 or ISBN-13");
+  }
+  const year = metadata.copyrightYear;
+  if (year && (year < 1000 || year > 9999)) {
+    violations.push("copyrightYear: must be a four-digit year");
+  }
+  return violations;
 }
 
 // ---------- JSON helpers ----------
@@ -128,7 +181,10 @@ export async function getProject(id) {
             outline,
             chapter_contracts,
             chapters,
-            continuity_ledger
+            continuity_ledger,
+            arc_summaries,
+            metadata,
+            version
      FROM projects
      WHERE id = $1`,
     [id]
@@ -147,25 +203,49 @@ export async function getProject(id) {
     ? row.chapters
     : asJsonArray(row.chapters);
 
-  const ledger =
-    row.continuity_ledger || rebuildLedgerFromChapters(chapters);
+  // Ledgers saved before provenance tracking are rebuilt from the chapters;
+  // bibles saved before entry ids get them (see lib/bible.js).
+  const ledger = isCurrentLedger(row.continuity_ledger)
+    ? row.continuity_ledger
+    : buildLedger(chapters);
 
   return {
     id: row.id,
     createdAt: Number(row.created_at),
     updatedAt: Number(row.updated_at),
     inputs,
+    metadata: normalizeMetadata(row.metadata),
     brief: row.brief,
-    bible: row.bible,
+    bible: normalizeBible(row.bible),
     outline: row.outline,
     chapterContracts,
     chapters,
-    continuityLedger: ledger
+    continuityLedger: ledger,
+    arcSummaries: asJsonArray(row.arc_summaries),
+    version: Number(row.version)
   };
 }
 
 // ---------- Core save logic (JSONB-safe) ----------
 
+/**
+ * Every write bumps `version`. Writes go through mutateProject, which only
+ * lands them if the row is still at the version that was read, so two
+ * writers can no longer silently overwrite each other.
+ */
+
+function versionConflict(currentVersion, expectedVersion) {
+  return httpError(
+    409,
+    "Project was changed elsewhere. Reload it and try again.",
+    { code: "version_conflict", currentVersion, expectedVersion }
+  );
+}
+
+function isVersionConflict(err) {
+  return err?.status === 409 && err.details?.code === "version_conflict";
+}
+
 async function saveProject(project) {
   const updatedAt = now();
 
@@ -175,9 +255,11 @@ async function saveProject(project) {
   const outline = asJsonObjectOrNull(project.outline);
   const chapterContracts = asJsonArray(project.chapterContracts);
   const chapters = asJsonArray(project.chapters);
-  const continuityLedger = project.continuityLedger || defaultLedger();
+  const continuityLedger = project.continuityLedger || emptyLedger();
+  const arcSummaries = asJsonArray(project.arcSummaries);
+  const metadata = normalizeMetadata(project.metadata);
 
-  await query(
+  const res = await query(
     `UPDATE projects
      SET updated_at = $2,
          inputs = $3::jsonb,
@@ -186,8 +268,11 @@ async function saveProject(project) {
          outline = $6::jsonb,
          chapter_contracts = $7::jsonb,
          chapters = $8::jsonb,
-         continuity_ledger = $9::jsonb
-     WHERE id = $1`,
+         continuity_ledger = $9::jsonb,
+         arc_summaries = $11::jsonb,
+         metadata = $12::jsonb,
+         version = version + 1
+     WHERE id = $1 AND version = $10`,
     [
       project.id,
       updatedAt,
@@ -197,13 +282,54 @@ async function saveProject(project) {
       outline === null ? null : JSON.stringify(outline),
       JSON.stringify(chapterContracts),
       JSON.stringify(chapters),
-      JSON.stringify(continuityLedger)
+      JSON.stringify(continuityLedger),
+      project.version,
+      JSON.stringify(arcSummaries),
+      JSON.stringify(metadata)
     ]
   );
 
+  if (res.rowCount === 0) {
+    const current = await getProject(project.id);
+    if (!current) throw httpError(404, "Project not found");
+    throw versionConflict(current.version, project.version);
+  }
+
   return getProject(project.id);
 }
 
+const MUTATE_RETRIES = 3;
+
+/**
+ * Read the project, let `mutate(project)` change it in place, and save.
+ *
+ * With expectedVersion (the client's If-Match) a newer row is a conflict
+ * the caller has to resolve. Without it the write is server-side (e.g. a
+ * finished generation), so on a conflict it re-reads and re-applies
+ * `mutate` to the fresh row; mutate must therefore be safe to run again.
+ */
+export async function mutateProject(id, mutate, { expectedVersion } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const project = await getProject(id);
+    if (!project) throw httpError(404, "Project not found");
+
+    if (expectedVersion != null && project.version !== expectedVersion) {
+      throw versionConflict(project.version, expectedVersion);
+    }
+
+    await mutate(project);
+
+    try {
+      return await saveProject(project);
+    } catch (err) {
+      if (!isVersionConflict(err) || expectedVersion != null || attempt >= MUTATE_RETRIES) {
+        throw err;
+      }
+      console.log("[storage] version conflict, retrying write", { id, attempt });
+    }
+  }
+}
+
 // ---------- Creation / inputs / deletion ----------
 
 export async function createProject(initial = {}) {
@@ -221,7 +347,7 @@ export async function createProject(initial = {}) {
     outline: null,
     chapterContracts: [],
     chapters: [],
-    continuityLedger: defaultLedger()
+    continuityLedger: emptyLedger()
   };
 
   await query(
@@ -241,24 +367,39 @@ export async function createProject(initial = {}) {
   return getProject(id);
 }
 
-export async function updateProjectInputs(id, patch = {}) {
-  const res = await query(
-    `SELECT inputs FROM projects WHERE id = $1`,
-    [id]
+export async function updateProjectInputs(id, patch = {}, options = {}) {
+  return mutateProject(
+    id,
+    (project) => {
+      project.inputs = normalizeInputs({ ...project.inputs, ...patch });
+    },
+    options
   );
+}
 
-  if (res.rows.length === 0) {
-    throw new Error("Project not found");
-  }
-
-  const current = res.rows[0].inputs || {};
-  const updated = normalizeInputs({ ...current, ...patch });
-
-  await query(
-    `UPDATE projects
-     SET inputs = $2
-     WHERE id = $1`,
-    [id, updated]
+/**
+ * Patch the book metadata. frontMatter and backMatter are merged field by
+ * field, so a form that only sends some of them keeps the rest. An ISBN or
+ * copyright year that doesn't fit is a 400 listing the violations.
+ */
+export async function updateProjectMetadata(id, patch = {}, options = {}) {
+  return mutateProject(
+    id,
+    (project) => {
+      const before = project.metadata || {};
+      const metadata = normalizeMetadata({
+        ...before,
+        ...patch,
+        frontMatter: { ...before.frontMatter, ...patch.frontMatter },
+        backMatter: { ...before.backMatter, ...patch.backMatter }
+      });
+      const violations = metadataViolations(metadata);
+      if (violations.length) {
+        throw httpError(400, "Invalid book metadata", { violations });
+      }
+      project.metadata = metadata;
+    },
+    options
   );
 }
 
@@ -268,26 +409,14 @@ export async function deleteProject(id) {
 
 // ---------- User edits & continuity ----------
 
-export async function saveUserEdits(id, payload = {}) {
-  const res = await query(
-    `SELECT chapter_contracts, chapters
-     FROM projects
-     WHERE id = $1`,
-    [id]
-  );
-
-  if (res.rows.length === 0) {
-    throw new Error("Project not found");
-  }
-
-  const row = res.rows[0];
-  const chapterContracts = Array.isArray(row.chapter_contracts)
-    ? row.chapter_contracts
-    : asJsonArray(row.chapter_contracts);
-  const chapters = Array.isArray(row.chapters)
-    ? row.chapters
-    : asJsonArray(row.chapters);
-
+/**
+ * The legacy edits payload: replace one contract and/or patch one chapter,
+ * each found by its `index` (not array position). The ledger is rebuilt
+ * from the chapters, so continuity is edited through `chapter.continuity`;
+ * a `continuityLedger` in the payload is a 400 rather than an edit that the
+ * next rebuild would drop.
+ */
+export async function saveUserEdits(id, payload = {}, options = {}) {
   const {
     contractIndex,
     chapterIndex,
@@ -296,103 +425,239 @@ export async function saveUserEdits(id, payload = {}) {
     continuityLedger
   } = payload;
 
-  if (typeof contractIndex === "number" && contract) {
-    chapterContracts[contractIndex] = contract;
+  if (continuityLedger) {
+    throw httpError(
+      400,
+      "The continuity ledger is rebuilt from the chapters; edit a chapter's continuity instead"
+    );
   }
 
-  if (typeof chapterIndex === "number" && chapter) {
-    chapters[chapterIndex] = {
-      ...(chapters[chapterIndex] || {}),
-      ...chapter
-    };
-  }
+  return mutateProject(
+    id,
+    (project) => {
+      const chapterContracts = project.chapterContracts;
+      const chapters = project.chapters;
+
+      if (typeof contractIndex === "number" && contract) {
+        const pos = chapterContracts.findIndex((c) => c.index === contractIndex);
+        if (pos === -1) {
+          throw httpError(404, "Contract not found");
+        }
+        const before = chapterContracts[pos];
+        chapterContracts[pos] = { ...contract, index: contractIndex };
+        markContractChanged(project, before, chapterContracts[pos]);
+      }
+
+      if (typeof chapterIndex === "number" && chapter) {
+        const ch = chapters.find((c) => c.index === chapterIndex);
+        if (!ch) {
+          throw httpError(404, "Chapter not found");
+        }
+        Object.assign(ch, chapter, { index: chapterIndex });
+      }
+
+      project.continuityLedger = buildLedger(chapters);
+    },
+    options
+  );
+}
 
-  const ledger =
-    continuityLedger ||
-    rebuildLedgerFromChapters(chapters);
+// ---------- Chapter contracts ----------
 
-  await query(
-    `UPDATE projects
-     SET chapter_contracts = $2,
-         chapters = $3,
-         continuity_ledger = $4
-     WHERE id = $1`,
-    [id, chapterContracts, chapters, ledger]
-  );
+const CONTRACT_LISTS = ["mustInclude", "mustAvoid", "continuityFocus"];
 
-  return getProject(id);
+function contractFields(contract = {}) {
+  return JSON.stringify([
+    ...CONTRACT_LISTS.map((key) => contract[key] || []),
+    contract.endingHookIntent || "",
+    contract.scenes || []
+  ]);
 }
 
-function mergeLedger(base, patch) {
-  if (!patch || typeof patch !== "object") return base;
-
-  base.charactersState = {
-    ...(base.charactersState || {}),
-    ...(patch.charactersState || {})
-  };
+/**
+ * A drafted chapter whose contract changed no longer matches what it was
+ * written against: flag it until it is regenerated.
+ */
+function markContractChanged(project, before, after) {
+  if (contractFields(before) === contractFields(after)) return;
+  const ch = (project.chapters || []).find((c) => c.index === after.index);
+  if (ch && (ch.draftText || ch.userText)) {
+    ch.outOfDate = { reason: "contract", since: now() };
+  }
+}
 
-  base.locationsState = {
-    ...(base.locationsState || {}),
-    ...(patch.locationsState || {})
+/**
+ * Replace the contract of chapter `contractIndex` (by index, not array
+ * position), including its optional scene plan. List items are trimmed and
+ * blanks dropped; anything else that doesn't fit the contract schema is a
+ * 400 listing the violations.
+ */
+export async function updateContract(id, contractIndex, input = {}, options = {}) {
+  const trim = (value) => (typeof value === "string" ? value.trim() : value);
+  const contract = {
+    ...input,
+    index: contractIndex,
+    endingHookIntent: trim(input.endingHookIntent)
   };
-
-  if (Array.isArray(patch.timeline)) {
-    base.timeline = [...(base.timeline || []), ...patch.timeline];
+  for (const key of CONTRACT_LISTS) {
+    contract[key] = Array.isArray(input[key])
+      ? input[key].map(trim).filter((item) => item !== "")
+      : input[key];
+  }
+  if (Array.isArray(input.scenes)) {
+    contract.scenes = input.scenes.map((scene) =>
+      scene && typeof scene === "object"
+        ? Object.fromEntries(Object.entries(scene).map(([key, value]) => [key, trim(value)]))
+        : scene
+    );
   }
 
-  if (Array.isArray(patch.openLoops)) {
-    base.openLoops = [...(base.openLoops || []), ...patch.openLoops];
+  const violations = validate(CONTRACT_SCHEMA, contract);
+  if (violations.length) {
+    throw httpError(400, "Invalid chapter contract", { violations });
   }
 
-  return base;
+  return mutateProject(
+    id,
+    (project) => {
+      const contracts = (project.chapterContracts ||= []);
+      const pos = contracts.findIndex((c) => c.index === contractIndex);
+      const summary = (project.outline?.chapterSummaries || []).find((s) => s.index === contractIndex);
+      if (pos === -1 && !summary) throw httpError(404, "Chapter not found");
+
+      const before = pos === -1 ? null : contracts[pos];
+      const next = { ...before, ...contract, title: before?.title || summary?.title || "" };
+      if (pos === -1) contracts.push(next);
+      else contracts[pos] = next;
+      contracts.sort((a, b) => a.index - b.index);
+
+      markContractChanged(project, before, next);
+    },
+    options
+  );
 }
 
-export async function clearAndRewindFromChapter(id, chapterIndex) {
-  const project = await getProject(id);
-  if (!project) {
-    throw new Error("Project not found");
-  }
-
-  const chapters = Array.isArray(project.chapters) ? project.chapters : [];
-  const chapterContracts = Array.isArray(project.chapterContracts)
-    ? project.chapterContracts
-    : [];
+// ---------- Bible entries ----------
 
-  const keptChapters = chapters.filter((c) => {
-    if (typeof c.index !== "number") return true;
-    return c.index < chapterIndex;
-  });
+/**
+ * Keep only the section's fields, trimmed; lists (traits) lose blank items.
+ * Throws a 400 listing violations against the entry schema.
+ */
+function bibleEntryFields(section, input, existing = {}) {
+  if (!BIBLE_SECTIONS[section]) {
+    throw httpError(404, `Unknown bible section: ${section}`);
+  }
+  const entry = {};
+  for (const field of BIBLE_SECTIONS[section]) {
+    const value = input[field] === undefined ? existing[field] : input[field];
+    if (value === undefined) continue;
+    entry[field] = Array.isArray(value)
+      ? value.map((v) => (typeof v === "string" ? v.trim() : v)).filter((v) => v !== "")
+      : typeof value === "string"
+        ? value.trim()
+        : value;
+  }
 
-  const keptContracts = chapterContracts.filter((c) => {
-    if (typeof c.index !== "number") return true;
-    return c.index < chapterIndex;
-  });
+  const violations = validate(BIBLE_ENTRY_SCHEMAS[section], entry);
+  if (violations.length) {
+    throw httpError(400, "Invalid bible entry", { violations });
+  }
+  return entry;
+}
 
-  const ledger = rebuildLedgerFromChapters(keptChapters);
+function bibleSection(project, section) {
+  if (!BIBLE_SECTIONS[section]) throw httpError(404, `Unknown bible section: ${section}`);
+  if (!project.bible) throw httpError(409, "Generate the brief & bible first");
+  project.bible = normalizeBible(project.bible);
+  return project.bible[section];
+}
 
-  await query(
-    `UPDATE projects
-     SET chapter_contracts = $2,
-         chapters = $3,
-         continuity_ledger = $4
-     WHERE id = $1`,
-    [id, keptContracts, keptChapters, ledger]
+/**
+ * Add a character, location or world rule. Entries added or edited by the
+ * user are marked userAuthored and survive regenerating the bible.
+ */
+export async function addBibleEntry(id, section, input = {}, options = {}) {
+  const fields = bibleEntryFields(section, input);
+  return mutateProject(
+    id,
+    (project) => {
+      bibleSection(project, section).push({ id: uuidv4(), ...fields, userAuthored: true });
+    },
+    options
   );
+}
 
-  return getProject(id);
+export async function updateBibleEntry(id, section, entryId, input = {}, options = {}) {
+  return mutateProject(
+    id,
+    (project) => {
+      const entries = bibleSection(project, section);
+      const pos = entries.findIndex((e) => e.id === entryId);
+      if (pos === -1) throw httpError(404, "Bible entry not found");
+      entries[pos] = {
+        id: entryId,
+        ...bibleEntryFields(section, input, entries[pos]),
+        userAuthored: true
+      };
+    },
+    options
+  );
 }
 
-export function rebuildLedgerFromChapters(chapters = [], stopBeforeIndex = Infinity) {
-  const ledger = defaultLedger();
-  const ordered = [...chapters].sort((a, b) => a.index - b.index);
+export async function deleteBibleEntry(id, section, entryId, options = {}) {
+  return mutateProject(
+    id,
+    (project) => {
+      const entries = bibleSection(project, section);
+      const pos = entries.findIndex((e) => e.id === entryId);
+      if (pos === -1) throw httpError(404, "Bible entry not found");
+      entries.splice(pos, 1);
+    },
+    options
+  );
+}
 
-  for (const c of ordered) {
-    if (c.index >= stopBeforeIndex) break;
-    if (c.continuity) mergeLedger(ledger, c.continuity);
-  }
-  return ledger;
+/**
+ * Patch one chapter, found by its `index` (not array position), and rebuild
+ * the ledger from the chapters. Returns the saved project.
+ */
+export async function updateChapter(id, chapterIndex, patch = {}, options = {}) {
+  return mutateProject(
+    id,
+    (project) => {
+      const ch = (project.chapters || []).find((c) => c.index === chapterIndex);
+      if (!ch) {
+        throw httpError(404, "Chapter not found");
+      }
+
+      Object.assign(ch, patch);
+      project.continuityLedger = buildLedger(project.chapters);
+    },
+    options
+  );
 }
 
-export async function _saveProjectDirect(project) {
-  return saveProject(project);
+export async function clearAndRewindFromChapter(id, chapterIndex, options = {}) {
+  return mutateProject(
+    id,
+    (project) => {
+      const chapters = Array.isArray(project.chapters) ? project.chapters : [];
+      const chapterContracts = Array.isArray(project.chapterContracts)
+        ? project.chapterContracts
+        : [];
+
+      project.chapters = chapters.filter((c) => {
+        if (typeof c.index !== "number") return true;
+        return c.index < chapterIndex;
+      });
+
+      project.chapterContracts = chapterContracts.filter((c) => {
+        if (typeof c.index !== "number") return true;
+        return c.index < chapterIndex;
+      });
+
+      project.continuityLedger = buildLedger(project.chapters);
+    },
+    options
+  );
 }
@@ -0,0 +1,59 @@
+/**
+ * Incrementally pull the value of one string field out of a JSON document
+ * that is still arriving token by token.
+ *
+ * The chapter prompts return {"title": ..., "prose": "...", "continuity": {...}};
+ * while streaming we only want the decoded `prose` text, as soon as it arrives.
+ */
+export function createJsonStringExtractor(key, onText) {
+  const opener = new RegExp(`"${key}"\\s*:\\s*"`);
+  let buffer = "";
+  let started = false;
+  let finished = false;
+  let pos = 0;
+
+  const ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", '"': '"', "\\": "\\", "/": "/" };
+
+  return function push(chunk) {
+    if (finished || !chunk) return;
+    buffer += chunk;
+
+    if (!started) {
+      const m = opener.exec(buffer);
+      if (!m) return;
+      started = true;
+      pos = m.index + m[0].length;
+    }
+
+    let out = "";
+    while (pos < buffer.length) {
+      const ch = buffer[pos];
+
+      if (ch === '"') {
+        finished = true;
+        break;
+      }
+
+      if (ch !== "\\") {
+        out += ch;
+        pos += 1;
+        continue;
+      }
+
+      // Escape sequence: wait for the rest of it if it's split across chunks.
+      const next = buffer[pos + 1];
+      if (next === undefined) break;
+      if (next === "u") {
+        const hex = buffer.slice(pos + 2, pos + 6);
+        if (hex.length < 4) break;
+        out += String.fromCharCode(parseInt(hex, 16));
+        pos += 6;
+      } else {
+        out += ESCAPES[next] ?? next;
+        pos += 2;
+      }
+    }
+
+    if (out) onText(out);
+  };
+}
@@ -0,0 +1,374 @@
+import { mutateProject } from "./storage.js";
+import { buildLedger } from "./ledger.js";
+import { recordRevision, remapRevisionChapters } from "./revisions.js";
+import { httpError } from "./errors.js";
+import { countWords } from "./words.js";
+import { SCENE_BREAK, assembleScenes } from "./scenes.js";
+
+/**
+ * Structural outline edits: insert, delete, split, merge and reorder chapters.
+ *
+ * Every operation rewrites the book as an ordered list of slots
+ * { summary, contract, chapter, sources }, where `sources` are the old
+ * chapter indices the slot came from. restructure() then renumbers
+ * outline.chapterSummaries, chapterContracts and chapters 1..N together,
+ * rebuilds the ledger, sets inputs.totalChapters and moves revision
+ * history to the new indices, so drafts stay with their chapter. Slots
+ * marked `touched` (split halves, merged chapters) get a "restructure"
+ * revision of their new text.
+ */
+
+function join(a, b, sep = "\n\n") {
+  return [a, b].filter((s) => s && String(s).trim()).join(sep);
+}
+
+function unique(list) {
+  return Array.from(new Set(list));
+}
+
+function emptyChapter(title) {
+  return {
+    index: 0,
+    title,
+    draftText: "",
+    userText: "",
+    continuity: null,
+    approved: false
+  };
+}
+
+function baseSlots(project) {
+  const summaries = [...(project.outline?.chapterSummaries || [])].sort((a, b) => a.index - b.index);
+  return summaries.map((summary) => ({
+    summary: { ...summary },
+    contract: { ...((project.chapterContracts || []).find((c) => c.index === summary.index) || {}) },
+    chapter: {
+      ...((project.chapters || []).find((c) => c.index === summary.index) ||
+        emptyChapter(summary.title))
+    },
+    sources: [summary.index]
+  }));
+}
+
+function slotAt(slots, index) {
+  const pos = slots.findIndex((s) => s.summary.index === index);
+  if (pos === -1) throw httpError(404, "Chapter not found");
+  return pos;
+}
+
+function markStale(chapter) {
+  if (chapter.continuityCheck) chapter.continuityCheck = { ...chapter.continuityCheck, stale: true };
+}
+
+/**
+ * Apply `edit(slots, project)` (which returns the new slot list) and save.
+ */
+async function restructure(projectId, edit, options = {}) {
+  let moved = [];
+  let removed = [];
+  let touched = [];
+
+  const saved = await mutateProject(
+    projectId,
+    (project) => {
+      if (!project.outline) throw httpError(409, "Generate an outline first");
+
+      const before = baseSlots(project);
+      const oldIndices = before.map((s) => s.summary.index);
+      const slots = edit(before, project);
+      if (!slots.length) throw httpError(400, "A book needs at least one chapter");
+
+      slots.forEach((slot, i) => {
+        const index = i + 1;
+        slot.summary.index = index;
+        slot.contract.index = index;
+        slot.contract.title = slot.summary.title;
+        slot.chapter.index = index;
+        slot.chapter.title = slot.chapter.title || slot.summary.title;
+      });
+
+      project.outline = {
+        ...project.outline,
+        chapterSummaries: slots.map((s) => s.summary)
+      };
+      project.chapterContracts = slots.map((s) => s.contract);
+      project.chapters = slots.map((s) => s.chapter);
+      project.continuityLedger = buildLedger(project.chapters);
+      project.inputs.totalChapters = slots.length;
+
+      moved = slots.flatMap((slot, i) => slot.sources.map((from) => [from, i + 1]));
+      const kept = new Set(moved.map(([from]) => from));
+      removed = oldIndices.filter((i) => !kept.has(i));
+      touched = slots.filter((s) => s.touched).map((s) => s.chapter.index);
+    },
+    options
+  );
+
+  await remapRevisionChapters(projectId, moved, removed);
+  for (const index of touched) {
+    const ch = saved.chapters.find((c) => c.index === index);
+    if (ch && (ch.draftText || ch.userText)) {
+      await recordRevision(projectId, ch, { source: "restructure" });
+    }
+  }
+  console.log("[structure] chapters renumbered", { projectId, chapters: saved.chapters.length, removed });
+  return saved;
+}
+
+// ---------- Operations ----------
+
+/**
+ * Insert a new, undrafted chapter so it becomes chapter `at` (1-based).
+ */
+export async function insertChapter(projectId, at, { title, summary } = {}, options = {}) {
+  return restructure(
+    projectId,
+    (slots) => {
+      const pos = Math.min(Math.max(Number(at) || slots.length + 1, 1), slots.length + 1) - 1;
+      const chapterTitle = String(title || "").trim() || "New Chapter";
+      slots.splice(pos, 0, {
+        summary: { index: 0, title: chapterTitle, summary: String(summary || "").trim() },
+        contract: {
+          index: 0,
+          title: chapterTitle,
+          mustInclude: [],
+          mustAvoid: [],
+          continuityFocus: [],
+          endingHookIntent: ""
+        },
+        chapter: emptyChapter(chapterTitle),
+        sources: []
+      });
+      return slots;
+    },
+    options
+  );
+}
+
+export async function deleteChapter(projectId, index, options = {}) {
+  return restructure(
+    projectId,
+    (slots) => {
+      slots.splice(slotAt(slots, index), 1);
+      return slots;
+    },
+    options
+  );
+}
+
+/**
+ * Where to cut a list of text blocks (paragraphs or scenes) so the halves
+ * are closest in word count. Returns the index of the first block of the
+ * second half.
+ */
+function splitPoint(blocks) {
+  const total = blocks.reduce((sum, block) => sum + countWords(block), 0);
+  let best = 1;
+  let bestDistance = Infinity;
+  let running = 0;
+  for (let i = 0; i < blocks.length - 1; i++) {
+    running += countWords(blocks[i]);
+    const distance = Math.abs(total / 2 - running);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i + 1;
+    }
+  }
+  return best;
+}
+
+function splitText(text) {
+  const paragraphs = String(text || "").split(/\n\s*\n/).filter((p) => p.trim());
+  if (paragraphs.length < 2) return [text || "", ""];
+  const at = splitPoint(paragraphs);
+  return [paragraphs.slice(0, at).join("\n\n"), paragraphs.slice(at).join("\n\n")];
+}
+
+function renumberScenes(scenes) {
+  return scenes.map((scene, i) => ({ ...scene, index: i + 1 }));
+}
+
+/**
+ * Split a chapter in two. Drafted text is divided at a paragraph break, or
+ * between scenes for a scene-drafted chapter (its scene plan is divided
+ * the same way). The chapter's continuity stays with the second half,
+ * whose end state it describes, and revision history stays with the first.
+ */
+export async function splitChapter(projectId, index, options = {}) {
+  return restructure(
+    projectId,
+    (slots) => {
+      const pos = slotAt(slots, index);
+      const { summary, contract, chapter, sources } = slots[pos];
+
+      let [draftA, draftB] = splitText(chapter.draftText);
+      const [userA, userB] = splitText(chapter.userText);
+      let scenesA;
+      let scenesB;
+      let planA = contract.scenes;
+      let planB = contract.scenes;
+      if (chapter.scenes?.length >= 2) {
+        const at = splitPoint(chapter.scenes.map((scene) => scene.text));
+        scenesA = renumberScenes(chapter.scenes.slice(0, at));
+        scenesB = renumberScenes(chapter.scenes.slice(at));
+        draftA = assembleScenes(scenesA);
+        draftB = assembleScenes(scenesB);
+        if (contract.scenes?.length === chapter.scenes.length) {
+          planA = contract.scenes.slice(0, at);
+          planB = contract.scenes.slice(at);
+        }
+      }
+      const titleA = `${summary.title} (Part 1)`;
+      const titleB = `${summary.title} (Part 2)`;
+
+      const first = {
+        summary: { ...summary, title: titleA },
+        contract: { ...contract, endingHookIntent: "", scenes: planA },
+        chapter: {
+          ...chapter,
+          title: titleA,
+          draftText: draftA,
+          scenes: scenesA,
+          userText: userA,
+          continuity: null,
+          approved: Boolean(chapter.approved && userA.trim())
+        },
+        sources,
+        touched: true
+      };
+      const second = {
+        summary: { ...summary, title: titleB },
+        contract: { ...contract, scenes: planB },
+        chapter: {
+          ...chapter,
+          title: titleB,
+          draftText: draftB,
+          scenes: scenesB,
+          userText: userB,
+          approved: Boolean(chapter.approved && userB.trim())
+        },
+        sources: [],
+        touched: true
+      };
+      delete second.chapter.continuityCheck;
+      markStale(first.chapter);
+
+      slots.splice(pos, 1, first, second);
+      return slots;
+    },
+    options
+  );
+}
+
+function mergeContinuity(a, b) {
+  if (!a || !b) return a || b || null;
+  return {
+    chapterSummary: join(a.chapterSummary, b.chapterSummary, " "),
+    charactersState: { ...(a.charactersState || {}), ...(b.charactersState || {}) },
+    locationsState: { ...(a.locationsState || {}), ...(b.locationsState || {}) },
+    timelineEvents: [...(a.timelineEvents || []), ...(b.timelineEvents || [])],
+    openLoops: unique([...(a.openLoops || []), ...(b.openLoops || [])]),
+    loopsAdvanced: unique([...(a.loopsAdvanced || []), ...(b.loopsAdvanced || [])]),
+    loopsClosed: unique([...(a.loopsClosed || []), ...(b.loopsClosed || [])]),
+    styleNotes: b.styleNotes || a.styleNotes || "",
+    source: "merge"
+  };
+}
+
+function chapterScenes(chapter) {
+  if (chapter.scenes?.length) return chapter.scenes;
+  return chapter.draftText ? [{ index: 1, text: chapter.draftText, source: "restructure" }] : [];
+}
+
+/**
+ * Merge a chapter with the one after it. Texts are joined at a scene break;
+ * if either half was edited, the edited text is built from each half's best
+ * text so no edit is lost. If either half was drafted in scenes, the merged
+ * chapter keeps them (the other half becomes one scene).
+ */
+export async function mergeChapters(projectId, index, options = {}) {
+  return restructure(
+    projectId,
+    (slots) => {
+      const pos = slotAt(slots, index);
+      if (pos === slots.length - 1) throw httpError(400, "The last chapter has nothing to merge with");
+      const a = slots[pos];
+      const b = slots[pos + 1];
+
+      const edited = a.chapter.userText || b.chapter.userText;
+      const sceneBreak = `\n\n${SCENE_BREAK}\n\n`;
+      const scenes =
+        a.chapter.scenes?.length || b.chapter.scenes?.length
+          ? renumberScenes([...chapterScenes(a.chapter), ...chapterScenes(b.chapter)])
+          : undefined;
+      const plan =
+        a.contract.scenes?.length || b.contract.scenes?.length
+          ? [...(a.contract.scenes || []), ...(b.contract.scenes || [])]
+          : undefined;
+      const merged = {
+        summary: {
+          ...b.summary,
+          ...a.summary,
+          summary: join(a.summary.summary, b.summary.summary, " "),
+          conflict: join(a.summary.conflict, b.summary.conflict, " "),
+          resolutionBeat: b.summary.resolutionBeat || a.summary.resolutionBeat
+        },
+        contract: {
+          ...a.contract,
+          mustInclude: unique([...(a.contract.mustInclude || []), ...(b.contract.mustInclude || [])]),
+          mustAvoid: unique([...(a.contract.mustAvoid || []), ...(b.contract.mustAvoid || [])]),
+          continuityFocus: unique([
+            ...(a.contract.continuityFocus || []),
+            ...(b.contract.continuityFocus || [])
+          ]),
+          endingHookIntent: b.contract.endingHookIntent || a.contract.endingHookIntent,
+          scenes: plan
+        },
+        chapter: {
+          ...a.chapter,
+          draftText: scenes ? assembleScenes(scenes) : join(a.chapter.draftText, b.chapter.draftText, sceneBreak),
+          scenes,
+          userText: edited
+            ? join(
+                a.chapter.userText || a.chapter.draftText,
+                b.chapter.userText || b.chapter.draftText,
+                sceneBreak
+              )
+            : "",
+          continuity: mergeContinuity(a.chapter.continuity, b.chapter.continuity),
+          approved: Boolean(a.chapter.approved && b.chapter.approved)
+        },
+        sources: [...a.sources, ...b.sources],
+        touched: true
+      };
+      markStale(merged.chapter);
+
+      slots.splice(pos, 2, merged);
+      return slots;
+    },
+    options
+  );
+}
+
+/**
+ * Reorder chapters. `order` lists every current chapter index once,
+ * in the new order.
+ */
+export async function reorderChapters(projectId, order, options = {}) {
+  return restructure(
+    projectId,
+    (slots) => {
+      const wanted = (Array.isArray(order) ? order : []).map(Number);
+      const current = slots.map((s) => s.summary.index);
+      const sameSet =
+        wanted.length === current.length &&
+        new Set(wanted).size === wanted.length &&
+        wanted.every((index) => current.includes(index));
+      if (!sameSet) {
+        throw httpError(400, "order must list every chapter index exactly once", { current });
+      }
+      return wanted.map((index) => slots[slotAt(slots, index)]);
+    },
+    options
+  );
+}
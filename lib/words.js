@@ -0,0 +1,22 @@
+/**
+ * Word counting shared by batch limits, exports and length checks.
+ * Counts whitespace-separated tokens that contain at least one letter or digit,
+ * so scene-break markers and stray punctuation don't count.
+ */
+export function countWords(text) {
+  if (!text) return 0;
+  return String(text)
+    .split(/\s+/)
+    .filter((w) => /[\p{L}\p{N}]/u.test(w)).length;
+}
+
+/**
+ * Rough token count for budgeting prompts, without a tokenizer.
+ * English prose runs about 1.3 tokens per word; JSON and punctuation-heavy
+ * text about 4 characters per token. Take whichever is larger.
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const s = String(text);
+  return Math.ceil(Math.max(s.length / 4, countWords(s) * 1.3));
+}
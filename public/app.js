@@ -7,7 +7,13 @@ const state = {
   project: null,
   currentStep: 1,
   maxStepUnlocked: 1,
-  currentChapterIndex: null
+  currentChapterIndex: null,
+  streamController: null,
+  activeJob: null,
+  batchJob: null,
+  batchWatching: null,
+  revisions: [],
+  revisionSelection: []
 };
 
 const GENRES = [
@@ -24,34 +30,52 @@ const VOICES = ["3rd Person Limited","1st Person / Intimate","1st Person / Snark
 const AUDIENCES = ["General Fiction","Young Adult (YA)","Middle Grade","Academic","Business Readers","Popular Nonfiction"];
 const AGE_RANGES = ["8-12","12-16","16-18","18+","All ages (clean)"];
 const HUMOUR_LEVELS = ["Very High","High","Medium","Low","None"];
+const MODEL_PROVIDERS = [
+  ["", "Server default"],
+  ["openai", "OpenAI"],
+  ["openai-compatible", "Self-hosted (OpenAI-compatible)"],
+  ["anthropic", "Anthropic"],
+  ["fake", "Offline fake (testing)"]
+];
 
 function fillSelect(el, values) {
   if (!el) return;
   el.innerHTML = "";
   values.forEach(v => {
+    const [value, label] = Array.isArray(v) ? v : [v, v];
     const opt = document.createElement("option");
-    opt.value = v;
-    opt.textContent = v || "—";
+    opt.value = value;
+    opt.textContent = label || "—";
     el.appendChild(opt);
   });
 }
 
 async function api(path, options = {}) {
   const res = await fetch(path, {
-    headers: { "Content-Type": "application/json" },
-    ...options
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) }
   });
   if (!res.ok) {
     let msg = `Request failed (${res.status})`;
+    let body = null;
     try {
-      const j = await res.json();
-      if (j && j.error) msg = j.error;
+      body = await res.json();
+      if (body && body.error) msg = body.error;
     } catch {}
-    throw new Error(msg);
+    const err = new Error(msg);
+    err.status = res.status;
+    err.body = body;
+    throw err;
   }
   return res;
 }
 
+// 400s from hand edits list what failed validation in body.violations.
+function withViolations(err) {
+  if (!err.body?.violations) return err;
+  return new Error(`${err.message}:\n${err.body.violations.join("\n")}`);
+}
+
 function setGlobalStatus(msg) {
   const el = $("globalStatus");
   if (el) el.textContent = msg;
@@ -72,6 +96,142 @@ async function guard(fn, label = "Working...") {
   }
 }
 
+/* ------------ Background jobs ------------ */
+
+const JOB_POLL_MS = 2000;
+const JOB_LABELS = {
+  "brief-bible": "Generating brief & bible",
+  outline: "Generating outline",
+  "next-chapter": "Generating chapter",
+  "regenerate-chapter": "Regenerating chapter",
+  "regenerate-scene": "Regenerating scene",
+  "chapter-continuity": "Recomputing continuity",
+  "continuity-check": "Checking continuity",
+  "import-manuscript": "Reading imported manuscript"
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function showJob(job) {
+  const el = $("jobStatus");
+  const cancelBtn = $("cancelJobBtn");
+  const active = job && (job.status === "queued" || job.status === "running");
+  if (el) {
+    el.textContent = job ? `${JOB_LABELS[job.type] || job.type}: ${job.status}` : "";
+  }
+  if (cancelBtn) {
+    cancelBtn.classList.toggle("hidden", !active);
+    // guard() disables every button while we wait; cancelling must stay possible.
+    cancelBtn.disabled = !active;
+  }
+}
+
+async function reloadProject() {
+  const res = await api(`/api/projects/${state.projectId}`);
+  state.project = await res.json();
+}
+
+/**
+ * Write to the current project, conditional on the version we last loaded
+ * (If-Match). If it was written in the meantime (another tab, a finished
+ * generation), the user either re-applies this change on top of the latest
+ * version or discards it and reloads. Resolves with the saved project, or
+ * null if the change was discarded.
+ */
+async function projectWrite(path, options) {
+  while (true) {
+    try {
+      const res = await api(path, {
+        ...options,
+        headers: { "If-Match": `"${state.project.version}"` }
+      });
+      state.project = await res.json();
+      return state.project;
+    } catch (err) {
+      if (err.body?.code !== "version_conflict") throw err;
+      const keepMine = confirm(
+        "This project was changed elsewhere since you loaded it " +
+        "(another tab, or a generation that just finished).\n\n" +
+        "OK: apply your change on top of the latest version.\n" +
+        "Cancel: discard your change and load the latest version."
+      );
+      await reloadProject();
+      if (!keepMine) {
+        writeInputsToUI();
+        renderAll();
+        if (state.currentChapterIndex) loadChapter(state.currentChapterIndex);
+        return null;
+      }
+    }
+  }
+}
+
+/**
+ * Poll a job until it finishes, then reload the project.
+ * Resolves with the final job; throws if the job failed.
+ */
+async function waitForJob(job) {
+  state.activeJob = job;
+  showJob(job);
+  while (job.status === "queued" || job.status === "running") {
+    await sleep(JOB_POLL_MS);
+    const res = await api(`/api/jobs/${job.id}`);
+    job = await res.json();
+    showJob(job);
+  }
+  state.activeJob = null;
+  showJob(null);
+
+  await reloadProject();
+  if (job.status === "failed") throw new Error(job.error || "Job failed.");
+  return job;
+}
+
+async function runJob(path, body) {
+  let res;
+  try {
+    res = await api(path, {
+      method: "POST",
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (err) {
+    // Something is already generating on this project (e.g. started in another tab).
+    const running = err.body?.code === "project_busy" ? err.body.operation : null;
+    if (!running?.jobId || !confirm(`${err.message}. Wait for it to finish instead?`)) throw err;
+    const jobRes = await api(`/api/jobs/${running.jobId}`);
+    return waitForJob(await jobRes.json());
+  }
+  const { job } = await res.json();
+  return waitForJob(job);
+}
+
+async function cancelActiveJob() {
+  const job = state.activeJob;
+  if (!job) return;
+  try {
+    await api(`/api/jobs/${job.id}/cancel`, { method: "POST" });
+  } catch (err) {
+    setGlobalStatus(`Error: ${err.message}`);
+  }
+}
+
+/** After loading a project, pick up a job that is still queued or running. */
+async function resumeActiveJob() {
+  const res = await api(`/api/projects/${state.projectId}/jobs`);
+  const jobs = await res.json();
+
+  const batch = jobs.find(j => j.type === "draft-book" && ["queued", "running", "paused"].includes(j.status));
+  renderBatch(batch || null);
+  if (batch && batch.status !== "paused") watchBatch(batch);
+
+  const active = jobs.find(j => j.type !== "draft-book" && (j.status === "queued" || j.status === "running"));
+  if (!active) return;
+  await guard(async () => {
+    await waitForJob(active);
+    renderAll();
+  }, `${JOB_LABELS[active.type] || "Working"}...`);
+}
+
 /* ------------ State helpers ------------ */
 
 function ensureProjectLoaded() {
@@ -91,11 +251,87 @@ function updateProgress() {
   const { total, drafted } = computeDraftProgress();
   const label = $("progressLabel");
   const fill = $("progressFill");
-  if (label) label.textContent = `${drafted} of ${total} chapters drafted`;
+  const batchRunning = state.batchJob && state.batchJob.status !== "paused";
+  if (label) {
+    label.textContent = `${drafted} of ${total} chapters drafted${batchRunning ? " (batch running)" : ""}`;
+  }
   const pct = total > 0 ? Math.min(100, Math.round((drafted / total) * 100)) : 0;
   if (fill) fill.style.width = pct + "%";
 }
 
+/* ------------ Word counts ------------ */
+
+// Same rule as lib/words.js: only tokens with a letter or digit count, so
+// scene-break markers don't.
+function countWords(text) {
+  if (!text) return 0;
+  return String(text).split(/\s+/).filter(w => /[\p{L}\p{N}]/u.test(w)).length;
+}
+
+// The canonical text: the user's edit once there is one, else the draft.
+function chapterWords(ch) {
+  return countWords(ch?.userText && ch.userText.trim() ? ch.userText : ch?.draftText);
+}
+
+function wordRange() {
+  const inputs = state.project?.inputs || {};
+  const target = Number(inputs.chapterTargetWords) || 2000;
+  const min = Number(inputs.chapterMinWords) || Math.round(target * 0.75);
+  const max = Math.max(Number(inputs.chapterMaxWords) || Math.round(target * 1.5), min);
+  return { target, min, max };
+}
+
+function lengthClass(words) {
+  const { min, max } = wordRange();
+  if (!words) return "";
+  if (words < min) return "length-short";
+  if (words > max) return "length-long";
+  return "";
+}
+
+function lengthPassNote(ch) {
+  const passes = (ch?.lengthPasses || []).filter(p => p.kept);
+  if (!passes.length) return "";
+  const first = passes[0];
+  return ` • ${first.kind === "expand" ? "expanded" : "condensed"} from ${first.from.toLocaleString()}${passes.length > 1 ? ` in ${passes.length} passes` : ""}`;
+}
+
+// A long chapter that stopped part-way resumes from its next scene or segment.
+function segmentProgress(ch) {
+  const draft = ch?.segmentDraft;
+  if (!draft) return "";
+  const label = draft.purpose === "regenerate" ? "regenerated" : "written";
+  const parts = [];
+  if (draft.scenes?.length) parts.push(`${draft.scenes.length} scene${draft.scenes.length === 1 ? "" : "s"} ${label}`);
+  if (draft.plan?.length) {
+    const of = draft.sceneIndex ? ` of scene ${draft.sceneIndex}` : "";
+    parts.push(`${draft.segments.length}/${draft.plan.length} segments${of} ${label}`);
+  }
+  return parts.length ? ` (${parts.join(", ")})` : "";
+}
+
+function renderChapterWordCount(ch, words = chapterWords(ch)) {
+  const el = $("chapterWordCount");
+  if (!el) return;
+  if (!ch || !words) {
+    el.textContent = "";
+    el.className = "small muted";
+    return;
+  }
+  const { target, min, max } = wordRange();
+  el.textContent = `${words.toLocaleString()} / ${target.toLocaleString()} words (range ${min.toLocaleString()}–${max.toLocaleString()})${lengthPassNote(ch)}`;
+  el.className = `small ${lengthClass(words) || "muted"}`;
+}
+
+function renderBookWordCount() {
+  const el = $("bookWordCount");
+  if (!el) return;
+  const chapters = Array.isArray(state.project?.chapters) ? state.project.chapters : [];
+  const total = Number(state.project?.inputs?.totalChapters) || chapters.length;
+  const words = chapters.reduce((sum, ch) => sum + chapterWords(ch), 0);
+  el.textContent = words ? `${words.toLocaleString()} / ${(wordRange().target * total).toLocaleString()} words` : "";
+}
+
 function updateProjectMeta() {
   const el = $("projectMeta");
   if (!el) return;
@@ -157,12 +393,48 @@ async function createProject() {
   goToStep(2);
 }
 
+/**
+ * Create a project from a manuscript file. The server splits it into
+ * chapters straight away, then a job reads their continuity and rebuilds
+ * the brief and bible; we wait for that before showing the brief.
+ */
+async function importManuscript() {
+  const file = $("importFile")?.files?.[0];
+  if (!file) throw new Error("Choose a .docx, .md or .txt file to import.");
+
+  const params = new URLSearchParams({ filename: file.name });
+  const res = await api(`/api/projects/import?${params}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/octet-stream" },
+    body: file
+  });
+  const { project, job } = await res.json();
+  $("importFile").value = "";
+
+  state.projectId = project.id;
+  state.project = project;
+  state.maxStepUnlocked = 6;
+  writeInputsToUI();
+  renderAll();
+  await fetchProjects();
+
+  await waitForJob(job);
+  writeInputsToUI();
+  renderAll();
+  goToStep(3);
+}
+
 async function loadProject(id) {
   const res = await api(`/api/projects/${id}`);
   state.project = await res.json();
   state.projectId = state.project.id;
-  state.maxStepUnlocked = 5; // when loading an existing project allow full navigation
+  state.maxStepUnlocked = 6; // when loading an existing project allow full navigation
   writeInputsToUI();
+  renderAll();
+  resumeActiveJob().catch(() => {});
+}
+
+function renderAll() {
   renderInputsPreview();
   renderBrief();
   renderBible();
@@ -192,7 +464,9 @@ function readInputsFromUI() {
     chapterMaxWords: Number($("chapterMaxWords")?.value || 3000),
     characters: $("characters")?.value || "",
     locations: $("locations")?.value || "",
-    additionalNotes: $("additionalNotes")?.value || ""
+    additionalNotes: $("additionalNotes")?.value || "",
+    modelProvider: $("modelProvider")?.value || "",
+    modelName: $("modelName")?.value || ""
   };
 }
 
@@ -219,6 +493,10 @@ function writeInputsToUI() {
   if ($("characters")) $("characters").value = i.characters || "";
   if ($("locations")) $("locations").value = i.locations || "";
   if ($("additionalNotes")) $("additionalNotes").value = i.additionalNotes || "";
+  if ($("modelProvider")) $("modelProvider").value = i.modelProvider || "";
+  if ($("modelName")) $("modelName").value = i.modelName || "";
+
+  writeMetadataToUI();
 }
 
 function renderInputsPreview() {
@@ -243,7 +521,11 @@ function renderInputsPreview() {
     coreConcept: i.coreConcept,
     characters: i.characters,
     locations: i.locations,
-    additionalNotes: i.additionalNotes
+    additionalNotes: i.additionalNotes,
+    model: {
+      provider: i.modelProvider || "(server default)",
+      name: i.modelName || "(provider default)"
+    }
   };
   el.textContent = JSON.stringify(summary, null, 2);
 }
@@ -251,17 +533,78 @@ function renderInputsPreview() {
 async function saveInputs() {
   ensureProjectLoaded();
   const payload = readInputsFromUI();
-  const res = await api(`/api/projects/${state.projectId}/inputs`, {
+  const project = await projectWrite(`/api/projects/${state.projectId}/inputs`, {
     method: "PUT",
     body: JSON.stringify(payload)
   });
-  state.project = await res.json();
+  if (!project) return;
   renderInputsPreview();
   updateProjectMeta();
   updateProgress();
   await fetchProjects();
 }
 
+/* ------------ Publishing step ------------ */
+
+// Book metadata is stored apart from inputs: the exports use it, the model doesn't.
+function writeMetadataToUI() {
+  const m = state.project?.metadata || {};
+  const front = m.frontMatter || {};
+  const back = m.backMatter || {};
+  const setVal = (id, value) => {
+    if ($(id)) $(id).value = value;
+  };
+  setVal("metaAuthor", m.author || "");
+  setVal("metaLanguage", m.language || "en");
+  setVal("metaPublisher", m.publisher || "");
+  setVal("metaIsbn", m.isbn || "");
+  setVal("metaCopyrightYear", m.copyrightYear || "");
+  setVal("metaIncludeToc", front.includeToc === false ? "no" : "yes");
+  setVal("metaCopyrightNotice", front.copyrightNotice || "");
+  setVal("metaDedication", front.dedication || "");
+  setVal("metaEpigraph", front.epigraph || "");
+  setVal("metaEpigraphSource", front.epigraphSource || "");
+  setVal("metaAcknowledgements", back.acknowledgements || "");
+  setVal("metaAboutAuthor", back.aboutAuthor || "");
+  setVal("metaAlsoBy", (back.alsoBy || []).join("\n"));
+}
+
+function readMetadataFromUI() {
+  return {
+    author: $("metaAuthor")?.value || "",
+    language: $("metaLanguage")?.value || "en",
+    publisher: $("metaPublisher")?.value || "",
+    isbn: $("metaIsbn")?.value || "",
+    copyrightYear: $("metaCopyrightYear")?.value || null,
+    frontMatter: {
+      includeToc: $("metaIncludeToc")?.value !== "no",
+      copyrightNotice: $("metaCopyrightNotice")?.value || "",
+      dedication: $("metaDedication")?.value || "",
+      epigraph: $("metaEpigraph")?.value || "",
+      epigraphSource: $("metaEpigraphSource")?.value || ""
+    },
+    backMatter: {
+      acknowledgements: $("metaAcknowledgements")?.value || "",
+      aboutAuthor: $("metaAboutAuthor")?.value || "",
+      alsoBy: $("metaAlsoBy")?.value || ""
+    }
+  };
+}
+
+async function saveMetadata() {
+  ensureProjectLoaded();
+  let project;
+  try {
+    project = await projectWrite(`/api/projects/${state.projectId}/metadata`, {
+      method: "PUT",
+      body: JSON.stringify(readMetadataFromUI())
+    });
+  } catch (err) {
+    throw withViolations(err);
+  }
+  if (project) writeMetadataToUI();
+}
+
 /* ------------ Brief & Bible ------------ */
 
 function extractTextFromStructure(obj) {
@@ -291,15 +634,157 @@ function renderBrief() {
   el.textContent = extractTextFromStructure(brief);
 }
 
+const BIBLE_FIELDS = {
+  characters: [
+    ["name", "Name"],
+    ["role", "Role"],
+    ["traits", "Traits (one per line)", "list"],
+    ["wants", "Wants"],
+    ["fears", "Fears"],
+    ["voiceNotes", "Voice notes"],
+    ["appearance", "Appearance"]
+  ],
+  locations: [
+    ["name", "Name"],
+    ["type", "Type"],
+    ["sensoryNotes", "Sensory notes"],
+    ["rules", "Rules"]
+  ],
+  worldRules: [["text", "Rule"]]
+};
+
+const BIBLE_SECTION_LABELS = {
+  characters: "Characters",
+  locations: "Locations",
+  worldRules: "World Rules"
+};
+
 function renderBible() {
-  const el = $("bibleDisplay");
+  const el = $("bibleEditor");
   if (!el) return;
+  el.innerHTML = "";
   const bible = state.project?.bible;
   if (!bible) {
     el.textContent = "";
     return;
   }
-  el.textContent = extractTextFromStructure(bible);
+
+  Object.entries(BIBLE_FIELDS).forEach(([section, fields]) => {
+    const block = document.createElement("section");
+    block.className = "bible-section";
+    const head = document.createElement("div");
+    head.className = "row gap";
+    const title = document.createElement("h3");
+    title.className = "field-label";
+    title.textContent = BIBLE_SECTION_LABELS[section];
+    const spacer = document.createElement("span");
+    spacer.className = "flex-spacer";
+    const add = document.createElement("button");
+    add.className = "secondary";
+    add.textContent = "Add";
+    head.append(title, spacer, add);
+
+    const list = document.createElement("ul");
+    list.className = "bible-list";
+    add.addEventListener("click", () => {
+      const li = document.createElement("li");
+      list.prepend(li);
+      renderBibleForm(li, section, null);
+    });
+
+    (bible[section] || []).forEach(entry => {
+      const li = document.createElement("li");
+      renderBibleEntry(li, section, entry);
+      list.appendChild(li);
+    });
+
+    block.append(head, list);
+    el.appendChild(block);
+  });
+}
+
+function renderBibleEntry(li, section, entry) {
+  li.innerHTML = "";
+  li.className = "bible-item";
+  const body = document.createElement("div");
+  body.className = "small";
+  const main = section === "worldRules" ? entry.text : `${entry.name}${entry.role ? ` (${entry.role})` : ""}`;
+  body.textContent = `${entry.userAuthored ? "✎ " : ""}${main}`;
+  const detail = BIBLE_FIELDS[section]
+    .filter(([key]) => !["name", "role", "text"].includes(key) && entry[key] && String(entry[key]).length)
+    .map(([key]) => (Array.isArray(entry[key]) ? entry[key].join(", ") : entry[key]))
+    .join(" · ");
+  if (detail) {
+    const more = document.createElement("div");
+    more.className = "muted";
+    more.textContent = detail;
+    body.appendChild(more);
+  }
+
+  const edit = document.createElement("button");
+  edit.className = "secondary";
+  edit.textContent = "Edit";
+  edit.addEventListener("click", () => renderBibleForm(li, section, entry));
+  const remove = document.createElement("button");
+  remove.className = "secondary";
+  remove.textContent = "Delete";
+  remove.addEventListener("click", () => guard(async () => {
+    const name = entry.name || entry.text;
+    if (!confirm(`Delete "${name}" from the bible?`)) return;
+    await saveBibleEntry(`/${section}/${entry.id}`, { method: "DELETE" });
+  }, "Deleting bible entry..."));
+
+  li.append(body, edit, remove);
+}
+
+// `entry` null: a new entry.
+function renderBibleForm(li, section, entry) {
+  li.innerHTML = "";
+  li.className = "bible-item editing";
+  const form = document.createElement("div");
+  const inputs = {};
+  BIBLE_FIELDS[section].forEach(([key, label, kind]) => {
+    const lab = document.createElement("label");
+    lab.className = "small";
+    lab.textContent = label;
+    const input = document.createElement(kind === "list" || key === "text" ? "textarea" : "input");
+    if (input.tagName === "TEXTAREA") input.rows = 2;
+    const value = entry?.[key];
+    input.value = Array.isArray(value) ? value.join("\n") : (value || "");
+    inputs[key] = [input, kind];
+    form.append(lab, input);
+  });
+
+  const save = document.createElement("button");
+  save.textContent = "Save";
+  save.addEventListener("click", () => guard(async () => {
+    const body = {};
+    Object.entries(inputs).forEach(([key, [input, kind]]) => {
+      body[key] = kind === "list" ? input.value.split("\n") : input.value;
+    });
+    await saveBibleEntry(entry ? `/${section}/${entry.id}` : `/${section}`, {
+      method: entry ? "PUT" : "POST",
+      body: JSON.stringify(body)
+    });
+  }, "Saving bible entry..."));
+  const cancel = document.createElement("button");
+  cancel.className = "secondary";
+  cancel.textContent = "Cancel";
+  cancel.addEventListener("click", () => (entry ? renderBibleEntry(li, section, entry) : li.remove()));
+
+  form.append(save, cancel);
+  li.appendChild(form);
+}
+
+async function saveBibleEntry(path, options) {
+  ensureProjectLoaded();
+  let project;
+  try {
+    project = await projectWrite(`/api/projects/${state.projectId}/bible${path}`, options);
+  } catch (err) {
+    throw withViolations(err);
+  }
+  if (project) renderBible();
 }
 
 async function generateBriefBible() {
@@ -307,8 +792,11 @@ async function generateBriefBible() {
   await saveInputs();
   const status = $("briefBibleStatus");
   if (status) status.textContent = "Generating...";
-  const res = await api(`/api/projects/${state.projectId}/brief-bible`, { method: "POST" });
-  state.project = await res.json();
+  const job = await runJob(`/api/projects/${state.projectId}/brief-bible`);
+  if (job.status === "cancelled") {
+    if (status) status.textContent = "Cancelled.";
+    return;
+  }
   renderBrief();
   renderBible();
   updateProjectMeta();
@@ -321,26 +809,142 @@ async function generateBriefBible() {
 /* ------------ Outline ------------ */
 
 function renderOutline() {
-  const el = $("outlineDisplay");
-  if (!el) return;
-  const outline = state.project?.outline;
-  if (!outline) {
-    el.textContent = "";
+  const list = $("outlineList");
+  if (!list) return;
+  list.innerHTML = "";
+  const summaries = [...(state.project?.outline?.chapterSummaries || [])].sort((a, b) => a.index - b.index);
+  if (!summaries.length) {
+    const li = document.createElement("li");
+    li.className = "small muted";
+    li.textContent = "No outline yet.";
+    list.appendChild(li);
     return;
   }
-  if (typeof outline === "string") {
-    el.textContent = outline;
-  } else {
-    el.textContent = JSON.stringify(outline, null, 2);
-  }
+
+  const chapters = getChaptersSorted();
+  summaries.forEach((s, pos) => {
+    const ch = chapters.find(c => c.index === s.index);
+    const li = document.createElement("li");
+    li.className = "outline-item";
+    li.draggable = true;
+    li.dataset.index = s.index;
+
+    const body = document.createElement("div");
+    const title = document.createElement("div");
+    const status = ch?.approved ? "✅" : (ch?.draftText ? "📝" : "⏳");
+    title.textContent = `${status} ${s.index}. ${s.title || ""}${ch?.outOfDate ? " ⚠️ out of date" : ""}`;
+    const summary = document.createElement("div");
+    summary.className = "small muted";
+    summary.textContent = s.summary || "";
+    body.append(title, summary);
+    li.appendChild(body);
+
+    const editor = document.createElement("div");
+    editor.className = "hidden";
+    body.appendChild(editor);
+    const contractBtn = document.createElement("button");
+    contractBtn.className = "secondary";
+    contractBtn.textContent = "Contract";
+    contractBtn.addEventListener("click", () => {
+      const open = editor.classList.toggle("hidden") === false;
+      li.draggable = !open;
+      if (open) renderContractEditor(editor, s.index);
+    });
+    li.appendChild(contractBtn);
+
+    const actions = [
+      ["Insert after", () => insertOutlineChapter(s.index + 1)],
+      ["Split", () => splitOutlineChapter(s.index)],
+      ...(pos < summaries.length - 1 ? [["Merge with next", () => mergeOutlineChapter(s.index)]] : []),
+      ["Delete", () => deleteOutlineChapter(s.index)]
+    ];
+    actions.forEach(([text, fn]) => {
+      const btn = document.createElement("button");
+      btn.className = "secondary";
+      btn.textContent = text;
+      btn.addEventListener("click", () => guard(fn, "Updating outline..."));
+      li.appendChild(btn);
+    });
+
+    li.addEventListener("dragstart", (e) => {
+      e.dataTransfer.setData("text/plain", String(s.index));
+      e.dataTransfer.effectAllowed = "move";
+    });
+    li.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      li.classList.add("drop-target");
+    });
+    li.addEventListener("dragleave", () => li.classList.remove("drop-target"));
+    li.addEventListener("drop", (e) => {
+      e.preventDefault();
+      li.classList.remove("drop-target");
+      const from = Number(e.dataTransfer.getData("text/plain"));
+      if (from && from !== s.index) guard(() => moveOutlineChapter(from, s.index), "Reordering chapters...");
+    });
+
+    list.appendChild(li);
+  });
+}
+
+async function restructureOutline(path, options) {
+  const project = await projectWrite(`/api/projects/${state.projectId}/outline${path}`, options);
+  if (!project) return;
+  const count = project.chapters?.length || 0;
+  if (state.currentChapterIndex > count) state.currentChapterIndex = count || null;
+  writeInputsToUI();
+  renderAll();
+  if (state.currentChapterIndex) loadChapter(state.currentChapterIndex);
+}
+
+async function insertOutlineChapter(at) {
+  ensureProjectLoaded();
+  const title = prompt("Title of the new chapter:");
+  if (title == null) return;
+  const summary = prompt("What happens in it? (optional)") || "";
+  await restructureOutline("/chapters", {
+    method: "POST",
+    body: JSON.stringify({ at, title, summary })
+  });
+}
+
+async function deleteOutlineChapter(index) {
+  const ch = getChaptersSorted().find(c => c.index === index);
+  const drafted = ch && (ch.draftText || ch.userText);
+  if (!confirm(`Delete chapter ${index}?${drafted ? " Its draft and revision history will be lost." : ""}`)) return;
+  await restructureOutline(`/chapters/${index}`, { method: "DELETE" });
+}
+
+async function splitOutlineChapter(index) {
+  await restructureOutline(`/chapters/${index}/split`, { method: "POST" });
+}
+
+async function mergeOutlineChapter(index) {
+  if (!confirm(`Merge chapter ${index} with chapter ${index + 1}?`)) return;
+  await restructureOutline(`/chapters/${index}/merge`, { method: "POST" });
+}
+
+// Drop chapter `from` in the place of chapter `to`.
+async function moveOutlineChapter(from, to) {
+  const order = [...state.project.outline.chapterSummaries]
+    .sort((a, b) => a.index - b.index)
+    .map(s => s.index)
+    .filter(i => i !== from);
+  order.splice(order.indexOf(to) + (from < to ? 1 : 0), 0, from);
+  await restructureOutline("/order", {
+    method: "PUT",
+    body: JSON.stringify({ order })
+  });
 }
 
 async function generateOutline() {
   ensureProjectLoaded();
   const status = $("outlineStatus");
   if (status) status.textContent = "Generating outline...";
-  const res = await api(`/api/projects/${state.projectId}/outline`, { method: "POST" });
-  state.project = await res.json();
+  const job = await runJob(`/api/projects/${state.projectId}/outline`);
+  if (job.status === "cancelled") {
+    if (status) status.textContent = "Cancelled.";
+    return;
+  }
   renderOutline();
   updateProjectMeta();
   updateProgress();
@@ -349,6 +953,152 @@ async function generateOutline() {
   unlockStep(4);
 }
 
+/* ------------ Chapter contracts ------------ */
+
+const CONTRACT_LISTS = [
+  ["mustInclude", "Must include"],
+  ["mustAvoid", "Must avoid"],
+  ["continuityFocus", "Continuity focus"]
+];
+
+function getContract(index) {
+  return (state.project?.chapterContracts || []).find(c => c.index === index) || { index };
+}
+
+function contractListEditor(key, label, items) {
+  const wrap = document.createElement("div");
+  wrap.className = "contract-list";
+  wrap.dataset.key = key;
+  const head = document.createElement("div");
+  head.className = "field-label";
+  head.textContent = label;
+  const list = document.createElement("div");
+
+  const addRow = (value = "") => {
+    const row = document.createElement("div");
+    row.className = "row gap";
+    const input = document.createElement("input");
+    input.value = value;
+    const remove = document.createElement("button");
+    remove.className = "secondary";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => row.remove());
+    row.append(input, remove);
+    list.appendChild(row);
+    return input;
+  };
+  (items || []).forEach(item => addRow(item));
+
+  const add = document.createElement("button");
+  add.className = "secondary";
+  add.textContent = "Add item";
+  add.addEventListener("click", () => addRow().focus());
+
+  wrap.append(head, list, add);
+  return wrap;
+}
+
+/**
+ * Form for one chapter's contract, rendered into `container`.
+ * Used in both the Outline and the Chapters step.
+ */
+function renderContractEditor(container, index) {
+  container.innerHTML = "";
+  const contract = getContract(index);
+
+  CONTRACT_LISTS.forEach(([key, label]) => {
+    container.appendChild(contractListEditor(key, label, contract[key]));
+  });
+
+  const hookLabel = document.createElement("div");
+  hookLabel.className = "field-label";
+  hookLabel.textContent = "Ending hook intent";
+  const hook = document.createElement("textarea");
+  hook.rows = 2;
+  hook.value = contract.endingHookIntent || "";
+
+  const scenes = scenePlanEditor(contract.scenes);
+
+  const save = document.createElement("button");
+  save.textContent = "Save Contract";
+  save.addEventListener("click", () => guard(async () => {
+    const body = { endingHookIntent: hook.value, scenes: scenes.read() };
+    container.querySelectorAll(".contract-list").forEach(el => {
+      body[el.dataset.key] = [...el.querySelectorAll("input")].map(input => input.value);
+    });
+    await saveContract(index, body);
+  }, "Saving contract..."));
+
+  container.append(hookLabel, hook, scenes.el, save);
+}
+
+const SCENE_PLAN_FIELDS = [
+  ["goal", "Goal"],
+  ["conflict", "Conflict"],
+  ["outcome", "Outcome"],
+  ["pov", "POV"],
+  ["setting", "Setting"]
+];
+
+// Scene plan rows; read() returns the plan, skipping rows without a goal.
+function scenePlanEditor(plan) {
+  const el = document.createElement("div");
+  el.className = "scene-plan";
+  const head = document.createElement("div");
+  head.className = "field-label";
+  head.textContent = "Scene plan (drafted one scene at a time)";
+  const list = document.createElement("ol");
+
+  const addRow = (scene = {}) => {
+    const li = document.createElement("li");
+    li.className = "scene-plan-row";
+    SCENE_PLAN_FIELDS.forEach(([key, label]) => {
+      const input = document.createElement("input");
+      input.placeholder = label;
+      input.dataset.key = key;
+      input.value = scene[key] || "";
+      li.appendChild(input);
+    });
+    const remove = document.createElement("button");
+    remove.className = "secondary";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => li.remove());
+    li.appendChild(remove);
+    list.appendChild(li);
+  };
+  (plan || []).forEach(addRow);
+
+  const add = document.createElement("button");
+  add.className = "secondary";
+  add.textContent = "Add scene";
+  add.addEventListener("click", () => addRow());
+
+  el.append(head, list, add);
+  return {
+    el,
+    read: () => [...list.querySelectorAll("li")]
+      .map(li => Object.fromEntries([...li.querySelectorAll("input")].map(input => [input.dataset.key, input.value])))
+      .filter(scene => scene.goal.trim())
+  };
+}
+
+async function saveContract(index, contract) {
+  ensureProjectLoaded();
+  let project;
+  try {
+    project = await projectWrite(`/api/projects/${state.projectId}/contracts/${index}`, {
+      method: "PUT",
+      body: JSON.stringify(contract)
+    });
+  } catch (err) {
+    throw withViolations(err);
+  }
+  if (!project) return;
+  renderOutline();
+  renderChapters();
+  if (state.currentChapterIndex) loadChapter(state.currentChapterIndex);
+}
+
 /* ------------ Chapters ------------ */
 
 function getChaptersSorted() {
@@ -372,7 +1122,14 @@ function renderChapters() {
       const btn = document.createElement("button");
       btn.className = "secondary";
       const status = ch.approved ? "✅" : (ch.draftText ? "📝" : "⏳");
-      btn.textContent = `${status} Chapter ${ch.index}: ${ch.title || ""}`;
+      btn.textContent = `${status} Chapter ${ch.index}: ${ch.title || ""}${ch.outOfDate ? " ⚠️" : ""}${segmentProgress(ch)}`;
+      const words = chapterWords(ch);
+      if (words) {
+        const count = document.createElement("span");
+        count.className = `small ${lengthClass(words) || "muted"}`;
+        count.textContent = ` ${words.toLocaleString()} / ${wordRange().target.toLocaleString()}`;
+        btn.appendChild(count);
+      }
       btn.addEventListener("click", () => {
         state.currentChapterIndex = ch.index;
         loadChapter(ch.index);
@@ -382,6 +1139,9 @@ function renderChapters() {
     });
   }
 
+  renderLoops();
+  renderBookWordCount();
+
   const firstDrafted = chapters.find(c => c.draftText);
   if (firstDrafted && state.currentChapterIndex == null) {
     state.currentChapterIndex = firstDrafted.index;
@@ -409,32 +1169,542 @@ function loadChapter(index) {
   const userEl = $("userText");
   const contEl = $("continuityDisplay");
 
+  const notice = $("outOfDateNotice");
+  const contractEl = $("chapterContractEditor");
+
   if (!ch) {
     if (label) label.textContent = "No chapter selected.";
     if (draftEl) draftEl.value = "";
     if (userEl) userEl.value = "";
     if (contEl) contEl.textContent = "";
+    if (notice) notice.classList.add("hidden");
+    if (contractEl) contractEl.innerHTML = "";
+    renderScenes(null);
+    renderChapterWordCount(null);
     return;
   }
 
+  if (notice) {
+    notice.classList.toggle("hidden", !ch.outOfDate);
+    notice.textContent = ch.outOfDate
+      ? `The contract changed on ${new Date(Number(ch.outOfDate.since)).toLocaleString()}, after this chapter was drafted. Regenerate it, or save an edit once it matches.`
+      : "";
+  }
+  if (contractEl) renderContractEditor(contractEl, ch.index);
+  renderScenes(ch);
+
   if (label) label.textContent = `Chapter ${ch.index}: ${ch.title || ""} ${ch.approved ? "(approved)" : ""}`;
   if (draftEl) draftEl.value = ch.draftText || "";
   if (userEl) userEl.value = ch.userText || "";
   if (contEl) {
     contEl.textContent = ch.continuity ? JSON.stringify(ch.continuity, null, 2) : "";
   }
+  renderChapterWordCount(ch);
+  renderIssues(ch);
+  loadRevisions(ch.index).catch(err => setGlobalStatus(`Error: ${err.message}`));
+}
+
+/* ------------ Chapter markup ------------ */
+
+// The editor writes the markup every export understands (lib/markup.js):
+// *italic*, **bold**, "> " block quotes and "* * *" scene breaks.
+const INLINE_MARKERS = { italic: "*", bold: "**" };
+
+function toggleInlineMarkup(el, marker) {
+  const { selectionStart: start, selectionEnd: end, value } = el;
+  const selected = value.slice(start, end);
+  const wrapped =
+    selected.length > 2 * marker.length && selected.startsWith(marker) && selected.endsWith(marker);
+  if (wrapped) {
+    el.setRangeText(selected.slice(marker.length, -marker.length), start, end, "select");
+  } else if (selected) {
+    el.setRangeText(`${marker}${selected}${marker}`, start, end, "select");
+  } else {
+    el.setRangeText(`${marker}${marker}`, start, end, "end");
+    el.selectionStart = el.selectionEnd = start + marker.length;
+  }
+}
+
+// Quote (or unquote) every line the selection touches.
+function toggleQuote(el) {
+  const { value } = el;
+  const start = value.lastIndexOf("\n", el.selectionStart - 1) + 1;
+  const endBreak = value.indexOf("\n", el.selectionEnd);
+  const end = endBreak === -1 ? value.length : endBreak;
+  const lines = value.slice(start, end).split("\n");
+  const quoted = lines.every(line => !line.trim() || /^>\s?/.test(line));
+  const next = lines.map(line => {
+    if (!line.trim()) return line;
+    return quoted ? line.replace(/^>\s?/, "") : `> ${line}`;
+  });
+  el.setRangeText(next.join("\n"), start, end, "select");
+}
+
+// A scene break needs a blank line on each side.
+function insertSceneBreak(el) {
+  const before = el.value.slice(0, el.selectionStart).replace(/\s+$/, "");
+  const after = el.value.slice(el.selectionEnd).replace(/^\s+/, "");
+  const insert = `${before ? "\n\n" : ""}* * *\n\n`;
+  el.value = `${before}${insert}${after}`;
+  el.selectionStart = el.selectionEnd = before.length + insert.length;
+}
+
+function applyMarkup(kind) {
+  const el = $("userText");
+  if (!el) return;
+  if (INLINE_MARKERS[kind]) toggleInlineMarkup(el, INLINE_MARKERS[kind]);
+  else if (kind === "quote") toggleQuote(el);
+  else if (kind === "sceneBreak") insertSceneBreak(el);
+  el.focus();
+  el.dispatchEvent(new Event("input"));
+}
+
+/* ------------ Scenes ------------ */
+
+function renderScenes(ch) {
+  const list = $("scenesList");
+  const info = $("scenesInfo");
+  if (!list) return;
+  list.innerHTML = "";
+
+  if (info) {
+    info.textContent = ch?.continuityStale ? "Text changed: continuity needs recomputing." : "";
+  }
+  const scenes = ch?.scenes || [];
+  if (!scenes.length) {
+    const li = document.createElement("li");
+    li.className = "small muted";
+    li.textContent = "Drafted as one piece. Add a scene plan to the contract to draft it scene by scene.";
+    list.appendChild(li);
+    return;
+  }
+
+  const plan = getContract(ch.index).scenes || [];
+  scenes.forEach(scene => {
+    const li = document.createElement("li");
+    li.className = "scene-item";
+    const head = document.createElement("div");
+    head.className = "small muted";
+    head.textContent = `Scene ${scene.index}${plan[scene.index - 1] ? `: ${plan[scene.index - 1].goal}` : ""}${scene.source === "user-edit" ? " (edited)" : ""}`;
+    const text = document.createElement("textarea");
+    text.rows = 8;
+    text.value = scene.text || "";
+
+    const save = document.createElement("button");
+    save.className = "secondary";
+    save.textContent = "Save Scene";
+    save.addEventListener("click", () => guard(() => saveScene(ch.index, scene.index, text.value), "Saving scene..."));
+    const regen = document.createElement("button");
+    regen.className = "secondary";
+    regen.textContent = "Regenerate Scene";
+    regen.addEventListener("click", () => guard(() => regenerateScene(ch.index, scene.index), "Regenerating scene..."));
+
+    const actions = document.createElement("div");
+    actions.className = "row gap";
+    actions.append(save, regen);
+    li.append(head, text, actions);
+    list.appendChild(li);
+  });
+}
+
+// Saving a scene leaves continuity stale, so recompute it straight away.
+async function saveScene(index, sceneIndex, text) {
+  ensureProjectLoaded();
+  const project = await projectWrite(`/api/projects/${state.projectId}/chapters/${index}/scenes/${sceneIndex}`, {
+    method: "PUT",
+    body: JSON.stringify({ text })
+  });
+  if (!project) return;
+  loadChapter(index);
+  await recomputeContinuity(index);
+}
+
+async function regenerateScene(index, sceneIndex) {
+  ensureProjectLoaded();
+  if (!confirm(`Regenerate scene ${sceneIndex}? The other scenes stay as they are.`)) return;
+  const job = await runJob(`/api/projects/${state.projectId}/chapters/${index}/scenes/${sceneIndex}/regenerate`);
+  if (job.status === "cancelled") return;
+  renderChapters();
+  loadChapter(index);
+}
+
+async function recomputeContinuity(index = state.currentChapterIndex) {
+  ensureProjectLoaded();
+  if (!index) throw new Error("Select a chapter first.");
+  const job = await runJob(`/api/projects/${state.projectId}/chapters/${index}/continuity/recompute`);
+  if (job.status === "cancelled") return;
+  renderChapters();
+  loadChapter(index);
+}
+
+/* ------------ Open loops ------------ */
+
+function renderLoops() {
+  const list = $("loopsList");
+  if (!list) return;
+  list.innerHTML = "";
+
+  const loops = state.project?.continuityLedger?.loops || [];
+  const open = loops.filter(loop => loop.status === "open");
+  const summary = $("loopsSummary");
+  if (summary) summary.textContent = loops.length ? `${open.length} open / ${loops.length}` : "";
+
+  if (!open.length) {
+    const li = document.createElement("li");
+    li.className = "small muted";
+    li.textContent = loops.length ? "Every loop is resolved." : "No loops opened yet.";
+    list.appendChild(li);
+    return;
+  }
+
+  open.forEach(loop => {
+    const li = document.createElement("li");
+    li.className = "small";
+    const advanced = loop.advancedIn.length ? `, advanced in ${loop.advancedIn.join(", ")}` : "";
+    li.textContent = `${loop.text} (ch ${loop.openedIn}${advanced})`;
+    list.appendChild(li);
+  });
+}
+
+/* ------------ Continuity issues ------------ */
+
+function renderIssues(ch) {
+  const list = $("issuesList");
+  const info = $("continuityCheckInfo");
+  if (!list) return;
+  list.innerHTML = "";
+
+  const check = ch?.continuityCheck;
+  if (info) {
+    info.textContent = check
+      ? `Checked ${new Date(Number(check.checkedAt)).toLocaleString()}${check.stale ? " (text changed since)" : ""}`
+      : "";
+  }
+
+  const issues = check?.issues || [];
+  if (!issues.length) {
+    const li = document.createElement("li");
+    li.className = "small muted";
+    li.textContent = check ? "No contradictions found." : "Not checked yet.";
+    list.appendChild(li);
+    return;
+  }
+
+  // Open issues first, most severe first.
+  const rank = { high: 0, medium: 1, low: 2 };
+  const sorted = [...issues].sort((a, b) =>
+    (a.status === "open" ? 0 : 1) - (b.status === "open" ? 0 : 1) ||
+    (rank[a.severity] ?? 3) - (rank[b.severity] ?? 3)
+  );
+
+  sorted.forEach(issue => {
+    const li = document.createElement("li");
+    li.className = `issue-item${issue.status === "open" ? "" : " closed"}`;
+
+    const body = document.createElement("div");
+    body.className = "small";
+    const badge = document.createElement("span");
+    badge.className = `severity severity-${issue.severity}`;
+    badge.textContent = issue.severity;
+    body.append(badge, ` ${issue.summary}${issue.status === "open" ? "" : ` (${issue.status})`}`);
+
+    const quote = document.createElement("div");
+    quote.className = "small muted";
+    quote.textContent = `Chapter: "${issue.chapterQuote}"`;
+    const against = document.createElement("div");
+    against.className = "small muted";
+    const where = issue.conflictsWith?.source === "ledger" && issue.conflictsWith.chapterIndex
+      ? `Chapter ${issue.conflictsWith.chapterIndex}`
+      : "Bible";
+    against.textContent = `${where}: "${issue.conflictsWith?.quote || ""}"`;
+    body.append(quote, against);
+    if (issue.suggestion) {
+      const hint = document.createElement("div");
+      hint.className = "small muted";
+      hint.textContent = `Suggestion: ${issue.suggestion}`;
+      body.appendChild(hint);
+    }
+    li.appendChild(body);
+
+    const actions = issue.status === "open"
+      ? [["Resolve", "resolved"], ["Dismiss", "dismissed"]]
+      : [["Reopen", "open"]];
+    actions.forEach(([text, status]) => {
+      const btn = document.createElement("button");
+      btn.className = "secondary";
+      btn.textContent = text;
+      btn.addEventListener("click", () => guard(() => setIssueStatus(ch.index, issue.id, status), "Updating issue..."));
+      li.appendChild(btn);
+    });
+
+    list.appendChild(li);
+  });
+}
+
+async function checkContinuity() {
+  ensureProjectLoaded();
+  const idx = state.currentChapterIndex;
+  if (!idx) throw new Error("Select a chapter first.");
+  const job = await runJob(`/api/projects/${state.projectId}/chapters/${idx}/continuity-check`);
+  if (job.status === "cancelled") return;
+  renderChapters();
+  loadChapter(idx);
+}
+
+async function setIssueStatus(index, issueId, status) {
+  const project = await projectWrite(`/api/projects/${state.projectId}/chapters/${index}/issues/${issueId}`, {
+    method: "POST",
+    body: JSON.stringify({ status })
+  });
+  if (!project) return;
+  loadChapter(index);
+}
+
+/* ------------ Revision history ------------ */
+
+const REVISION_SOURCE_LABELS = {
+  baseline: "Earlier version",
+  model: "AI draft",
+  regenerate: "Regenerated",
+  "user-edit": "Your edit",
+  "restore-draft": "Restored as draft",
+  "restore-edited": "Restored as edited",
+  restructure: "Split or merged",
+  "scene-edit": "Scene edit",
+  "scene-regenerate": "Scene regenerated",
+  import: "Imported"
+};
+
+async function loadRevisions(index) {
+  const list = $("revisionsList");
+  if (!list || !state.projectId) return;
+  const res = await api(`/api/projects/${state.projectId}/chapters/${index}/revisions`);
+  const revisions = await res.json();
+  if (state.currentChapterIndex !== index) return;
+
+  state.revisions = revisions;
+  state.revisionSelection = [];
+  $("revisionDiff")?.classList.add("hidden");
+  list.innerHTML = "";
+
+  if (!revisions.length) {
+    const li = document.createElement("li");
+    li.className = "small muted";
+    li.textContent = "No revisions recorded yet.";
+    list.appendChild(li);
+    return;
+  }
+
+  revisions.forEach(rev => {
+    const li = document.createElement("li");
+    li.className = "revision-item";
+
+    const pick = document.createElement("input");
+    pick.type = "checkbox";
+    pick.addEventListener("change", () => toggleRevisionSelection(rev.id, pick));
+
+    const info = document.createElement("div");
+    info.className = "small";
+    const when = new Date(Number(rev.createdAt)).toLocaleString();
+    const source = REVISION_SOURCE_LABELS[rev.source] || rev.source;
+    info.textContent = `${when} • ${source}${rev.model ? ` (${rev.model})` : ""} • ${rev.words} words`;
+    const preview = document.createElement("div");
+    preview.className = "small muted";
+    preview.textContent = rev.preview;
+    info.appendChild(preview);
+
+    const asDraft = document.createElement("button");
+    asDraft.className = "secondary";
+    asDraft.textContent = "Restore as Draft";
+    asDraft.addEventListener("click", () => guard(() => restoreRevision(rev.id, "draft"), "Restoring revision..."));
+
+    const asEdited = document.createElement("button");
+    asEdited.className = "secondary";
+    asEdited.textContent = "Restore as Edited";
+    asEdited.addEventListener("click", () => guard(() => restoreRevision(rev.id, "edited"), "Restoring revision..."));
+
+    li.append(pick, info, asDraft, asEdited);
+    list.appendChild(li);
+  });
+}
+
+function toggleRevisionSelection(id, checkbox) {
+  const sel = state.revisionSelection.filter(x => x !== id);
+  if (checkbox.checked) {
+    sel.push(id);
+    // Keep at most two: drop the oldest pick.
+    if (sel.length > 2) {
+      const dropped = sel.shift();
+      const boxes = $("revisionsList")?.querySelectorAll("input[type=checkbox]") || [];
+      const idx = state.revisions.findIndex(r => r.id === dropped);
+      if (boxes[idx]) boxes[idx].checked = false;
+    }
+  }
+  state.revisionSelection = sel;
+}
+
+async function compareRevisions() {
+  ensureProjectLoaded();
+  if (state.revisionSelection.length !== 2) throw new Error("Select two revisions to compare.");
+  // Older revision on the left.
+  const [from, to] = state.revisions
+    .filter(r => state.revisionSelection.includes(r.id))
+    .sort((a, b) => a.createdAt - b.createdAt);
+  const res = await api(`/api/projects/${state.projectId}/revisions/diff?from=${from.id}&to=${to.id}`);
+  const diff = await res.json();
+
+  const el = $("revisionDiff");
+  if (!el) return;
+  el.innerHTML = "";
+  diff.segments.forEach(seg => {
+    const span = document.createElement(seg.op === "insert" ? "ins" : seg.op === "delete" ? "del" : "span");
+    span.textContent = seg.text;
+    el.appendChild(span);
+  });
+  el.classList.remove("hidden");
+}
+
+async function restoreRevision(revisionId, as) {
+  ensureProjectLoaded();
+  const idx = state.currentChapterIndex;
+  const label = as === "edited" ? "your edited version" : "the AI draft";
+  if (!confirm(`Replace ${label} of this chapter with the selected revision?`)) return;
+  const project = await projectWrite(`/api/projects/${state.projectId}/chapters/${idx}/revisions/${revisionId}/restore`, {
+    method: "POST",
+    body: JSON.stringify({ as })
+  });
+  if (!project) return;
+  renderChapters();
+  loadChapter(idx);
+}
+
+/**
+ * Read a text/event-stream body and call onEvent(name, data) for each event.
+ */
+async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let sep;
+    while ((sep = buffer.indexOf("\n\n")) !== -1) {
+      const frame = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+      let event = "message";
+      let data = "";
+      frame.split("\n").forEach(line => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+function setStreaming(on) {
+  ["generateFirstChapterBtn", "generateNextChapterBtn", "regenerateChapterBtn", "approveChapterBtn"]
+    .forEach(id => { if ($(id)) $(id).disabled = on; });
+  $("abortStreamBtn")?.classList.toggle("hidden", !on);
 }
 
 async function generateNextChapter() {
   ensureProjectLoaded();
+  if (!(await confirmOpenLoops())) return;
   const status = $("chaptersStatus");
-  if (status) status.textContent = "Generating chapter...";
-  const res = await api(`/api/projects/${state.projectId}/chapters/next`, { method: "POST" });
-  state.project = await res.json();
-  renderChapters();
-  updateProjectMeta();
-  await fetchProjects();
-  if (status) status.textContent = "Done.";
+  const label = $("currentChapterLabel");
+  const draftEl = $("draftText");
+  const userEl = $("userText");
+  const contEl = $("continuityDisplay");
+
+  state.streamController = new AbortController();
+  setStreaming(true);
+  setGlobalStatus("Generating chapter...");
+  if (status) status.textContent = "Waiting for the model...";
+
+  let finished = false;
+  try {
+    const res = await fetch(`/api/projects/${state.projectId}/chapters/next/stream`, {
+      method: "POST",
+      signal: state.streamController.signal
+    });
+    if (!res.ok || !res.body) {
+      const body = await res.json().catch(() => null);
+      throw new Error(body?.error || `Request failed (${res.status})`);
+    }
+
+    await readEventStream(res.body, (event, data) => {
+      if (event === "warning") {
+        setGlobalStatus(`Generating chapter... (${data.message})`);
+      } else if (event === "length") {
+        const verb = data.kind === "expand" ? "expanding" : "condensing";
+        if (status) status.textContent = `Draft came back at ${data.words} words (target ${data.target}); ${verb}...`;
+      } else if (event === "start") {
+        state.currentChapterIndex = data.index;
+        if (label) label.textContent = `Chapter ${data.index}: ${data.title || ""} (drafting...)`;
+        if (draftEl) draftEl.value = "";
+        if (userEl) userEl.value = "";
+        if (contEl) contEl.textContent = "";
+        if (status) status.textContent = "Streaming draft...";
+      } else if (event === "token" && draftEl) {
+        // Only follow the text if the reader hasn't scrolled up to read.
+        const atBottom = draftEl.scrollHeight - draftEl.scrollTop - draftEl.clientHeight < 40;
+        draftEl.value += data.text;
+        if (atBottom) draftEl.scrollTop = draftEl.scrollHeight;
+      } else if (event === "continuity" && contEl) {
+        contEl.textContent = JSON.stringify(data.continuity, null, 2);
+      } else if (event === "done") {
+        state.project = data.project;
+        finished = true;
+      } else if (event === "error") {
+        throw new Error(data.error);
+      }
+    });
+    if (!finished) throw new Error("The stream ended before the chapter was saved.");
+
+    renderChapters();
+    loadChapter(state.currentChapterIndex);
+    updateProjectMeta();
+    await fetchProjects();
+    if (status) status.textContent = "Done.";
+    setGlobalStatus("Ready.");
+  } catch (err) {
+    if (err.name === "AbortError") {
+      if (status) status.textContent = "Draft aborted. Nothing was saved.";
+      setGlobalStatus("Ready.");
+      loadChapter(state.currentChapterIndex);
+    } else {
+      alert(err.message);
+      if (status) status.textContent = "";
+      setGlobalStatus(`Error: ${err.message}`);
+    }
+  } finally {
+    state.streamController = null;
+    setStreaming(false);
+  }
+}
+
+function abortStream() {
+  state.streamController?.abort();
+}
+
+/**
+ * Near the end of the book, say which loops are still open before drafting.
+ * Resolves false if the user would rather not draft yet.
+ */
+async function confirmOpenLoops() {
+  const res = await api(`/api/projects/${state.projectId}/loops`);
+  const report = await res.json();
+  if (!report.warning) return true;
+  const list = report.open
+    .map(loop => `- ${loop.text} (chapter ${loop.openedIn})`)
+    .join("\n");
+  return confirm(
+    `${report.warning}:\n\n${list}\n\n` +
+    "The model will be asked to pay these off. Draft the chapter now?"
+  );
 }
 
 async function generateFirstChapter() {
@@ -442,16 +1712,117 @@ async function generateFirstChapter() {
   unlockStep(5);
 }
 
+/* ------------ Batch: draft the whole book ------------ */
+
+function describeBatch(job) {
+  const p = job.progress || {};
+  const parts = [`Batch ${job.status}`];
+  if (p.currentChapter) parts.push(`drafting chapter ${p.currentChapter}`);
+  parts.push(`${p.chaptersDrafted || 0} drafted this run`);
+  parts.push(`${Number(p.words || 0).toLocaleString()} words`);
+  if (p.costUsd) parts.push(`$${Number(p.costUsd).toFixed(2)}`);
+  if (p.stoppedReason) parts.push(p.stoppedReason);
+  if (p.loopWarning) parts.push(p.loopWarning);
+  if (job.error) parts.push(`Error: ${job.error}`);
+  return parts.join(" • ");
+}
+
+function renderBatch(job) {
+  const unfinished = job && ["queued", "running", "paused"].includes(job.status);
+  state.batchJob = unfinished ? job : null;
+  const running = unfinished && job.status !== "paused";
+
+  $("draftAllBtn")?.classList.toggle("hidden", !!unfinished);
+  $("pauseBatchBtn")?.classList.toggle("hidden", !running);
+  $("resumeBatchBtn")?.classList.toggle("hidden", !(unfinished && !running));
+  $("cancelBatchBtn")?.classList.toggle("hidden", !unfinished);
+  ["generateFirstChapterBtn", "generateNextChapterBtn", "regenerateChapterBtn"]
+    .forEach(id => { if ($(id)) $(id).disabled = !!running; });
+
+  const text = job ? describeBatch(job) : "";
+  if ($("batchStatus")) $("batchStatus").textContent = text;
+  if ($("batchProgress")) $("batchProgress").textContent = text;
+  updateProgress();
+}
+
+/**
+ * Poll a batch job while it runs, refreshing the chapter list whenever
+ * another chapter lands. Runs outside guard() so the UI stays usable.
+ */
+async function watchBatch(job) {
+  if (state.batchWatching === job.id) return;
+  state.batchWatching = job.id;
+  let drafted = job.progress?.drafted;
+  try {
+    while (job.status === "queued" || job.status === "running") {
+      await sleep(JOB_POLL_MS);
+      const res = await api(`/api/jobs/${job.id}`);
+      job = await res.json();
+      if (state.projectId !== job.projectId) return;
+      if (job.progress?.drafted !== drafted) {
+        drafted = job.progress?.drafted;
+        await reloadProject();
+        renderChapters();
+        updateProjectMeta();
+      }
+      renderBatch(job);
+    }
+    await reloadProject();
+    renderChapters();
+    renderBatch(job);
+    if (job.status === "failed") alert(`Batch stopped: ${job.error}`);
+  } catch (err) {
+    setGlobalStatus(`Error: ${err.message}`);
+  } finally {
+    state.batchWatching = null;
+  }
+}
+
+function readBatchLimits() {
+  return {
+    maxWords: Number($("batchMaxWords")?.value || 0),
+    maxCostUsd: Number($("batchMaxCost")?.value || 0)
+  };
+}
+
+async function draftWholeBook() {
+  ensureProjectLoaded();
+  const res = await api(`/api/projects/${state.projectId}/chapters/draft-all`, {
+    method: "POST",
+    body: JSON.stringify(readBatchLimits())
+  });
+  const { job } = await res.json();
+  renderBatch(job);
+  watchBatch(job);
+}
+
+async function controlBatch(action) {
+  const job = state.batchJob;
+  if (!job) return;
+  if (action === "cancel" && !confirm("Cancel the batch run? Chapters already drafted are kept.")) return;
+  const res = await api(`/api/jobs/${job.id}/${action}`, {
+    method: "POST",
+    body: action === "resume" ? JSON.stringify(readBatchLimits()) : undefined
+  });
+  const updated = await res.json();
+  renderBatch(updated);
+  if (action === "resume") watchBatch(updated);
+  if (action === "cancel") {
+    await reloadProject();
+    renderChapters();
+  }
+}
+
 async function saveChapterEdits() {
   ensureProjectLoaded();
   const idx = state.currentChapterIndex;
   if (!idx) throw new Error("Select a chapter first.");
   const text = $("userText")?.value || "";
-  const res = await api(`/api/projects/${state.projectId}/chapters/${idx}/edits`, {
+  const project = await projectWrite(`/api/projects/${state.projectId}/chapters/${idx}/edits`, {
     method: "PUT",
     body: JSON.stringify({ text })
   });
-  state.project = await res.json();
+  if (!project) return;
   renderChapters();
   loadChapter(idx);
   await fetchProjects();
@@ -463,10 +1834,7 @@ async function regenerateChapter() {
   if (!idx) throw new Error("Select a chapter first.");
   const ok = confirm("Regenerate this chapter? Later chapters will be rewound.");
   if (!ok) return;
-  const res = await api(`/api/projects/${state.projectId}/chapters/${idx}/regenerate`, {
-    method: "POST"
-  });
-  state.project = await res.json();
+  await runJob(`/api/projects/${state.projectId}/chapters/${idx}/regenerate`);
   renderChapters();
   loadChapter(idx);
   await fetchProjects();
@@ -474,9 +1842,26 @@ async function regenerateChapter() {
 
 /* ------------ Downloads ------------ */
 
+// Manuscript format comes in Courier or Times.
+const DOCX_FORMATS = {
+  book: "format=book",
+  manuscript: "format=manuscript&font=courier",
+  "manuscript-times": "format=manuscript&font=times"
+};
+
 function downloadDocx() {
   if (!state.projectId) return;
-  window.location.href = `/api/projects/${state.projectId}/download/docx`;
+  const query = DOCX_FORMATS[$("docxFormat")?.value] || DOCX_FORMATS.book;
+  window.location.href = `/api/projects/${state.projectId}/download/docx?${query}`;
+}
+function downloadEpub() {
+  if (!state.projectId) return;
+  window.location.href = `/api/projects/${state.projectId}/download/epub`;
+}
+function downloadPdf() {
+  if (!state.projectId) return;
+  const trim = $("pdfTrim")?.value || "5.5x8.5";
+  window.location.href = `/api/projects/${state.projectId}/download/pdf?trim=${encodeURIComponent(trim)}`;
 }
 function downloadMd() {
   if (!state.projectId) return;
@@ -548,8 +1933,10 @@ function wireEvents() {
     }, "Loading project...")
   );
 
+  $("importProjectBtn")?.addEventListener("click", () => guard(importManuscript, "Importing manuscript..."));
+
   // Stepper buttons
-  for (let i = 1; i <= 5; i++) {
+  for (let i = 1; i <= 6; i++) {
     const btn = $(`stepBtn${i}`);
     if (btn) {
       btn.addEventListener("click", () => {
@@ -593,25 +1980,71 @@ function wireEvents() {
 
   $("backToOutlineBtn")?.addEventListener("click", () => goToStep(4));
 
+  $("nextFromChaptersBtn")?.addEventListener("click", () => {
+    unlockStep(6);
+    goToStep(6);
+  });
+
+  $("backToChaptersBtn")?.addEventListener("click", () => goToStep(5));
+
   // Inputs actions
   $("saveInputsBtn")?.addEventListener("click", () => guard(saveInputs, "Saving inputs..."));
   $("previewInputsBtn")?.addEventListener("click", () => renderInputsPreview());
 
+  // Publishing
+  $("saveMetadataBtn")?.addEventListener("click", () => guard(saveMetadata, "Saving book details..."));
+
   // Brief/Bible
   $("generateBriefBibleBtn")?.addEventListener("click", () => guard(generateBriefBible, "Generating brief & bible..."));
 
   // Outline
   $("generateOutlineBtn")?.addEventListener("click", () => guard(generateOutline, "Generating outline..."));
+  $("addChapterBtn")?.addEventListener("click", () =>
+    guard(() => insertOutlineChapter((state.project?.outline?.chapterSummaries?.length || 0) + 1), "Adding chapter...")
+  );
 
   // Chapters
-  $("generateFirstChapterBtn")?.addEventListener("click", () => guard(generateFirstChapter, "Generating first chapter..."));
-  $("generateNextChapterBtn")?.addEventListener("click", () => guard(generateNextChapter, "Generating next chapter..."));
+  // Chapter drafting streams, so it manages its own buttons instead of guard().
+  $("generateFirstChapterBtn")?.addEventListener("click", generateFirstChapter);
+  $("generateNextChapterBtn")?.addEventListener("click", generateNextChapter);
+  $("abortStreamBtn")?.addEventListener("click", abortStream);
+  $("draftAllBtn")?.addEventListener("click", () => guard(draftWholeBook, "Starting batch run..."));
+  $("pauseBatchBtn")?.addEventListener("click", () => guard(() => controlBatch("pause"), "Pausing batch..."));
+  $("resumeBatchBtn")?.addEventListener("click", () => guard(() => controlBatch("resume"), "Resuming batch..."));
+  $("cancelBatchBtn")?.addEventListener("click", () => guard(() => controlBatch("cancel"), "Cancelling batch..."));
+  $("userText")?.addEventListener("input", (e) => {
+    const ch = getChaptersSorted().find(c => c.index === state.currentChapterIndex);
+    const text = e.target.value.trim() ? e.target.value : ch?.draftText;
+    renderChapterWordCount(ch, countWords(text));
+  });
+  $("userText")?.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+    const kind = { i: "italic", b: "bold" }[e.key.toLowerCase()];
+    if (!kind) return;
+    e.preventDefault();
+    applyMarkup(kind);
+  });
+  $("markupToolbar")?.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-markup]");
+    if (btn) applyMarkup(btn.dataset.markup);
+  });
   $("approveChapterBtn")?.addEventListener("click", () => guard(saveChapterEdits, "Saving chapter edits..."));
   $("regenerateChapterBtn")?.addEventListener("click", () => guard(regenerateChapter, "Regenerating chapter..."));
 
+  $("checkContinuityBtn")?.addEventListener("click", () => guard(checkContinuity, "Checking continuity..."));
+  $("recomputeContinuityBtn")?.addEventListener("click", () => guard(() => recomputeContinuity(), "Recomputing continuity..."));
+  $("diffRevisionsBtn")?.addEventListener("click", () => guard(compareRevisions, "Comparing revisions..."));
+  $("refreshRevisionsBtn")?.addEventListener("click", () => {
+    if (state.currentChapterIndex != null) loadRevisions(state.currentChapterIndex).catch(() => {});
+  });
+
+  $("cancelJobBtn")?.addEventListener("click", cancelActiveJob);
+
   // Downloads
   $("downloadDocxBtn")?.addEventListener("click", downloadDocx);
   $("downloadMdBtn")?.addEventListener("click", downloadMd);
+  $("downloadEpubBtn")?.addEventListener("click", downloadEpub);
+  $("downloadPdfBtn")?.addEventListener("click", downloadPdf);
 }
 
 function init() {
@@ -622,6 +2055,7 @@ function init() {
   fillSelect($("targetAudience"), AUDIENCES);
   fillSelect($("ageRange"), AGE_RANGES);
   fillSelect($("humourLevel"), HUMOUR_LEVELS);
+  fillSelect($("modelProvider"), MODEL_PROVIDERS);
 
   wireEvents();
   updatePanels();
@@ -8,22 +8,88 @@ import {
   getProject,
   createProject,
   updateProjectInputs,
+  updateProjectMetadata,
   deleteProject,
-  saveUserEdits,
+  updateContract,
+  addBibleEntry,
+  updateBibleEntry,
+  deleteBibleEntry,
   clearAndRewindFromChapter
 } from "./lib/storage.js";
 
 import {
-  generateBookBriefAndBible,
-  generateOutline,
   generateNextChapter,
-  regenerateChapter,
   compileBookMarkdown,
   compileBookDocxBuffer
 } from "./lib/engine.js";
 
+import {
+  enqueueJob,
+  getJob,
+  listProjectJobs,
+  findActiveJob,
+  cancelJob,
+  pauseJob,
+  resumeJob,
+  assertProjectIdle,
+  startWorker,
+  stopWorker
+} from "./lib/jobs.js";
+
+import {
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  saveChapterEdit,
+  saveUserEditsWithRevision,
+  saveSceneEdit,
+  restoreRevision
+} from "./lib/revisions.js";
+
+import {
+  insertChapter,
+  deleteChapter,
+  splitChapter,
+  mergeChapters,
+  reorderChapters
+} from "./lib/structure.js";
+
+import { compileBookEpubBuffer } from "./lib/epub.js";
+import { compileBookPdfBuffer } from "./lib/pdf.js";
+import { compileManuscriptDocxBuffer } from "./lib/manuscript.js";
+import { importManuscript } from "./lib/import.js";
+import { setIssueStatus } from "./lib/analysis.js";
+import { withProjectLock } from "./lib/locks.js";
+import { ledgerAsOf, entityAsOf, loopReport, ENTITY_KINDS } from "./lib/ledger.js";
+import { httpError } from "./lib/errors.js";
+
 const app = express();
 
+// Errors from lib/ may carry a status (see lib/errors.js); everything else is a 500.
+function sendError(res, err) {
+  const status = err.status || 500;
+  if (status >= 500) console.error(err);
+  res.status(status).json({ error: err.message, ...(err.details || {}) });
+}
+
+// Project responses carry the row version as a strong ETag ("12"). Writes
+// that send it back in If-Match are rejected with 409 if the project has
+// been written since; writes without If-Match are unconditional.
+function sendProject(res, project) {
+  res.set("ETag", `"${project.version}"`);
+  res.json(project);
+}
+
+function expectedVersion(req) {
+  const header = req.get("If-Match");
+  if (!header || header.trim() === "*") return undefined;
+  const version = parseInt(header.trim().replace(/^W\//, "").replace(/"/g, ""), 10);
+  if (!Number.isFinite(version)) {
+    throw httpError(400, "If-Match must be a project version from the ETag header");
+  }
+  return version;
+}
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -46,18 +112,40 @@ app.get("/api/projects", async (_req, res) => {
     const projects = await listProjects();
     res.json(projects);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
 app.post("/api/projects", async (req, res) => {
   try {
     const project = await createProject(req.body || {});
-    res.json(project);
+    sendProject(res, project);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
+  }
+});
+
+// Import a manuscript as a new project. The body is the file itself
+// (.docx, .md or .txt); ?filename= gives its name, ?format= overrides the
+// extension, and ?title= / ?totalChapters= seed the inputs. Responds 202
+// with the project and the "import-manuscript" job that reads it back.
+app.post("/api/projects/import", express.raw({ type: "*/*", limit: "20mb" }), async (req, res) => {
+  try {
+    const { filename = "", format = "", title, totalChapters } = req.query;
+    const inputs = Object.fromEntries(
+      Object.entries({ title, totalChapters }).filter(([, value]) => value !== undefined && value !== "")
+    );
+    const project = await importManuscript({
+      buffer: Buffer.isBuffer(req.body) ? req.body : null,
+      filename,
+      format,
+      inputs
+    });
+    const job = await enqueueJob(project.id, "import-manuscript");
+    res.set("ETag", `"${project.version}"`);
+    res.status(202).json({ project, job });
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
@@ -65,22 +153,34 @@ app.get("/api/projects/:id", async (req, res) => {
   try {
     const project = await getProject(req.params.id);
     if (!project) return res.status(404).json({ error: "Project not found" });
-    res.json(project);
+    sendProject(res, project);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
 // IMPORTANT: this must return the full project, because app.js does res.json()
 app.put("/api/projects/:id/inputs", async (req, res) => {
   try {
-    await updateProjectInputs(req.params.id, req.body || {});
-    const project = await getProject(req.params.id);
-    res.json(project);
+    const project = await updateProjectInputs(req.params.id, req.body || {}, {
+      expectedVersion: expectedVersion(req)
+    });
+    sendProject(res, project);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
+  }
+});
+
+// Book metadata for exports: { author, publisher, isbn, language, copyrightYear,
+// frontMatter, backMatter }. Front and back matter merge field by field.
+app.put("/api/projects/:id/metadata", async (req, res) => {
+  try {
+    const project = await updateProjectMetadata(req.params.id, req.body || {}, {
+      expectedVersion: expectedVersion(req)
+    });
+    sendProject(res, project);
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
@@ -89,74 +189,519 @@ app.delete("/api/projects/:id", async (req, res) => {
     await deleteProject(req.params.id);
     res.json({ ok: true });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
 /* ------------ API: Brief & Bible / Outline / Chapters ------------ */
 
-app.post("/api/projects/:id/brief-bible", async (req, res) => {
+// Generation runs in the background job queue. These routes return 202 with
+// the job; poll GET /api/jobs/:jobId until it finishes, then reload the project.
+// One generation at a time per project: anything else already queued or
+// running is a 409 with { code: "project_busy", operation }. The check here
+// answers early; enqueueJob's unique index is what stops two racing requests.
+async function enqueueForProject(req, res, type, payload = {}) {
   try {
-    const project = await generateBookBriefAndBible(req.params.id);
-    res.json(project);
+    const project = await getProject(req.params.id);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+    await assertProjectIdle(project.id);
+    const job = await enqueueJob(project.id, type, payload);
+    res.status(202).json({ job });
   } catch (err) {
+    sendError(res, err);
+  }
+}
+
+app.post("/api/projects/:id/brief-bible", (req, res) =>
+  enqueueForProject(req, res, "brief-bible")
+);
+
+app.post("/api/projects/:id/outline", (req, res) =>
+  enqueueForProject(req, res, "outline")
+);
+
+app.post("/api/projects/:id/chapters/next", (req, res) =>
+  enqueueForProject(req, res, "next-chapter")
+);
+
+// Streaming variant: Server-Sent Events over the POST response.
+// Events: start {index,title}, warning {message}, token {text},
+// length {kind,words,target,min,max} (an expand/condense pass is starting),
+// continuity {index,continuity}, done {project}, error {error}.
+// Closing the connection aborts the model call and the draft isn't saved
+// (finished segments of a long chapter are kept, so the next run resumes).
+// Takes the project lock like a job does; a busy project is a plain 409 before any events.
+app.post("/api/projects/:id/chapters/next/stream", async (req, res) => {
+  try {
+    await assertProjectIdle(req.params.id);
+    await withProjectLock(req.params.id, "next-chapter-stream", () =>
+      streamNextChapter(req, res)
+    );
+  } catch (err) {
+    if (!res.headersSent) return sendError(res, err);
     console.error(err);
-    res.status(500).json({ error: err.message });
+    res.end();
   }
 });
 
-app.post("/api/projects/:id/outline", async (req, res) => {
+async function streamNextChapter(req, res) {
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      console.log("[stream] client disconnected, aborting generation");
+      controller.abort();
+    }
+  });
+
+  // Keep proxies (Render, nginx) from timing out a quiet connection.
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
   try {
-    const project = await generateOutline(req.params.id);
-    res.json(project);
+    let chapterIndex = null;
+    const project = await generateNextChapter(req.params.id, {
+      signal: controller.signal,
+      onStart: (info) => {
+        chapterIndex = info.index;
+        send("start", info);
+      },
+      onWarning: (message) => send("warning", { message }),
+      onLengthPass: (info) => send("length", info),
+      onProse: (text) => send("token", { text })
+    });
+
+    const ch = (project.chapters || []).find((c) => c.index === chapterIndex);
+    if (ch) send("continuity", { index: ch.index, continuity: ch.continuity });
+    send("done", { project });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    if (!controller.signal.aborted) {
+      console.error(err);
+      send("error", { error: err.message });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+// "Draft the whole book": one long-running job, pausable/resumable/cancellable.
+// Body: { maxWords?, maxCostUsd? } ceilings; the batch pauses when one is reached.
+app.post("/api/projects/:id/chapters/draft-all", async (req, res) => {
+  try {
+    const existing = await findActiveJob(req.params.id, "draft-book");
+    if (existing) {
+      return res
+        .status(409)
+        .json({ error: `A batch run is already ${existing.status}`, job: existing });
+    }
+    await enqueueForProject(req, res, "draft-book", {
+      maxWords: Number(req.body?.maxWords) || 0,
+      maxCostUsd: Number(req.body?.maxCostUsd) || 0
+    });
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
-app.post("/api/projects/:id/chapters/next", async (req, res) => {
+app.post("/api/projects/:id/chapters/:index/regenerate", (req, res) =>
+  enqueueForProject(req, res, "regenerate-chapter", {
+    chapterIndex: Number(req.params.index)
+  })
+);
+
+// Save user edits (a contract, or chapter text and continuity). chapterIndex and
+// contractIndex are chapter indices, as everywhere else.
+app.put("/api/projects/:id/chapters/edits", async (req, res) => {
   try {
-    const project = await generateNextChapter(req.params.id);
-    res.json(project);
+    const project = await saveUserEditsWithRevision(req.params.id, req.body || {}, {
+      expectedVersion: expectedVersion(req)
+    });
+    sendProject(res, project);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
-app.post("/api/projects/:id/chapters/:index/regenerate", async (req, res) => {
+// Save the edited text of one chapter (by chapter index). Body: { text }
+app.put("/api/projects/:id/chapters/:index/edits", async (req, res) => {
   try {
-    const index = Number(req.params.index);
-    const project = await regenerateChapter(req.params.id, index);
-    res.json(project);
+    const project = await saveChapterEdit(
+      req.params.id,
+      Number(req.params.index),
+      String(req.body?.text ?? ""),
+      { expectedVersion: expectedVersion(req) }
+    );
+    sendProject(res, project);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
-// Save user edits (chapter text + continuity overrides)
-app.put("/api/projects/:id/chapters/edits", async (req, res) => {
+/* ------------ API: Scenes ------------ */
+
+// Chapters whose contract has a scene plan are drafted scene by scene
+// (chapter.scenes). Regenerating a scene is a job; it recomputes the
+// chapter's continuity itself.
+app.post("/api/projects/:id/chapters/:index/scenes/:scene/regenerate", (req, res) =>
+  enqueueForProject(req, res, "regenerate-scene", {
+    chapterIndex: Number(req.params.index),
+    sceneIndex: Number(req.params.scene)
+  })
+);
+
+// Body: { text }. Saves straight away and marks the chapter's continuity
+// stale; follow with POST .../continuity/recompute.
+app.put("/api/projects/:id/chapters/:index/scenes/:scene", async (req, res) => {
   try {
-    const project = await saveUserEdits(req.params.id, req.body || {});
-    res.json(project);
+    const project = await saveSceneEdit(
+      req.params.id,
+      Number(req.params.index),
+      Number(req.params.scene),
+      String(req.body?.text ?? ""),
+      { expectedVersion: expectedVersion(req) }
+    );
+    sendProject(res, project);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
+// Re-read a chapter's continuity from its current text (job).
+app.post("/api/projects/:id/chapters/:index/continuity/recompute", (req, res) =>
+  enqueueForProject(req, res, "chapter-continuity", {
+    chapterIndex: Number(req.params.index)
+  })
+);
+
+/* ------------ API: Chapter revisions ------------ */
+
+app.get("/api/projects/:id/chapters/:index/revisions", async (req, res) => {
+  try {
+    const revisions = await listRevisions(req.params.id, Number(req.params.index));
+    res.json(revisions);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Word-level diff between two revisions: ?from=<revisionId>&to=<revisionId>
+app.get("/api/projects/:id/revisions/diff", async (req, res) => {
+  try {
+    const diff = await diffRevisions(req.params.id, req.query.from, req.query.to);
+    res.json(diff);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/api/projects/:id/revisions/:revisionId", async (req, res) => {
+  try {
+    const revision = await getRevision(req.params.id, req.params.revisionId);
+    if (!revision) return res.status(404).json({ error: "Revision not found" });
+    res.json(revision);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Body: { as: "draft" | "edited" }
+app.post(
+  "/api/projects/:id/chapters/:index/revisions/:revisionId/restore",
+  async (req, res) => {
+    try {
+      const project = await restoreRevision(
+        req.params.id,
+        Number(req.params.index),
+        req.params.revisionId,
+        req.body?.as === "edited" ? "edited" : "draft",
+        { expectedVersion: expectedVersion(req) }
+      );
+      sendProject(res, project);
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
 // Clear chapters & continuity from a given index onwards
 app.post("/api/projects/:id/chapters/rewind", async (req, res) => {
   try {
     const idx = Number(req.body?.chapterIndex ?? req.body?.index ?? 0);
-    const project = await clearAndRewindFromChapter(req.params.id, idx);
-    res.json(project);
+    const project = await clearAndRewindFromChapter(req.params.id, idx, {
+      expectedVersion: expectedVersion(req)
+    });
+    sendProject(res, project);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
+  }
+});
+
+/* ------------ API: Bible entries ------------ */
+
+// :section is characters, locations or worldRules. Entries written here are
+// userAuthored and survive regenerating the brief & bible. Invalid fields
+// are a 400 with { violations }.
+app.post("/api/projects/:id/bible/:section", async (req, res) => {
+  try {
+    const project = await addBibleEntry(req.params.id, req.params.section, req.body || {}, {
+      expectedVersion: expectedVersion(req)
+    });
+    sendProject(res, project);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.put("/api/projects/:id/bible/:section/:entryId", async (req, res) => {
+  try {
+    const project = await updateBibleEntry(
+      req.params.id,
+      req.params.section,
+      req.params.entryId,
+      req.body || {},
+      { expectedVersion: expectedVersion(req) }
+    );
+    sendProject(res, project);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.delete("/api/projects/:id/bible/:section/:entryId", async (req, res) => {
+  try {
+    const project = await deleteBibleEntry(req.params.id, req.params.section, req.params.entryId, {
+      expectedVersion: expectedVersion(req)
+    });
+    sendProject(res, project);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/* ------------ API: Outline structure ------------ */
+
+// Insert, delete, split, merge and reorder chapters. Summaries, contracts,
+// chapters, the ledger and revision history are renumbered together.
+// Refused (409 project_busy) while a generation is queued or running.
+async function restructureRoute(req, res, operation) {
+  try {
+    await assertProjectIdle(req.params.id);
+    const project = await withProjectLock(req.params.id, "restructure", () =>
+      operation({ expectedVersion: expectedVersion(req) })
+    );
+    sendProject(res, project);
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+// Body: { at, title, summary } — the new chapter becomes chapter `at` (default: last)
+app.post("/api/projects/:id/outline/chapters", (req, res) =>
+  restructureRoute(req, res, (options) =>
+    insertChapter(req.params.id, req.body?.at, req.body || {}, options)
+  )
+);
+
+app.delete("/api/projects/:id/outline/chapters/:index", (req, res) =>
+  restructureRoute(req, res, (options) =>
+    deleteChapter(req.params.id, Number(req.params.index), options)
+  )
+);
+
+app.post("/api/projects/:id/outline/chapters/:index/split", (req, res) =>
+  restructureRoute(req, res, (options) =>
+    splitChapter(req.params.id, Number(req.params.index), options)
+  )
+);
+
+// Merges chapter :index with the chapter after it.
+app.post("/api/projects/:id/outline/chapters/:index/merge", (req, res) =>
+  restructureRoute(req, res, (options) =>
+    mergeChapters(req.params.id, Number(req.params.index), options)
+  )
+);
+
+// Body: { order: [3, 1, 2, ...] } — every current chapter index, in the new order
+app.put("/api/projects/:id/outline/order", (req, res) =>
+  restructureRoute(req, res, (options) =>
+    reorderChapters(req.params.id, req.body?.order, options)
+  )
+);
+
+/* ------------ API: Chapter contracts ------------ */
+
+// Body: { mustInclude, mustAvoid, continuityFocus, endingHookIntent }.
+// 400 with { violations } if it doesn't validate. A drafted chapter whose
+// contract changes gets chapter.outOfDate until it is regenerated or edited.
+app.put("/api/projects/:id/contracts/:index", async (req, res) => {
+  try {
+    const project = await updateContract(
+      req.params.id,
+      Number(req.params.index),
+      req.body || {},
+      { expectedVersion: expectedVersion(req) }
+    );
+    sendProject(res, project);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/* ------------ API: Continuity check ------------ */
+
+// Runs as a job like the other model calls; issues land on chapter.continuityCheck.
+app.post("/api/projects/:id/chapters/:index/continuity-check", (req, res) =>
+  enqueueForProject(req, res, "continuity-check", {
+    chapterIndex: Number(req.params.index)
+  })
+);
+
+// Body: { status: "open" | "resolved" | "dismissed" }
+app.post("/api/projects/:id/chapters/:index/issues/:issueId", async (req, res) => {
+  try {
+    const project = await setIssueStatus(
+      req.params.id,
+      Number(req.params.index),
+      req.params.issueId,
+      req.body?.status,
+      { expectedVersion: expectedVersion(req) }
+    );
+    sendProject(res, project);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/* ------------ API: Continuity ledger ------------ */
+
+// ?asOf=N means "at the end of chapter N"; omitted means the latest state.
+function parseAsOf(req) {
+  if (req.query.asOf === undefined || req.query.asOf === "") return Infinity;
+  const asOf = Number(req.query.asOf);
+  if (!Number.isInteger(asOf) || asOf < 0) {
+    throw httpError(400, "asOf must be a chapter index");
+  }
+  return asOf;
+}
+
+app.get("/api/projects/:id/continuity", async (req, res) => {
+  try {
+    const asOf = parseAsOf(req);
+    const project = await getProject(req.params.id);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+    res.json(ledgerAsOf(project.continuityLedger, asOf));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// State of one character or location as of a chapter, with its history.
+// :kind is "characters" or "locations".
+app.get("/api/projects/:id/continuity/:kind/:name", async (req, res) => {
+  try {
+    if (!ENTITY_KINDS[req.params.kind]) {
+      throw httpError(400, "kind must be characters or locations");
+    }
+    const asOf = parseAsOf(req);
+    const project = await getProject(req.params.id);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    const entity = entityAsOf(project.continuityLedger, req.params.kind, req.params.name, asOf);
+    if (!entity) return res.status(404).json({ error: `No continuity recorded for "${req.params.name}"` });
+    res.json(entity);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Open loops: { open, resolved, nextChapter, remainingChapters, warning }.
+app.get("/api/projects/:id/loops", async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+    res.json(
+      loopReport(project.continuityLedger, project.chapters, project.inputs.totalChapters)
+    );
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/* ------------ API: Jobs ------------ */
+
+app.get("/api/projects/:id/jobs", async (req, res) => {
+  try {
+    const jobs = await listProjectJobs(req.params.id);
+    res.json(jobs);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/api/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json(job);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post("/api/jobs/:jobId/cancel", async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    if (job.status !== "cancelled") {
+      return res.status(409).json({ error: `Job already ${job.status}`, job });
+    }
+    res.json(job);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post("/api/jobs/:jobId/pause", async (req, res) => {
+  try {
+    const job = await pauseJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    if (job.status !== "paused") {
+      return res.status(409).json({ error: `Job is ${job.status}`, job });
+    }
+    res.json(job);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Body may raise the ceilings: { maxWords?, maxCostUsd? }
+app.post("/api/jobs/:jobId/resume", async (req, res) => {
+  try {
+    const patch = {};
+    if (req.body?.maxWords !== undefined) patch.maxWords = Number(req.body.maxWords) || 0;
+    if (req.body?.maxCostUsd !== undefined) patch.maxCostUsd = Number(req.body.maxCostUsd) || 0;
+
+    const paused = await getJob(req.params.jobId);
+    if (!paused) return res.status(404).json({ error: "Job not found" });
+    if (paused.status === "paused") await assertProjectIdle(paused.projectId);
+
+    const job = await resumeJob(req.params.jobId, patch);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    if (job.status !== "queued") {
+      return res.status(409).json({ error: `Job is ${job.status}`, job });
+    }
+    res.json(job);
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
@@ -168,20 +713,50 @@ app.get("/api/projects/:id/download/markdown", async (req, res) => {
     res.setHeader("Content-Type", "text/markdown; charset=utf-8");
     res.send(md);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
+// ?format=book (default) | manuscript; manuscripts also take ?font=courier | times
 app.get("/api/projects/:id/download/docx", async (req, res) => {
   try {
-    const buf = await compileBookDocxBuffer(req.params.id);
+    const format = req.query.format || "book";
+    let buf;
+    if (format === "manuscript") {
+      buf = await compileManuscriptDocxBuffer(req.params.id, { font: req.query.font || undefined });
+    } else if (format === "book") {
+      buf = await compileBookDocxBuffer(req.params.id);
+    } else {
+      throw httpError(400, `Unknown DOCX format "${format}". Use book or manuscript`);
+    }
     res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.wordprocessingml.document");
-    res.setHeader("Content-Disposition", 'attachment; filename="book.docx"');
+    res.setHeader("Content-Disposition", `attachment; filename="${format}.docx"`);
     res.send(buf);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
+  }
+});
+
+app.get("/api/projects/:id/download/epub", async (req, res) => {
+  try {
+    const buf = await compileBookEpubBuffer(req.params.id);
+    res.setHeader("Content-Type", "application/epub+zip");
+    res.setHeader("Content-Disposition", 'attachment; filename="book.epub"');
+    res.send(buf);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ?trim=5x8 | 5.5x8.5 | 6x9 (default 5.5x8.5)
+app.get("/api/projects/:id/download/pdf", async (req, res) => {
+  try {
+    const buf = await compileBookPdfBuffer(req.params.id, { trim: req.query.trim || undefined });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", 'attachment; filename="book.pdf"');
+    res.send(buf);
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
@@ -197,6 +772,19 @@ app.get("*", (req, res) => {
 /* ------------ Start server ------------ */
 
 const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`AI Book Generator v1.3.1 running on port ${PORT}`);
+  startWorker();
 });
+
+// Render sends SIGTERM on deploys/restarts: hand the running job back to the
+// queue so the next instance resumes it.
+async function shutdown(signal) {
+  console.log(`[server] ${signal} received, shutting down`);
+  await stopWorker();
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 5000).unref();
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
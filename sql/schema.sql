@@ -17,3 +17,77 @@ CREATE TABLE IF NOT EXISTS projects (
 );
 
 CREATE INDEX IF NOT EXISTS projects_updated_at_idx ON projects (updated_at DESC);
+
+-- Background jobs (generation work runs here instead of inside HTTP requests)
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'queued', -- queued | running | succeeded | failed | cancelled
+  error TEXT,
+  attempts INT NOT NULL DEFAULT 0,
+  created_at BIGINT NOT NULL,
+  updated_at BIGINT NOT NULL,
+  started_at BIGINT,
+  finished_at BIGINT,
+  heartbeat_at BIGINT
+);
+
+CREATE INDEX IF NOT EXISTS jobs_status_created_idx ON jobs (status, created_at);
+CREATE INDEX IF NOT EXISTS jobs_project_created_idx ON jobs (project_id, created_at DESC);
+
+-- v1.4: batch progress; status may also be 'paused' (draft-book jobs)
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS progress JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Chapter revision history: one row per draft, regeneration, user edit or restore
+CREATE TABLE IF NOT EXISTS chapter_revisions (
+  id UUID PRIMARY KEY,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  chapter_index INT NOT NULL,
+  created_at BIGINT NOT NULL,
+  source TEXT NOT NULL, -- baseline | model | regenerate | user-edit | restore-draft | restore-edited | restructure | scene-edit | scene-regenerate | import
+  model TEXT,
+  title TEXT,
+  draft_text TEXT NOT NULL DEFAULT '',
+  user_text TEXT NOT NULL DEFAULT '',
+  continuity JSONB,
+  restored_from UUID
+);
+
+CREATE INDEX IF NOT EXISTS chapter_revisions_chapter_idx
+  ON chapter_revisions (project_id, chapter_index, created_at DESC);
+
+-- Optimistic concurrency: bumped on every project write, sent as the ETag
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 0;
+
+-- Per-project generation lock (lib/locks.js): one row while an engine operation runs
+CREATE TABLE IF NOT EXISTS project_locks (
+  project_id UUID PRIMARY KEY REFERENCES projects(id) ON DELETE CASCADE,
+  holder TEXT NOT NULL,
+  operation TEXT NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  acquired_at BIGINT NOT NULL,
+  heartbeat_at BIGINT NOT NULL
+);
+
+-- Cached arc-level summaries of older chapters for the continuity context (lib/context.js)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS arc_summaries JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Book metadata for exports (author, language), kept apart from the model inputs
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- One queued or running job per project, enforced here so two requests that both pass
+-- the idle check can't both enqueue (lib/jobs.js maps the violation to a 409).
+-- Paused batches aren't covered: other work may run while a batch is paused.
+-- Duplicates left from before the index are cancelled, keeping each project's oldest.
+UPDATE jobs j
+SET status = 'cancelled', error = 'Cancelled: another job was already active', finished_at = j.updated_at
+WHERE j.status IN ('queued', 'running') AND EXISTS (
+  SELECT 1 FROM jobs o
+  WHERE o.project_id = j.project_id
+    AND o.status IN ('queued', 'running')
+    AND (o.created_at, o.id) < (j.created_at, j.id)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS jobs_one_active_per_project_idx
+  ON jobs (project_id) WHERE status IN ('queued', 'running');
@@ -0,0 +1,95 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startDatabase } from "./helpers/database.js";
+
+// A budget nothing fits in, so every reduction applies.
+process.env.MODEL_PROVIDER = "fake";
+process.env.CONTEXT_BUDGET_TOKENS = "1";
+
+let database;
+let storage;
+let buildLedger;
+let buildContinuityContext;
+
+before(async () => {
+  database = await startDatabase();
+  storage = await import("../lib/storage.js");
+  ({ buildLedger } = await import("../lib/ledger.js"));
+  ({ buildContinuityContext } = await import("../lib/context.js"));
+});
+
+after(async () => {
+  await database.stop();
+});
+
+function chapter(index) {
+  return {
+    index,
+    title: `Chapter ${index}`,
+    draftText: "Text.",
+    continuity: {
+      chapterSummary: `What happens in chapter ${index}.`,
+      charactersState: {
+        "Mara Quill": `Mara as of chapter ${index}.`,
+        "Tobias Venn": `Tobias as of chapter ${index}.`
+      },
+      locationsState: { "Saltmarsh Quay": `The quay as of chapter ${index}.` },
+      timelineEvents: [1, 2, 3, 4, 5].map((n) => `Event ${n} of chapter ${index}.`),
+      openLoops: [],
+      styleNotes: ""
+    }
+  };
+}
+
+async function bookOf(count) {
+  const project = await storage.createProject({ title: "The Salt Road", totalChapters: count + 1 });
+  return storage.mutateProject(project.id, (fresh) => {
+    fresh.chapters = Array.from({ length: count }, (_, i) => chapter(i + 1));
+    fresh.continuityLedger = buildLedger(fresh.chapters);
+  });
+}
+
+test("older chapters are compacted into cached arc summaries", async () => {
+  const project = await bookOf(9);
+  const usage = [];
+
+  const context = await buildContinuityContext(project, 10, { onUsage: (u) => usage.push(u) });
+  assert.deepEqual(context.arcs.map((a) => a.chapters), ["1-5"]);
+  assert.equal(usage.length, 1);
+  assert.deepEqual(context.previousChapters.map((c) => c.index), [6, 7, 8, 9]);
+
+  const cached = await storage.getProject(project.id);
+  assert.deepEqual(cached.arcSummaries.map((a) => [a.from, a.to]), [[1, 5]]);
+
+  usage.length = 0;
+  const again = await buildContinuityContext(cached, 10, { onUsage: (u) => usage.push(u) });
+  assert.equal(usage.length, 0);
+  assert.equal(again.arcs[0].summary, context.arcs[0].summary);
+});
+
+test("an over-budget context drops detail in steps", async () => {
+  const project = await bookOf(9);
+  const context = await buildContinuityContext(project, 10, { focus: ["Mara finds the ledger."] });
+
+  // Only the last previous chapter keeps its full continuity.
+  const [last, ...older] = [...context.previousChapters].reverse();
+  assert.equal(last.index, 9);
+  assert.ok(last.continuity);
+  for (const c of older) {
+    assert.equal(c.continuity, undefined);
+    assert.equal(c.chapterSummary, `What happens in chapter ${c.index}.`);
+  }
+
+  assert.equal(context.ledger.timeline.length, 15);
+  assert.equal(context.ledger.timeline.at(-1).event, "Event 5 of chapter 9.");
+
+  // Mara is in this chapter's focus; Tobias and the quay are background.
+  assert.deepEqual(Object.keys(context.ledger.characters), ["Mara Quill"]);
+  assert.deepEqual(context.ledger.characters["Mara Quill"], {
+    state: "Mara as of chapter 9.",
+    chapterIndex: 9
+  });
+  assert.deepEqual(context.ledger.otherCharacters, ["Tobias Venn"]);
+  assert.deepEqual(context.ledger.locations, {});
+  assert.deepEqual(context.ledger.otherLocations, ["Saltmarsh Quay"]);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { wordDiff } from "../lib/diff.js";
+
+// Concatenating equal+delete gives the old text, equal+insert the new one.
+function sides(segments) {
+  const pick = (ops) => segments.filter((s) => ops.includes(s.op)).map((s) => s.text).join("");
+  return { oldText: pick(["equal", "delete"]), newText: pick(["equal", "insert"]) };
+}
+
+test("a changed word is one delete and one insert between equal runs", () => {
+  const segments = wordDiff("The ferry was late again.", "The ferry was early again.");
+  assert.deepEqual(segments, [
+    { op: "equal", text: "The ferry was " },
+    { op: "delete", text: "late " },
+    { op: "insert", text: "early " },
+    { op: "equal", text: "again." }
+  ]);
+});
+
+test("identical and empty texts", () => {
+  assert.deepEqual(wordDiff("Same text.", "Same text."), [{ op: "equal", text: "Same text." }]);
+  assert.deepEqual(wordDiff("", "New words"), [{ op: "insert", text: "New words" }]);
+  assert.deepEqual(wordDiff("Old words", null), [{ op: "delete", text: "Old words" }]);
+});
+
+test("both sides can be rebuilt from the segments", () => {
+  const oldText = "Mara crossed the quay.\n\nThe lantern swung. Nobody spoke.";
+  const newText = "Mara ran across the quay.\n\nThe lantern swung twice. Nobody spoke at all.";
+  assert.deepEqual(sides(wordDiff(oldText, newText)), { oldText, newText });
+});
+
+test("texts too long for one table are diffed paragraph by paragraph", () => {
+  const paragraph = (p, tag) =>
+    Array.from({ length: 50 }, (_, w) => `${tag}${p}w${w}`).join(" ");
+  const oldParas = Array.from({ length: 100 }, (_, p) => paragraph(p, "a"));
+  // Every paragraph but the middle one survives; the ends change so the
+  // common prefix and suffix can't shrink the table.
+  const newParas = oldParas.map((text, p) => (p === 50 ? paragraph(p, "b") : text));
+  newParas[0] = `Opening ${newParas[0]}`;
+  newParas[99] = `${newParas[99]} closing`;
+  const oldText = oldParas.join("\n\n");
+  const newText = newParas.join("\n\n");
+
+  const segments = wordDiff(oldText, newText);
+  assert.deepEqual(sides(segments), { oldText, newText });
+  assert.deepEqual(segments[0], { op: "insert", text: "Opening " });
+  // Paragraphs 2..49 come through as one equal run, not word by word.
+  assert.ok(segments.some((s) => s.op === "equal" && s.text.includes(oldParas.slice(2, 50).join("\n\n"))));
+  assert.ok(segments.some((s) => s.op === "delete" && s.text.includes(oldParas[50])));
+});
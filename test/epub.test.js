@@ -0,0 +1,102 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { startDatabase } from "./helpers/database.js";
+
+let database;
+let storage;
+let compileBookEpubBuffer;
+
+before(async () => {
+  database = await startDatabase();
+  storage = await import("../lib/storage.js");
+  ({ compileBookEpubBuffer } = await import("../lib/epub.js"));
+});
+
+after(async () => {
+  await database.stop();
+});
+
+async function bookWithChapters(metadata) {
+  const project = await storage.createProject({ title: "Salt & Smoke" });
+  if (metadata) await storage.updateProjectMetadata(project.id, metadata);
+  return storage.mutateProject(project.id, (fresh) => {
+    // Stored out of order, to check the export sorts them.
+    fresh.chapters = [
+      { index: 2, title: "The Archive", draftText: "Tobias kept the <ledger>.", userText: "" },
+      {
+        index: 1,
+        title: "The Ferry",
+        draftText: "The ferry was late.\n\n* * *\n\nMara waited.",
+        userText: ""
+      }
+    ];
+  });
+}
+
+async function openEpub(projectId) {
+  const buffer = await compileBookEpubBuffer(projectId);
+  const zip = await JSZip.loadAsync(buffer);
+  const read = (name) => zip.file(name).async("string");
+  return { buffer, zip, read };
+}
+
+const spineOf = (opf) => [...opf.matchAll(/<itemref idref="([^"]+)"/g)].map((m) => m[1]);
+
+test("mimetype is the first entry and stored uncompressed", async () => {
+  const project = await bookWithChapters();
+  const { buffer, read } = await openEpub(project.id);
+
+  // First local file header: name at offset 30, compression method at 8.
+  assert.equal(buffer.readUInt32LE(0), 0x04034b50);
+  assert.equal(buffer.toString("latin1", 30, 38), "mimetype");
+  assert.equal(buffer.readUInt16LE(8), 0);
+  assert.equal(await read("mimetype"), "application/epub+zip");
+  assert.match(await read("META-INF/container.xml"), /full-path="OEBPS\/content\.opf"/);
+});
+
+test("the package document carries the book's metadata", async () => {
+  const project = await bookWithChapters({ author: "Ann Writer", language: "en-GB" });
+  const opf = await (await openEpub(project.id)).read("OEBPS/content.opf");
+
+  assert.match(opf, new RegExp(`<dc:identifier id="book-id">urn:uuid:${project.id}</dc:identifier>`));
+  assert.match(opf, /<dc:title>Salt &amp; Smoke<\/dc:title>/);
+  assert.match(opf, /<dc:language>en-GB<\/dc:language>/);
+  assert.match(opf, /<dc:creator id="author">Ann Writer<\/dc:creator>/);
+  assert.match(opf, /<meta property="dcterms:modified">\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/meta>/);
+});
+
+test("no author means no creator", async () => {
+  const project = await bookWithChapters();
+  const opf = await (await openEpub(project.id)).read("OEBPS/content.opf");
+  assert.doesNotMatch(opf, /dc:creator/);
+});
+
+test("the spine and contents list the chapters in order", async () => {
+  const project = await bookWithChapters();
+  const { read } = await openEpub(project.id);
+  const opf = await read("OEBPS/content.opf");
+
+  const spine = spineOf(opf);
+  assert.equal(spine[0], "title-page");
+  assert.deepEqual(spine.filter((id) => id.startsWith("chapter-")), ["chapter-1", "chapter-2"]);
+  for (const id of spine) assert.match(opf, new RegExp(`<item id="${id}" href="[^"]+"`));
+
+  const nav = await read("OEBPS/nav.xhtml");
+  const links = [...nav.matchAll(/<li><a href="([^"]+)">([^<]+)<\/a><\/li>/g)].map((m) => [m[1], m[2]]);
+  assert.deepEqual(links, [
+    ["text/chapter-001.xhtml", "Chapter 1: The Ferry"],
+    ["text/chapter-002.xhtml", "Chapter 2: The Archive"]
+  ]);
+  assert.match(nav, /epub:type="bodymatter" href="text\/chapter-001\.xhtml"/);
+});
+
+test("chapter text is escaped and scene breaks become rules", async () => {
+  const project = await bookWithChapters();
+  const { read } = await openEpub(project.id);
+
+  const first = await read("OEBPS/text/chapter-001.xhtml");
+  assert.match(first, /<p>The ferry was late\.<\/p>\n<hr class="scene-break" \/>\n<p>Mara waited\.<\/p>/);
+  const second = await read("OEBPS/text/chapter-002.xhtml");
+  assert.match(second, /<p>Tobias kept the &lt;ledger&gt;\.<\/p>/);
+});
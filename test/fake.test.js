@@ -0,0 +1,56 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fakeResponse, createFakeProvider } from "../lib/fake.js";
+import { fixtureKey, withRecording, createReplayProvider } from "../lib/fixtures.js";
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), "fixtures-test-"));
+
+after(() => {
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+const words = (text) => text.split(/\s+/).filter(Boolean).length;
+
+test("fake output is a pure function of the request", () => {
+  const request = { task: "chapter", meta: { chapterIndex: 2, targetWords: 400 }, input: "Chapter two" };
+  assert.deepEqual(fakeResponse(request), fakeResponse(request));
+  assert.notDeepEqual(fakeResponse(request), fakeResponse({ ...request, input: "Chapter three" }));
+});
+
+test("fake documents follow the request's meta", () => {
+  const outline = fakeResponse({ task: "outline", meta: { totalChapters: 5 }, input: "" });
+  assert.deepEqual(outline.outline.chapterSummaries.map((s) => s.index), [1, 2, 3, 4, 5]);
+  assert.deepEqual(outline.chapterContracts.map((c) => c.index), [1, 2, 3, 4, 5]);
+
+  const chapter = fakeResponse({ task: "chapter", meta: { title: "Ferry", targetWords: 700 }, input: "" });
+  assert.equal(chapter.title, "Ferry");
+  assert.ok(words(chapter.prose) >= 700);
+});
+
+test("the fake provider returns the document as JSON text with usage", async () => {
+  const provider = createFakeProvider({ name: "fake", model: "fake-1" });
+  const { text, usage } = await provider.complete({
+    task: "brief-bible",
+    meta: {},
+    instructions: "Return JSON.",
+    input: "A book about a ferry."
+  });
+  assert.deepEqual(JSON.parse(text), fakeResponse({ task: "brief-bible", input: "A book about a ferry." }));
+  assert.ok(usage.inputTokens > 0 && usage.outputTokens > 0);
+});
+
+test("recorded calls replay without the provider; unrecorded ones fail", async () => {
+  const request = { task: "outline", meta: { totalChapters: 2 }, instructions: "Plan it.", input: "Two chapters." };
+  const recorder = withRecording(createFakeProvider({ name: "fake", model: "fake-1" }), fixturesDir);
+  const recorded = await recorder.complete(request);
+
+  const files = fs.readdirSync(fixturesDir);
+  assert.deepEqual(files, [`outline-${fixtureKey(request).slice(0, 24)}.json`]);
+
+  const replay = createReplayProvider(fixturesDir);
+  assert.deepEqual(await replay.complete({ ...request, meta: {} }), recorded);
+  await assert.rejects(replay.complete({ ...request, input: "Three chapters." }), /No recorded fixture for task "outline"/);
+});
@@ -0,0 +1,34 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PGlite } from "@electric-sql/pglite";
+import { uuid_ossp } from "@electric-sql/pglite/contrib/uuid_ossp";
+import { PGLiteSocketServer } from "@electric-sql/pglite-socket";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA = path.join(__dirname, "..", "..", "sql", "schema.sql");
+
+/**
+ * An in-process Postgres (PGlite) with sql/schema.sql applied, served over
+ * the wire protocol so lib/db.js talks to it through the real pg driver.
+ * Sets DATABASE_URL, so import lib/ modules after this resolves.
+ */
+export async function startDatabase() {
+  const db = await PGlite.create({ extensions: { uuid_ossp } });
+  await db.exec(fs.readFileSync(SCHEMA, "utf8"));
+
+  const server = new PGLiteSocketServer({ db, port: 0, maxConnections: 10 });
+  await server.start();
+  process.env.DATABASE_URL = `postgres://postgres@${server.getServerConn()}/postgres`;
+  process.env.PGSSL = "false";
+
+  return {
+    db,
+    async stop() {
+      const { pool } = await import("../../lib/db.js");
+      await pool.end();
+      await server.stop();
+      await db.close();
+    }
+  };
+}
@@ -0,0 +1,130 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startDatabase } from "./helpers/database.js";
+
+let database;
+let importer;
+let revisions;
+
+before(async () => {
+  database = await startDatabase();
+  importer = await import("../lib/import.js");
+  revisions = await import("../lib/revisions.js");
+});
+
+after(async () => {
+  await database.stop();
+});
+
+const titles = (split) => split.chapters.map((ch) => ch.title);
+
+test("the format comes from the extension unless one is given", () => {
+  assert.equal(importer.importFormat("Book.DOCX"), "docx");
+  assert.equal(importer.importFormat("notes.markdown"), "markdown");
+  assert.equal(importer.importFormat("anything", "text"), "text");
+  assert.throws(() => importer.importFormat("book.pdf"), (err) => err.status === 400);
+  assert.throws(() => importer.importFormat("book.txt", "rtf"), (err) => err.status === 400);
+});
+
+test("character references decode, and invalid code points become U+FFFD", () => {
+  assert.equal(importer.decodeEntities("Tom &amp; Jerry&#33; &#x2014;&NBSP;&quot;&bogus;"), 'Tom & Jerry! \u2014 "&bogus;');
+  assert.equal(importer.decodeEntities("&#x1F600;"), "\u{1F600}");
+  assert.equal(importer.decodeEntities("a&#99999999;b&#xD800;c&#xDFFF;d&#x110000;"), "a\uFFFDb\uFFFDc\uFFFDd\uFFFD");
+});
+
+test("chapters split at numbered, named and special heading lines", () => {
+  const split = importer.splitChapters(
+    [
+      "Prologue",
+      "The sea came first.",
+      "Chapter 1",
+      "Mara landed.",
+      "CHAPTER II: The Archive",
+      "Tobias waited.",
+      "Chapter Twenty-One - Ashes",
+      "It burned.",
+      "Chapter 22 The Long Road",
+      "They walked.",
+      "Epilogue: After",
+      "Quiet."
+    ].join("\n\n")
+  );
+  assert.deepEqual(titles(split), ["Prologue", "", "The Archive", "Ashes", "The Long Road", "Epilogue: After"]);
+  assert.deepEqual(split.chapters.map((ch) => ch.index), [1, 2, 3, 4, 5, 6]);
+  assert.equal(split.chapters[1].text, "Mara landed.");
+});
+
+test("a sentence that starts with a chapter number stays text", () => {
+  const split = importer.splitChapters(
+    [
+      "Chapter 1",
+      "Mara landed.",
+      "Chapter 3 was when it happened",
+      "CHAPTER 2 THE ARCHIVE",
+      "Tobias waited.",
+      "## Chapter 3 the quiet one",
+      "Ruth slept."
+    ].join("\n\n")
+  );
+  assert.deepEqual(titles(split), ["", "THE ARCHIVE", "the quiet one"]);
+  assert.equal(split.chapters[0].text, "Mara landed.\n\nChapter 3 was when it happened");
+});
+
+test("a leading heading is the book title and a short preamble is dropped", () => {
+  const split = importer.splitChapters(
+    ["# The Salt Road", "For my mother.", "## Chapter 1", "Mara landed.", "Part Two", "## Chapter 2", "Tobias waited."].join(
+      "\n\n"
+    )
+  );
+  assert.equal(split.title, "The Salt Road");
+  assert.deepEqual(titles(split), ["", ""]);
+  // "Part Two" between chapters isn't chapter text.
+  assert.equal(split.chapters[0].text, "Mara landed.");
+});
+
+test("without chapter lines the most common heading level splits", () => {
+  const split = importer.splitChapters(
+    ["# Book", "## The Ferry", "Mara landed.", "## 2", "Tobias waited.", "### A note", "More."].join("\n\n")
+  );
+  assert.equal(split.title, "Book");
+  assert.deepEqual(titles(split), ["The Ferry", ""]);
+  assert.equal(split.chapters[1].text, "Tobias waited.\n\nA note\n\nMore.");
+});
+
+test("text without headings is one chapter, with scene breaks normalised", () => {
+  const split = importer.splitChapters("One.\n\n***\n\n* * *\n\nTwo.\n\n* * *");
+  assert.deepEqual(split.chapters, [{ index: 1, title: "", text: "One.\n\n* * *\n\nTwo." }]);
+});
+
+test("markdown is rejoined into markup", async () => {
+  const markdown = "The Salt Road\n=============\n\nA soft\nwrapped line.  \nHard break.\n\n---\n\n> quoted\n> line\n";
+  const markup = await importer.manuscriptMarkup(Buffer.from(markdown), "markdown");
+  assert.equal(markup, "# The Salt Road\n\nA soft wrapped line.\nHard break.\n\n* * *\n\n> quoted line");
+});
+
+test("plain text with a paragraph per line keeps each line", async () => {
+  const text = "Chapter 1\r\nMara landed.\r\nTobias waited.\r\nThe tide turned.\r\nNobody spoke.\r\nChapter 2\r\nMorning.";
+  const markup = await importer.manuscriptMarkup(Buffer.from(text), "text");
+  assert.equal(
+    markup,
+    "Chapter 1\n\nMara landed.\n\nTobias waited.\n\nThe tide turned.\n\nNobody spoke.\n\nChapter 2\n\nMorning."
+  );
+  await assert.rejects(importer.manuscriptMarkup(Buffer.alloc(0), "text"), (err) => err.status === 400);
+});
+
+test("an imported manuscript becomes approved chapters with import revisions", async () => {
+  const text = "Chapter 1: The Ferry\n\nMara landed.\n\nChapter 2: The Archive\n\nTobias waited for her.\n";
+  const project = await importer.importManuscript({ buffer: Buffer.from(text), filename: "the_salt-road.txt" });
+
+  assert.equal(project.inputs.title, "the salt road");
+  assert.equal(project.inputs.totalChapters, 12);
+  assert.deepEqual(
+    project.chapters.map((ch) => [ch.index, ch.title, ch.userText, ch.approved]),
+    [
+      [1, "The Ferry", "Mara landed.", true],
+      [2, "The Archive", "Tobias waited for her.", true]
+    ]
+  );
+  const [revision] = await revisions.listRevisions(project.id, 2);
+  assert.equal(revision.source, "import");
+});
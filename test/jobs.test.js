@@ -0,0 +1,167 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { v4 as uuidv4 } from "uuid";
+import { startDatabase } from "./helpers/database.js";
+
+process.env.MODEL_PROVIDER = "fake";
+process.env.JOB_POLL_MS = "50";
+process.env.JOB_MAX_ATTEMPTS = "3";
+
+let database;
+let query;
+let createProject;
+let jobs;
+
+before(async () => {
+  database = await startDatabase();
+  ({ query } = await import("../lib/db.js"));
+  ({ createProject } = await import("../lib/storage.js"));
+  jobs = await import("../lib/jobs.js");
+});
+
+after(async () => {
+  await jobs.stopWorker();
+  await database.stop();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(check, timeoutMs = 10000) {
+  const end = Date.now() + timeoutMs;
+  while (Date.now() < end) {
+    const value = await check();
+    if (value) return value;
+    await sleep(25);
+  }
+  throw new Error("Timed out waiting for the worker");
+}
+
+async function insertRunningJob(projectId, { attempts, heartbeatAt }) {
+  const id = uuidv4();
+  await query(
+    `INSERT INTO jobs (id, project_id, type, payload, status, attempts, created_at, updated_at, started_at, heartbeat_at)
+     VALUES ($1, $2, 'continuity-check', '{"chapterIndex": 1}'::jsonb, 'running', $3, $4, $4, $4, $4)`,
+    [id, projectId, attempts, heartbeatAt]
+  );
+  return id;
+}
+
+test("stale running jobs are failed once out of attempts, else requeued", async () => {
+  const longAgo = Date.now() - 10 * 60 * 1000;
+  const exhausted = await insertRunningJob((await createProject({ title: "Exhausted" })).id, {
+    attempts: 3,
+    heartbeatAt: longAgo
+  });
+  const retried = await insertRunningJob((await createProject({ title: "Retried" })).id, {
+    attempts: 1,
+    heartbeatAt: longAgo
+  });
+
+  jobs.startWorker();
+
+  const failed = await waitFor(async () => {
+    const job = await jobs.getJob(exhausted);
+    return job.status === "failed" && job;
+  });
+  assert.equal(failed.error, "Worker stopped responding too many times");
+  assert.equal(typeof failed.finishedAt, "number");
+
+  // Back in the queue, then claimed again by the same tick.
+  const claimed = await waitFor(async () => {
+    const job = await jobs.getJob(retried);
+    return job.attempts === 2 && job;
+  });
+  assert.ok(claimed.startedAt > longAgo);
+  await waitFor(async () => (await jobs.getJob(retried)).status === "failed");
+});
+
+async function runToEnd(projectId, type, payload) {
+  const queued = await jobs.enqueueJob(projectId, type, payload);
+  jobs.startWorker();
+  return waitFor(async () => {
+    const job = await jobs.getJob(queued.id);
+    return !["queued", "running"].includes(job.status) && job;
+  });
+}
+
+test("a job that returns is finished as succeeded", async () => {
+  const project = await createProject({ title: "Finished" });
+  const job = await runToEnd(project.id, "brief-bible");
+
+  assert.equal(job.status, "succeeded");
+  assert.equal(job.error, null);
+  assert.equal(typeof job.finishedAt, "number");
+});
+
+test("a job that throws is finished as failed with the error", async () => {
+  const project = await createProject({ title: "Failing" });
+  const job = await runToEnd(project.id, "regenerate-chapter", { chapterIndex: 99 });
+
+  assert.equal(job.status, "failed");
+  assert.match(job.error, /not found/i);
+  assert.equal(typeof job.finishedAt, "number");
+});
+
+test("a batch that pauses itself is left paused and unfinished", async () => {
+  const project = await createProject({ title: "Paused", totalChapters: 3 });
+  const job = await runToEnd(project.id, "draft-book", { maxWords: 1 });
+
+  assert.equal(job.status, "paused");
+  assert.equal(job.finishedAt, null);
+  assert.equal(job.progress.chaptersDrafted, 1);
+  assert.match(job.progress.stoppedReason, /Word ceiling/);
+});
+
+test("racing enqueues leave a project with one queued job and a 409 for the rest", async () => {
+  await jobs.stopWorker();
+  const project = await createProject({ title: "Racing" });
+  const results = await Promise.allSettled(
+    ["brief-bible", "outline", "next-chapter"].map((type) => jobs.enqueueJob(project.id, type))
+  );
+
+  const queued = results.filter((r) => r.status === "fulfilled").map((r) => r.value);
+  const refused = results.filter((r) => r.status === "rejected").map((r) => r.reason);
+  assert.equal(queued.length, 1);
+  assert.equal(refused.length, 2);
+  for (const err of refused) {
+    assert.equal(err.status, 409);
+    assert.equal(err.details.code, "project_busy");
+    assert.equal(err.details.operation.jobId, queued[0].id);
+  }
+});
+
+test("a paused batch isn't resumed over another queued job", async () => {
+  await jobs.stopWorker();
+  const project = await createProject({ title: "Resuming" });
+  const batch = await jobs.enqueueJob(project.id, "draft-book");
+  assert.equal((await jobs.pauseJob(batch.id)).status, "paused");
+
+  // Other work may run while the batch is paused.
+  const other = await jobs.enqueueJob(project.id, "brief-bible");
+
+  await assert.rejects(jobs.resumeJob(batch.id), (err) => {
+    assert.equal(err.status, 409);
+    assert.equal(err.details.operation.jobId, other.id);
+    return true;
+  });
+  assert.equal((await jobs.getJob(batch.id)).status, "paused");
+});
+
+test("a long batch on one project doesn't hold up another project's job", async () => {
+  await jobs.stopWorker();
+  const busy = await createProject({ title: "Long Batch", totalChapters: 40 });
+  const quick = await createProject({ title: "Quick" });
+  const batch = await jobs.enqueueJob(busy.id, "draft-book");
+  jobs.startWorker();
+  await waitFor(async () => (await jobs.getJob(batch.id)).status === "running");
+
+  const other = await jobs.enqueueJob(quick.id, "brief-bible");
+  await waitFor(async () => (await jobs.getJob(other.id)).status === "succeeded");
+
+  const stillRunning = await jobs.getJob(batch.id);
+  assert.equal(stillRunning.status, "running");
+  assert.ok((stillRunning.progress.chaptersDrafted || 0) < 40);
+
+  await jobs.cancelJob(batch.id);
+  await waitFor(async () => (await jobs.getJob(batch.id)).status === "cancelled");
+});
@@ -0,0 +1,144 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildLedger, ledgerAsOf, entityAsOf, isCurrentLedger, loopId, findLoop, loopReport } from "../lib/ledger.js";
+
+function chapter(index, continuity) {
+  return { index, title: `Chapter ${index}`, draftText: "Text.", continuity };
+}
+
+const chapters = [
+  chapter(3, {
+    charactersState: { "Mara Quill": "Has the letter." },
+    locationsState: { "Saltmarsh Quay": "Flooded." },
+    timelineEvents: ["The quay floods."]
+  }),
+  chapter(1, {
+    charactersState: { "Mara Quill": "Arrives by ferry.", "Tobias Venn": "Runs the archive." },
+    locationsState: {},
+    timelineEvents: ["Mara arrives."]
+  }),
+  chapter(2, {
+    charactersState: { "Mara Quill": "Lost the letter.", "Tobias Venn": "  " },
+    timelineEvents: ["The letter is stolen."]
+  })
+];
+
+test("the ledger keeps each entity's history in chapter order", () => {
+  const ledger = buildLedger(chapters);
+  assert.ok(isCurrentLedger(ledger));
+  assert.deepEqual(ledger.characters["Mara Quill"], [
+    { chapterIndex: 1, state: "Arrives by ferry." },
+    { chapterIndex: 2, state: "Lost the letter." },
+    { chapterIndex: 3, state: "Has the letter." }
+  ]);
+  // Blank states don't overwrite what came before.
+  assert.deepEqual(ledger.characters["Tobias Venn"], [{ chapterIndex: 1, state: "Runs the archive." }]);
+  assert.deepEqual(ledger.timeline.map((t) => t.chapterIndex), [1, 2, 3]);
+});
+
+test("a regenerated middle chapter replaces its own entries", () => {
+  const regenerated = chapters.map((c) =>
+    c.index === 2 ? chapter(2, { charactersState: { "Mara Quill": "Burned the letter." } }) : c
+  );
+  const ledger = buildLedger(regenerated);
+  assert.deepEqual(
+    ledger.characters["Mara Quill"].map((e) => e.state),
+    ["Arrives by ferry.", "Burned the letter.", "Has the letter."]
+  );
+  assert.deepEqual(ledger.timeline.map((t) => t.event), ["Mara arrives.", "The quay floods."]);
+});
+
+test("as-of queries see only what was true by that chapter", () => {
+  const ledger = buildLedger(chapters);
+
+  const before = ledgerAsOf(ledger, 0);
+  assert.deepEqual(before.characters, {});
+  assert.deepEqual(before.timeline, []);
+
+  const second = ledgerAsOf(ledger, 2);
+  assert.equal(second.asOf, 2);
+  assert.deepEqual(second.characters["Mara Quill"], { state: "Lost the letter.", chapterIndex: 2 });
+  assert.deepEqual(second.characters["Tobias Venn"], { state: "Runs the archive.", chapterIndex: 1 });
+  assert.deepEqual(second.locations, {});
+  assert.deepEqual(second.timeline.map((t) => t.event), ["Mara arrives.", "The letter is stolen."]);
+
+  const latest = ledgerAsOf(ledger);
+  assert.equal(latest.asOf, null);
+  assert.deepEqual(latest.locations["Saltmarsh Quay"], { state: "Flooded.", chapterIndex: 3 });
+});
+
+test("one entity as of a chapter, matched case-insensitively", () => {
+  const ledger = buildLedger(chapters);
+  const mara = entityAsOf(ledger, "characters", "mara quill", 2);
+  assert.equal(mara.name, "Mara Quill");
+  assert.equal(mara.state, "Lost the letter.");
+  assert.equal(mara.chapterIndex, 2);
+  assert.deepEqual(mara.history.map((e) => e.chapterIndex), [1, 2]);
+
+  assert.equal(entityAsOf(ledger, "characters", "Nobody"), null);
+  assert.equal(entityAsOf(ledger, "weather", "Mara Quill"), null);
+  assert.equal(entityAsOf({ charactersState: {} }, "characters", "Mara Quill"), null);
+});
+
+// ---------- Loops ----------
+
+const LETTER = "Who stole the letter?";
+const FERRY = "Why is the ferry always late?";
+
+function loopChapters() {
+  return [
+    chapter(1, { openLoops: [LETTER, FERRY] }),
+    chapter(2, { openLoops: ["  who STOLE the   letter?"], loopsAdvanced: [loopId(LETTER)] }),
+    chapter(3, { loopsClosed: [LETTER.toUpperCase()], loopsAdvanced: ["An unknown loop"] })
+  ];
+}
+
+test("loop ids are derived from the text, ignoring case and spacing", () => {
+  assert.match(loopId(LETTER), /^loop-[0-9a-f]{10}$/);
+  assert.equal(loopId(" who stole  THE letter? "), loopId(LETTER));
+  assert.notEqual(loopId(FERRY), loopId(LETTER));
+
+  const { loops } = buildLedger(loopChapters());
+  assert.equal(findLoop(loops, loopId(FERRY)).text, FERRY);
+  assert.equal(findLoop(loops, "why is the FERRY always late?").id, loopId(FERRY));
+  assert.equal(findLoop(loops, "Something else"), null);
+});
+
+test("loops open once and are advanced and closed by id or text", () => {
+  const { loops } = buildLedger(loopChapters());
+  assert.equal(loops.length, 2);
+  assert.deepEqual(loops[0], {
+    id: loopId(LETTER),
+    text: LETTER,
+    status: "resolved",
+    openedIn: 1,
+    resolvedIn: 3,
+    advancedIn: [2]
+  });
+  assert.equal(loops[1].status, "open");
+});
+
+test("as of a chapter, loops resolved later are still open", () => {
+  const ledger = buildLedger(loopChapters());
+  const [letter] = ledgerAsOf(ledger, 1).loops;
+  assert.equal(letter.status, "open");
+  assert.equal(letter.resolvedIn, null);
+  assert.deepEqual(letter.advancedIn, []);
+  assert.deepEqual(ledgerAsOf(ledger, 0).loops, []);
+  assert.equal(ledgerAsOf(ledger, 3).loops[0].status, "resolved");
+});
+
+test("open loops near the end of the book warn", () => {
+  const drafted = loopChapters();
+  const ledger = buildLedger(drafted);
+  const planned = [...drafted, { index: 4, title: "Chapter 4", draftText: "" }];
+
+  const report = loopReport(ledger, planned, 4);
+  assert.equal(report.nextChapter, 4);
+  assert.equal(report.remainingChapters, 1);
+  assert.deepEqual(report.open.map((loop) => loop.text), [FERRY]);
+  assert.deepEqual(report.resolved.map((loop) => loop.text), [LETTER]);
+  assert.match(report.warning, /1 open loop\(s\) and only 1 chapter\(s\) left/);
+
+  assert.equal(loopReport(ledger, planned, 10).warning, null);
+});
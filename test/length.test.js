@@ -0,0 +1,68 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startDatabase } from "./helpers/database.js";
+
+process.env.MODEL_PROVIDER = "fake";
+
+let database;
+let length;
+let countWords;
+
+before(async () => {
+  database = await startDatabase();
+  length = await import("../lib/length.js");
+  ({ countWords } = await import("../lib/words.js"));
+});
+
+after(async () => {
+  await database.stop();
+});
+
+const project = {
+  id: "length-test",
+  inputs: { chapterTargetWords: 1000, chapterMinWords: 800, chapterMaxWords: 1200, modelProvider: "fake" }
+};
+
+const wordsOf = (count) => Array.from({ length: count }, (_, i) => `word${i}`).join(" ");
+
+test("the word range defaults around the target", () => {
+  assert.deepEqual(length.wordRange({ chapterTargetWords: 2000 }), { target: 2000, min: 1500, max: 3000 });
+  assert.deepEqual(length.wordRange({}), { target: 2000, min: 1500, max: 3000 });
+  assert.deepEqual(length.wordRange(project.inputs), { target: 1000, min: 800, max: 1200 });
+  // A max below the min is raised to it.
+  assert.deepEqual(length.wordRange({ chapterTargetWords: 1000, chapterMinWords: 900, chapterMaxWords: 500 }), {
+    target: 1000,
+    min: 900,
+    max: 900
+  });
+});
+
+test("a chapter inside the range is left alone", async () => {
+  const text = wordsOf(900);
+  const result = await length.fitChapterLength({ project, chapterIndex: 1, text });
+  assert.deepEqual(result, { text, words: 900, passes: [] });
+});
+
+test("a short chapter is expanded and keeps its scene breaks", async () => {
+  const text = `${wordsOf(150)}\n\n* * *\n\n${wordsOf(150)}`;
+  const seen = [];
+  const result = await length.fitChapterLength({
+    project,
+    chapterIndex: 1,
+    text,
+    onPass: (pass) => seen.push(pass.kind)
+  });
+
+  assert.deepEqual(seen, ["expand"]);
+  assert.equal(result.passes.length, 1);
+  assert.deepEqual(result.passes[0], { kind: "expand", from: 300, to: result.words, kept: true });
+  assert.ok(result.words >= 800 && result.words <= 1200, `${result.words} words`);
+  assert.equal(countWords(result.text), result.words);
+  assert.equal(result.text.split("\n\n* * *\n\n").length, 2);
+});
+
+test("a long chapter is condensed", async () => {
+  const result = await length.fitChapterLength({ project, chapterIndex: 2, text: wordsOf(2000) });
+  assert.deepEqual(result.passes.map((p) => [p.kind, p.from, p.kept]), [["condense", 2000, true]]);
+  assert.ok(result.words <= 1200, `${result.words} words`);
+});
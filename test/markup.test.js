@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { textBlocks, inlineSpans, inlineHtml, plainText, toMarkdown } from "../lib/markup.js";
+
+const span = (text, style = {}) => ({ text, italic: !!style.italic, bold: !!style.bold });
+
+test("blocks split on blank lines, keep line breaks and pull out quotes", () => {
+  assert.deepEqual(textBlocks("One.\nStill one.\n\n  * * *  \n\nSaid:\n> Quoted line\n>Another\n\n\n"), [
+    { lines: ["One.", "Still one."], quote: false },
+    { sceneBreak: true },
+    { lines: ["Said:"], quote: false },
+    { lines: ["Quoted line", "Another"], quote: true }
+  ]);
+  assert.deepEqual(textBlocks(""), []);
+});
+
+test("emphasis markers give italic and bold spans", () => {
+  assert.deepEqual(inlineSpans("a *b* _c_ **d** __e__"), [
+    span("a "),
+    span("b", { italic: true }),
+    span(" "),
+    span("c", { italic: true }),
+    span(" "),
+    span("d", { bold: true }),
+    span(" "),
+    span("e", { bold: true })
+  ]);
+});
+
+test("emphasis nests", () => {
+  assert.deepEqual(inlineSpans("**bold _and italic_**"), [
+    span("bold ", { bold: true }),
+    span("and italic", { bold: true, italic: true })
+  ]);
+  assert.deepEqual(inlineSpans("plain", { italic: true }), [span("plain", { italic: true })]);
+});
+
+test("triple markers are bold italic, and mixed runs pair up", () => {
+  assert.deepEqual(inlineSpans("x ***y*** z"), [span("x "), span("y", { bold: true, italic: true }), span(" z")]);
+  assert.deepEqual(inlineSpans("___y___"), [span("y", { bold: true, italic: true })]);
+  assert.deepEqual(inlineSpans("***a** b*"), [span("a", { bold: true, italic: true }), span(" b", { italic: true })]);
+  assert.deepEqual(inlineSpans("***a* b**"), [span("a", { bold: true, italic: true }), span(" b", { bold: true })]);
+  assert.deepEqual(inlineSpans("**a *b***"), [span("a ", { bold: true }), span("b", { bold: true, italic: true })]);
+  assert.deepEqual(inlineSpans("*a **b***"), [span("a ", { italic: true }), span("b", { bold: true, italic: true })]);
+  assert.deepEqual(inlineSpans("_**a**_"), [span("a", { bold: true, italic: true })]);
+  assert.deepEqual(inlineSpans("*a**b*"), [span("a**b", { italic: true })]);
+  assert.deepEqual(inlineSpans("***unclosed"), [span("***unclosed")]);
+});
+
+test("markers that don't hug text stay literal", () => {
+  for (const text of ["a * b * c", "snake_case_name", "* * *", "2 * 3 = 6"]) {
+    assert.deepEqual(inlineSpans(text), [span(text)]);
+  }
+});
+
+test("escaped markers are literal", () => {
+  assert.deepEqual(inlineSpans("\\*not italic\\* and \\\\ \\_x\\_"), [span("*not italic* and \\ _x_")]);
+  assert.deepEqual(inlineSpans("*a \\* b*"), [span("a * b", { italic: true })]);
+});
+
+test("inline HTML escapes text and wraps emphasis", () => {
+  assert.equal(inlineHtml(`Tom & "Jerry" <b> *run*`), "Tom &amp; &quot;Jerry&quot; &lt;b&gt; <em>run</em>");
+  assert.equal(inlineHtml("**_both_**"), "<strong><em>both</em></strong>");
+});
+
+test("plain text drops markers but keeps line breaks", () => {
+  assert.equal(plainText("> A *quoted* line\n**Bold** and \\*star\\*"), "A quoted line\nBold and *star*");
+});
+
+test("markdown keeps hard line breaks, quotes and scene breaks", () => {
+  assert.equal(
+    toMarkdown("Dear Mara,\nCome home.\n\n* * *\n\n> Quoted\n> twice"),
+    "Dear Mara,  \nCome home.\n\n* * *\n\n> Quoted  \n> twice"
+  );
+});
@@ -0,0 +1,47 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startDatabase } from "./helpers/database.js";
+
+let database;
+let storage;
+let compileBookPdfBuffer;
+
+before(async () => {
+  database = await startDatabase();
+  storage = await import("../lib/storage.js");
+  ({ compileBookPdfBuffer } = await import("../lib/pdf.js"));
+});
+
+after(async () => {
+  await database.stop();
+});
+
+async function projectWithChapter(metadata) {
+  const project = await storage.createProject({ title: "The Salt Road" });
+  if (metadata) await storage.updateProjectMetadata(project.id, metadata);
+  return storage.mutateProject(project.id, (fresh) => {
+    fresh.chapters = [
+      { index: 1, title: "Ferry", draftText: "It was *cold* and the **ferry** was late.", userText: "" }
+    ];
+  });
+}
+
+test("a project without an author still exports a PDF", async () => {
+  const project = await projectWithChapter();
+  assert.equal(project.metadata.author, "");
+
+  const pdf = (await compileBookPdfBuffer(project.id)).toString("latin1");
+  assert.match(pdf, /^%PDF-/);
+  assert.doesNotMatch(pdf, /\/Author/);
+});
+
+test("the PDF embeds its fonts", async () => {
+  const project = await projectWithChapter({ author: "Ann Writer" });
+
+  const pdf = (await compileBookPdfBuffer(project.id)).toString("latin1");
+  assert.match(pdf, /\/Author/);
+  assert.match(pdf, /\/FontFile2/);
+  // Only embedded TrueType faces; none of the standard 14 fonts.
+  assert.doesNotMatch(pdf, /\/Subtype \/Type1/);
+  assert.match(pdf, /CrimsonText/);
+});
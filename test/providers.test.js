@@ -0,0 +1,82 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolveProvider } from "../lib/providers.js";
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const projectWith = (inputs) => ({ inputs });
+
+test("each project resolves its own provider and model, cached per pair", () => {
+  process.env.LOCAL_MODEL_BASE_URL = "http://localhost:11434/v1";
+  const local = resolveProvider(projectWith({ modelProvider: "openai-compatible", modelName: "qwen2.5" }));
+  assert.equal(local.name, "openai-compatible");
+  assert.equal(local.model, "qwen2.5");
+  assert.equal(resolveProvider(projectWith({ modelProvider: "openai-compatible", modelName: "qwen2.5" })), local);
+
+  const other = resolveProvider(projectWith({ modelProvider: "openai-compatible", modelName: "mistral" }));
+  assert.notEqual(other, local);
+  assert.equal(other.model, "mistral");
+});
+
+test("an unknown or unconfigured provider is an error", () => {
+  assert.throws(() => resolveProvider(projectWith({ modelProvider: "parrot" })), /Unknown model provider "parrot"/);
+
+  delete process.env.ANTHROPIC_API_KEY;
+  assert.throws(
+    () => resolveProvider(projectWith({ modelProvider: "anthropic", modelName: "unconfigured" })),
+    /ANTHROPIC_API_KEY is not set/
+  );
+});
+
+test("the Anthropic adapter sends the Messages API request and joins text blocks", async () => {
+  process.env.ANTHROPIC_API_KEY = "test-key";
+  process.env.ANTHROPIC_BASE_URL = "https://anthropic.test/";
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init });
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        content: [
+          { type: "text", text: "{\"a\":" },
+          { type: "tool_use", id: "ignored" },
+          { type: "text", text: "1}" }
+        ],
+        usage: { input_tokens: 12, output_tokens: 3 }
+      })
+    };
+  };
+
+  const provider = resolveProvider(projectWith({ modelProvider: "anthropic", modelName: "claude-test" }));
+  const result = await provider.complete({ instructions: "Be terse.", input: "Hello", temperature: 1.4 });
+
+  assert.deepEqual(result, { text: "{\"a\":1}", usage: { inputTokens: 12, outputTokens: 3 } });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url, "https://anthropic.test/v1/messages");
+  assert.equal(calls[0].init.headers["x-api-key"], "test-key");
+  const body = JSON.parse(calls[0].init.body);
+  assert.equal(body.model, "claude-test");
+  assert.equal(body.system, "Be terse.");
+  assert.deepEqual(body.messages, [{ role: "user", content: "Hello" }]);
+  assert.equal(body.temperature, 1);
+});
+
+test("Anthropic API errors carry the API's message", async () => {
+  process.env.ANTHROPIC_API_KEY = "test-key";
+  globalThis.fetch = async () => ({
+    ok: false,
+    status: 529,
+    json: async () => ({ error: { message: "Overloaded" } })
+  });
+
+  const provider = resolveProvider(projectWith({ modelProvider: "anthropic", modelName: "claude-busy" }));
+  await assert.rejects(
+    provider.complete({ instructions: "", input: "Hello", temperature: 0.8 }),
+    /Anthropic API error: Overloaded/
+  );
+});
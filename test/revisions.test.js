@@ -0,0 +1,102 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startDatabase } from "./helpers/database.js";
+
+let database;
+let storage;
+let revisions;
+
+before(async () => {
+  database = await startDatabase();
+  storage = await import("../lib/storage.js");
+  revisions = await import("../lib/revisions.js");
+});
+
+after(async () => {
+  await database.stop();
+});
+
+// Two drafted chapters with no revision history, stored out of index order.
+async function draftedBook() {
+  const project = await storage.createProject({ title: "The Salt Road", totalChapters: 2 });
+  return storage.mutateProject(project.id, (fresh) => {
+    fresh.chapterContracts = [2, 1].map((index) => ({
+      index,
+      title: `Chapter ${index}`,
+      mustInclude: [],
+      mustAvoid: [],
+      continuityFocus: [],
+      endingHookIntent: ""
+    }));
+    fresh.chapters = [2, 1].map((index) => ({
+      index,
+      title: `Chapter ${index}`,
+      draftText: `Draft of chapter ${index}.`,
+      userText: "",
+      continuity: null
+    }));
+  });
+}
+
+test("legacy edits patch the chapter by index and record a baseline first", async () => {
+  const project = await draftedBook();
+  const saved = await revisions.saveUserEditsWithRevision(project.id, {
+    chapterIndex: 1,
+    chapter: { userText: "Edited chapter 1." }
+  });
+
+  const byIndex = (index) => saved.chapters.find((c) => c.index === index);
+  assert.equal(byIndex(1).userText, "Edited chapter 1.");
+  assert.equal(byIndex(2).userText, "");
+
+  const history = await revisions.listRevisions(project.id, 1);
+  assert.deepEqual(history.map((r) => r.source), ["user-edit", "baseline"]);
+  const baseline = await revisions.getRevision(project.id, history[1].id);
+  assert.equal(baseline.draftText, "Draft of chapter 1.");
+  assert.equal(baseline.userText, "");
+  assert.deepEqual(await revisions.listRevisions(project.id, 2), []);
+});
+
+test("legacy edits replace the contract by index", async () => {
+  const project = await draftedBook();
+  const saved = await revisions.saveUserEditsWithRevision(project.id, {
+    contractIndex: 1,
+    contract: { title: "Chapter 1", mustInclude: ["The letter"], mustAvoid: [], continuityFocus: [] }
+  });
+
+  const contract = saved.chapterContracts.find((c) => c.index === 1);
+  assert.deepEqual(contract.mustInclude, ["The letter"]);
+  assert.equal(saved.chapters.find((c) => c.index === 1).outOfDate.reason, "contract");
+  assert.deepEqual(saved.chapterContracts.find((c) => c.index === 2).mustInclude, []);
+  assert.deepEqual(await revisions.listRevisions(project.id, 1), []);
+});
+
+test("legacy continuity edits go through the chapter and survive a rebuild", async () => {
+  const project = await draftedBook();
+  const continuity = { charactersState: { "Mara Quill": "Has the letter" }, timelineEvents: ["Mara lands"] };
+  await revisions.saveUserEditsWithRevision(project.id, { chapterIndex: 2, chapter: { continuity } });
+
+  // Any later change rebuilds the ledger from the chapters.
+  const saved = await revisions.saveChapterEdit(project.id, 1, "Edited chapter 1.");
+  assert.deepEqual(saved.continuityLedger.characters["Mara Quill"], [{ chapterIndex: 2, state: "Has the letter" }]);
+  assert.deepEqual(saved.continuityLedger.timeline, [{ chapterIndex: 2, event: "Mara lands" }]);
+
+  await assert.rejects(
+    revisions.saveUserEditsWithRevision(project.id, {
+      continuityLedger: { charactersState: { "Mara Quill": "Lost the letter" } }
+    }),
+    (err) => err.status === 400
+  );
+});
+
+test("legacy edits to a chapter that doesn't exist are a 404", async () => {
+  const project = await draftedBook();
+  await assert.rejects(
+    revisions.saveUserEditsWithRevision(project.id, { chapterIndex: 3, chapter: { userText: "Lost." } }),
+    (err) => err.status === 404
+  );
+  await assert.rejects(
+    revisions.saveUserEditsWithRevision(project.id, { contractIndex: 0, contract: { title: "Nope" } }),
+    (err) => err.status === 404
+  );
+});
@@ -0,0 +1,126 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startDatabase } from "./helpers/database.js";
+
+// The recorder writes one file per distinct model call, named after its task.
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), "scenes-test-"));
+process.env.MODEL_PROVIDER = "fake";
+process.env.MODEL_FIXTURES = "record";
+process.env.MODEL_FIXTURES_DIR = fixturesDir;
+process.env.CONTINUITY_CHECK = "off";
+
+let database;
+let storage;
+let engine;
+let segments;
+
+before(async () => {
+  database = await startDatabase();
+  storage = await import("../lib/storage.js");
+  engine = await import("../lib/engine.js");
+  segments = await import("../lib/segments.js");
+});
+
+after(async () => {
+  await database.stop();
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+function recordedCalls(task) {
+  return fs.readdirSync(fixturesDir).filter((file) => new RegExp(`^${task}-[0-9a-f]+\\.json$`).test(file));
+}
+
+const words = (text) => text.split(/\s+/).filter(Boolean).length;
+
+async function outlinedProject(inputs) {
+  const project = await storage.createProject({ title: "The Salt Road", totalChapters: 1, ...inputs });
+  await engine.generateOutline(project.id);
+  return storage.getProject(project.id);
+}
+
+test("a long chapter with a scene plan writes each scene in segments", async () => {
+  const project = await outlinedProject({ chapterTargetWords: 12000, chapterMaxWords: 14000 });
+  const plan = project.chapterContracts[0].scenes;
+  assert.equal(plan.length, 2);
+
+  const saved = await engine.generateNextChapter(project.id);
+  const chapter = saved.chapters[0];
+
+  assert.equal(recordedCalls("scene").length, 0);
+  assert.equal(recordedCalls("segment-plan").length, plan.length);
+  assert.equal(recordedCalls("segment").length, plan.length * segments.segmentCount(6000));
+  assert.equal(chapter.scenes.length, plan.length);
+  for (const scene of chapter.scenes) assert.ok(words(scene.text) >= 5000, `scene ${scene.index} is short`);
+  assert.equal(chapter.segmentDraft, undefined);
+});
+
+test("a scene-planned chapter resumes from its saved scenes and segments", async () => {
+  const project = await outlinedProject({
+    chapterTargetWords: 12000,
+    chapterMinWords: 100,
+    chapterMaxWords: 20000
+  });
+  const ch = project.chapters[0];
+  const progress = segments.sceneDraftProgress(project, ch, {
+    purpose: "draft",
+    chapterSummary: project.outline.chapterSummaries[0],
+    contract: project.chapterContracts[0]
+  });
+  Object.assign(progress, {
+    scenes: [{ index: 1, text: "The ferry was late again.", source: "model" }],
+    sceneIndex: 2,
+    plan: [1, 2, 3].map((i) => ({ beats: `Beat ${i}.`, endPoint: `End ${i}.` })),
+    segments: ["Nobody on the quay said a word."]
+  });
+  await segments.saveSegmentDraft(project.id, ch.index, progress);
+
+  const plansBefore = recordedCalls("segment-plan").length;
+  const segmentsBefore = recordedCalls("segment").length;
+  const saved = await engine.generateNextChapter(project.id);
+  const chapter = saved.chapters[0];
+
+  assert.equal(recordedCalls("segment-plan").length, plansBefore);
+  assert.equal(recordedCalls("segment").length, segmentsBefore + 2);
+  assert.equal(chapter.scenes[0].text, "The ferry was late again.");
+  assert.match(chapter.scenes[1].text, /^Nobody on the quay said a word\.\n\n/);
+  assert.equal(chapter.segmentDraft, undefined);
+});
+
+test("a scene-planned chapter that fails part-way resumes from its last segment", async () => {
+  const project = await outlinedProject({ title: "The Tide Road", chapterTargetWords: 12000, chapterMaxWords: 14000 });
+  const perScene = segments.segmentCount(6000);
+  const plansBefore = recordedCalls("segment-plan").length;
+  const segmentsBefore = recordedCalls("segment").length;
+
+  // Fail after the first scene and one segment of the second.
+  const controller = new AbortController();
+  const failing = engine.generateNextChapter(project.id, {
+    signal: controller.signal,
+    onUsage: () => {
+      if (recordedCalls("segment").length === segmentsBefore + perScene + 1) controller.abort();
+    }
+  });
+  await assert.rejects(failing, /aborted/);
+
+  const partial = (await storage.getProject(project.id)).chapters[0];
+  assert.equal(partial.draftText, "");
+  assert.equal(partial.segmentDraft.scenes.length, 1);
+  assert.equal(partial.segmentDraft.sceneIndex, 2);
+  assert.equal(partial.segmentDraft.segments.length, 1);
+
+  let calls = 0;
+  const saved = await engine.generateNextChapter(project.id, { onUsage: () => calls++ });
+  const chapter = saved.chapters[0];
+
+  // The rest of the second scene, then the continuity pass.
+  assert.equal(calls, perScene - 1 + 1);
+  assert.equal(recordedCalls("segment-plan").length, plansBefore + 2);
+  assert.equal(recordedCalls("segment").length, segmentsBefore + 2 * perScene);
+  assert.equal(chapter.scenes.length, 2);
+  assert.equal(chapter.scenes[0].text, partial.segmentDraft.scenes[0].text);
+  assert.ok(chapter.scenes[1].text.startsWith(partial.segmentDraft.segments[0]));
+  assert.equal(chapter.segmentDraft, undefined);
+});
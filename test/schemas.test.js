@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validate, BRIEF_BIBLE_SCHEMA, OUTLINE_SCHEMA, CHAPTER_SCHEMA } from "../lib/schemas.js";
+import { fakeResponse } from "../lib/fake.js";
+
+test("violations name the path and what was wrong", () => {
+  const violations = validate(BRIEF_BIBLE_SCHEMA, {
+    brief: { titleSuggestion: "  ", oneSentenceHook: "A hook.", coreConcept: "A concept.", themes: "loss" },
+    bible: { characters: [], locations: [{ name: 3 }], worldRules: [] }
+  });
+  assert.deepEqual(violations.sort(), [
+    "bible.characters: expected at least 1 item(s), got 0",
+    "bible.locations[0].name: expected string, got integer",
+    "brief.themes: expected array, got string",
+    "brief.titleSuggestion: must not be empty"
+  ]);
+});
+
+test("a missing document or field is reported, not thrown", () => {
+  assert.deepEqual(validate(BRIEF_BIBLE_SCHEMA, null), ["(root): expected object, got null"]);
+  assert.deepEqual(validate(BRIEF_BIBLE_SCHEMA, { brief: null }), [
+    "brief: is required",
+    "bible: is required"
+  ]);
+});
+
+test("outline chapters must be numbered 1..totalChapters in order", () => {
+  const outline = fakeResponse({ task: "outline", meta: { totalChapters: 3 }, input: "indices" });
+  assert.deepEqual(validate(OUTLINE_SCHEMA, outline, { totalChapters: 3 }), []);
+
+  assert.deepEqual(validate(OUTLINE_SCHEMA, outline, { totalChapters: 4 }), [
+    "outline.chapterSummaries: expected 4 chapters, got 3",
+    "chapterContracts: expected 4 chapters, got 3"
+  ]);
+
+  outline.chapterContracts[0].index = 2;
+  outline.chapterContracts[1].index = 1;
+  assert.deepEqual(validate(OUTLINE_SCHEMA, outline, { totalChapters: 3 }), [
+    "chapterContracts: chapter indices must be 1..3 in order, got [2, 1, 3]"
+  ]);
+});
+
+test("a truncated chapter fails on its word count", () => {
+  const chapter = fakeResponse({ task: "chapter", meta: { targetWords: 300 }, input: "short" });
+  assert.deepEqual(validate(CHAPTER_SCHEMA, chapter), []);
+
+  chapter.prose = "Mara stopped. Then";
+  assert.deepEqual(validate(CHAPTER_SCHEMA, chapter), ["prose: only 3 words; write the full chapter"]);
+});
+
+test("the fake provider's brief and bible validate", () => {
+  const json = fakeResponse({ task: "brief-bible", input: "anything" });
+  assert.deepEqual(validate(BRIEF_BIBLE_SCHEMA, json), []);
+});
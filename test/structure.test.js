@@ -0,0 +1,158 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startDatabase } from "./helpers/database.js";
+
+let database;
+let storage;
+let revisions;
+let structure;
+
+before(async () => {
+  database = await startDatabase();
+  storage = await import("../lib/storage.js");
+  revisions = await import("../lib/revisions.js");
+  structure = await import("../lib/structure.js");
+});
+
+after(async () => {
+  await database.stop();
+});
+
+const TITLES = ["The Ferry", "The Archive", "The Flood"];
+
+function continuity(index) {
+  return {
+    chapterSummary: `Summary ${index}.`,
+    charactersState: { "Mara Quill": `State ${index}.` },
+    locationsState: {},
+    timelineEvents: [`Event ${index}.`],
+    openLoops: [],
+    styleNotes: ""
+  };
+}
+
+// Three drafted chapters, each with one revision on record.
+async function bookOfThree() {
+  const project = await storage.createProject({ title: "The Salt Road", totalChapters: 3 });
+  const saved = await storage.mutateProject(project.id, (fresh) => {
+    fresh.outline = {
+      chapterSummaries: TITLES.map((title, i) => ({ index: i + 1, title, summary: `${title} summary.` }))
+    };
+    fresh.chapterContracts = TITLES.map((title, i) => ({
+      index: i + 1,
+      title,
+      mustInclude: [`${title} detail`],
+      mustAvoid: [],
+      continuityFocus: [],
+      endingHookIntent: `${title} hook.`
+    }));
+    fresh.chapters = TITLES.map((title, i) => ({
+      index: i + 1,
+      title,
+      draftText: `${title} opens.\n\nThe middle of ${title}.\n\n${title} ends.`,
+      userText: "",
+      continuity: continuity(i + 1),
+      approved: false
+    }));
+  });
+  for (const ch of saved.chapters) await revisions.recordRevision(saved.id, ch, { source: "model" });
+  return saved;
+}
+
+function indices(project) {
+  return {
+    summaries: project.outline.chapterSummaries.map((s) => [s.index, s.title]),
+    contracts: project.chapterContracts.map((c) => [c.index, c.title]),
+    chapters: project.chapters.map((c) => [c.index, c.title])
+  };
+}
+
+test("reorder renumbers outline, contracts and chapters and moves their revisions", async () => {
+  const project = await bookOfThree();
+  const saved = await structure.reorderChapters(project.id, [3, 1, 2]);
+
+  const expected = [[1, "The Flood"], [2, "The Ferry"], [3, "The Archive"]];
+  assert.deepEqual(indices(saved), { summaries: expected, contracts: expected, chapters: expected });
+  assert.deepEqual(saved.chapterContracts[0].mustInclude, ["The Flood detail"]);
+  assert.deepEqual(saved.continuityLedger.characters["Mara Quill"].map((e) => e.state), [
+    "State 3.",
+    "State 1.",
+    "State 2."
+  ]);
+
+  const [moved] = await revisions.listRevisions(project.id, 1);
+  assert.equal(moved.title, "The Flood");
+});
+
+test("a reorder that doesn't list every chapter once is rejected", async () => {
+  const project = await bookOfThree();
+  for (const order of [[1, 2], [1, 1, 2], [1, 2, 4]]) {
+    await assert.rejects(structure.reorderChapters(project.id, order), (err) => err.status === 400);
+  }
+});
+
+test("split cuts the text in two and keeps continuity with the second half", async () => {
+  const project = await bookOfThree();
+  const saved = await structure.splitChapter(project.id, 2);
+
+  assert.equal(saved.inputs.totalChapters, 4);
+  assert.deepEqual(indices(saved).chapters, [
+    [1, "The Ferry"],
+    [2, "The Archive (Part 1)"],
+    [3, "The Archive (Part 2)"],
+    [4, "The Flood"]
+  ]);
+  const [first, second] = saved.chapters.slice(1, 3);
+  assert.equal(`${first.draftText}\n\n${second.draftText}`, project.chapters[1].draftText);
+  assert.equal(first.continuity, null);
+  assert.deepEqual(second.continuity, continuity(2));
+  assert.equal(saved.chapterContracts[1].endingHookIntent, "");
+  assert.equal(saved.chapterContracts[2].endingHookIntent, "The Archive hook.");
+
+  const firstRevisions = await revisions.listRevisions(project.id, 2);
+  assert.deepEqual(firstRevisions.map((r) => r.source), ["restructure", "model"]);
+  const secondRevisions = await revisions.listRevisions(project.id, 3);
+  assert.deepEqual(secondRevisions.map((r) => r.source), ["restructure"]);
+  const [flood] = await revisions.listRevisions(project.id, 4);
+  assert.equal(flood.title, "The Flood");
+});
+
+test("merge joins a chapter with the next one", async () => {
+  const project = await bookOfThree();
+  const saved = await structure.mergeChapters(project.id, 1);
+
+  assert.deepEqual(indices(saved).chapters, [[1, "The Ferry"], [2, "The Flood"]]);
+  const merged = saved.chapters[0];
+  assert.ok(merged.draftText.startsWith(project.chapters[0].draftText));
+  assert.ok(merged.draftText.endsWith(project.chapters[1].draftText));
+  assert.equal(merged.continuity.chapterSummary, "Summary 1. Summary 2.");
+  assert.deepEqual(saved.chapterContracts[0].mustInclude, ["The Ferry detail", "The Archive detail"]);
+  assert.equal(saved.chapterContracts[0].endingHookIntent, "The Archive hook.");
+
+  const merges = await revisions.listRevisions(project.id, 1);
+  assert.equal(merges[0].source, "restructure");
+  await assert.rejects(structure.mergeChapters(project.id, 2), (err) => err.status === 400);
+});
+
+test("delete drops the chapter's revisions and renumbers the rest", async () => {
+  const project = await bookOfThree();
+  const saved = await structure.deleteChapter(project.id, 1);
+
+  assert.deepEqual(indices(saved).chapters, [[1, "The Archive"], [2, "The Flood"]]);
+  assert.deepEqual((await revisions.listRevisions(project.id, 1)).map((r) => r.title), ["The Archive"]);
+  assert.deepEqual(await revisions.listRevisions(project.id, 3), []);
+});
+
+test("insert adds an undrafted chapter at the given position", async () => {
+  const project = await bookOfThree();
+  const saved = await structure.insertChapter(project.id, 2, { title: "Interlude" });
+
+  assert.deepEqual(indices(saved).summaries.map(([, title]) => title), [
+    "The Ferry",
+    "Interlude",
+    "The Archive",
+    "The Flood"
+  ]);
+  assert.equal(saved.chapters[1].draftText, "");
+  assert.deepEqual((await revisions.listRevisions(project.id, 3)).map((r) => r.title), ["The Archive"]);
+});